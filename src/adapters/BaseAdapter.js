@@ -1,6 +1,33 @@
 /**
  * Base adapter interface that defines the contract for database adapters
  * All methods must be implemented by concrete adapters
+ *
+ * User assignments can be scoped to a tenant through `options.tenantId`.
+ * Writes target exactly that scope (omitted = global). Scoped reads return
+ * global assignments plus those of the tenant; when both exist for the same
+ * permission, the tenant-specific assignment wins.
+ *
+ * Permission assignments can target a single resource instance through
+ * `options.resourceType` and `options.resourceId`. Such rules are stored apart
+ * from global assignments and are read back through getResourcePermissions.
+ *
+ * Role and permission assignments accept an optional validity window through
+ * `options.validFrom` and `options.expiresAt`. Reads return every assignment
+ * with its window (null = unbounded); the checker ignores those not in effect.
+ * Where a tenant row overrides a global one, pick the row in effect now (see
+ * selectAssignment in utils/validity.js).
+ *
+ * Permission assignments may name a registered condition (`options.condition`).
+ * Adapters only store the name and return it as `condition` (null = unconditional).
+ *
+ * With audit enabled, the manager appends a record for every mutation through
+ * recordAudit. Records are never updated or deleted by the library. Adapters
+ * without audit storage report it through supportsAudit().
+ *
+ * transaction() runs a callback with an adapter bound to a database transaction;
+ * PermissionManager#transaction builds on it.
+ *
+ * testing/adapterConformance.js checks an implementation against this contract.
  */
 class BaseAdapter {
     // ==================== User Operations ====================
@@ -8,9 +35,10 @@ class BaseAdapter {
     /**
      * Get all roles assigned to a user
      * @param {string} userId
-     * @returns {Promise<Array>}
+     * @param {Object} options - { tenantId? }
+     * @returns {Promise<Array>} - Roles, each with the tenantId, validFrom and expiresAt of the assignment
      */
-    async getUserRoles(userId) {
+    async getUserRoles(userId, options = {}) {
         throw new Error('getUserRoles must be implemented');
     }
 
@@ -18,9 +46,10 @@ class BaseAdapter {
      * Assign a role to a user
      * @param {string} userId
      * @param {string} roleId
+     * @param {Object} options - { tenantId?, validFrom?, expiresAt? }
      * @returns {Promise<Object>}
      */
-    async assignRoleToUser(userId, roleId) {
+    async assignRoleToUser(userId, roleId, options = {}) {
         throw new Error('assignRoleToUser must be implemented');
     }
 
@@ -28,19 +57,30 @@ class BaseAdapter {
      * Remove a role from a user
      * @param {string} userId
      * @param {string} roleId
+     * @param {Object} options - { tenantId? }
      * @returns {Promise<boolean>}
      */
-    async removeRoleFromUser(userId, roleId) {
+    async removeRoleFromUser(userId, roleId, options = {}) {
         throw new Error('removeRoleFromUser must be implemented');
     }
 
+    /**
+     * Get every user assignment of a role, in all tenants
+     * @param {string} roleId
+     * @returns {Promise<Array>} - { userId, tenantId, validFrom, expiresAt } (tenantId null = global)
+     */
+    async getRoleUsers(roleId) {
+        throw new Error('getRoleUsers must be implemented');
+    }
+
     /**
      * Check if a user has a specific role
      * @param {string} userId
      * @param {string} roleId
+     * @param {Object} options - { tenantId? }
      * @returns {Promise<boolean>}
      */
-    async userHasRole(userId, roleId) {
+    async userHasRole(userId, roleId, options = {}) {
         throw new Error('userHasRole must be implemented');
     }
 
@@ -95,7 +135,7 @@ class BaseAdapter {
     /**
      * Get all permissions assigned to a role
      * @param {string} roleId
-     * @returns {Promise<Array>}
+     * @returns {Promise<Array>} - Permissions with granted, validFrom, expiresAt and condition
      */
     async getRolePermissions(roleId) {
         throw new Error('getRolePermissions must be implemented');
@@ -174,9 +214,10 @@ class BaseAdapter {
      * @param {string} permissionKey
      * @param {string} roleId
      * @param {boolean} granted
+     * @param {Object} options - { resourceType?, resourceId?, validFrom?, expiresAt?, condition? }
      * @returns {Promise<Object>}
      */
-    async assignPermissionToRole(permissionKey, roleId, granted) {
+    async assignPermissionToRole(permissionKey, roleId, granted, options = {}) {
         throw new Error('assignPermissionToRole must be implemented');
     }
 
@@ -184,9 +225,10 @@ class BaseAdapter {
      * Remove a permission from a role
      * @param {string} permissionKey
      * @param {string} roleId
+     * @param {Object} options - { resourceType?, resourceId? }
      * @returns {Promise<boolean>}
      */
-    async removePermissionFromRole(permissionKey, roleId) {
+    async removePermissionFromRole(permissionKey, roleId, options = {}) {
         throw new Error('removePermissionFromRole must be implemented');
     }
 
@@ -195,9 +237,10 @@ class BaseAdapter {
      * @param {string} permissionKey
      * @param {string} userId
      * @param {boolean} granted
+     * @param {Object} options - { tenantId?, resourceType?, resourceId?, validFrom?, expiresAt?, condition? }
      * @returns {Promise<Object>}
      */
-    async assignPermissionToUser(permissionKey, userId, granted) {
+    async assignPermissionToUser(permissionKey, userId, granted, options = {}) {
         throw new Error('assignPermissionToUser must be implemented');
     }
 
@@ -205,18 +248,20 @@ class BaseAdapter {
      * Remove a permission from a user
      * @param {string} permissionKey
      * @param {string} userId
+     * @param {Object} options - { tenantId?, resourceType?, resourceId? }
      * @returns {Promise<boolean>}
      */
-    async removePermissionFromUser(permissionKey, userId) {
+    async removePermissionFromUser(permissionKey, userId, options = {}) {
         throw new Error('removePermissionFromUser must be implemented');
     }
 
     /**
      * Get all direct permissions assigned to a user
      * @param {string} userId
-     * @returns {Promise<Array>}
+     * @param {Object} options - { tenantId? }
+     * @returns {Promise<Array>} - Permissions with granted, tenantId (null = global), validFrom, expiresAt and condition
      */
-    async getUserDirectPermissions(userId) {
+    async getUserDirectPermissions(userId, options = {}) {
         throw new Error('getUserDirectPermissions must be implemented');
     }
 
@@ -224,7 +269,7 @@ class BaseAdapter {
      * Get specific role permission assignment
      * @param {string} roleId
      * @param {string} permissionKey
-     * @returns {Promise<Object|null>} - { granted: boolean } or null
+     * @returns {Promise<Object|null>} - { granted, validFrom, expiresAt, condition } or null
      */
     async getRolePermission(roleId, permissionKey) {
         throw new Error('getRolePermission must be implemented');
@@ -234,12 +279,102 @@ class BaseAdapter {
      * Get specific user permission assignment
      * @param {string} userId
      * @param {string} permissionKey
-     * @returns {Promise<Object|null>} - { granted: boolean } or null
+     * @param {Object} options - { tenantId? }
+     * @returns {Promise<Object|null>} - { granted, tenantId, validFrom, expiresAt, condition } or null
      */
-    async getUserPermission(userId, permissionKey) {
+    async getUserPermission(userId, permissionKey, options = {}) {
         throw new Error('getUserPermission must be implemented');
     }
 
+    /**
+     * Get every user and role rule attached to a resource instance
+     * @param {string} resourceType
+     * @param {string} resourceId
+     * @returns {Promise<Array>} - Permissions with granted, targetType ('user'|'role'), targetId, resourceType, resourceId, validFrom, expiresAt, condition
+     */
+    async getResourcePermissions(resourceType, resourceId) {
+        throw new Error('getResourcePermissions must be implemented');
+    }
+
+    // ==================== Bulk Operations ====================
+
+    /**
+     * Assign a role to many users in one batch
+     * Users who already hold the role in that tenant are skipped rather than rejected.
+     * @param {string[]} userIds - Without duplicates
+     * @param {string} roleId
+     * @param {Object} options - { tenantId?, validFrom?, expiresAt? }, applied to every assignment
+     * @returns {Promise<string[]>} - IDs of the users the role was assigned to
+     * @throws {RoleNotFoundError}
+     */
+    async assignRoleToUsers(userIds, roleId, options = {}) {
+        throw new Error('assignRoleToUsers must be implemented');
+    }
+
+    /**
+     * Create or update many permission assignments of a role in one batch
+     * Missing permissions are created, as in assignPermissionToRole.
+     * @param {Array<Object>} assignments - { key, granted, validFrom?, expiresAt?, condition? }, one per key
+     * @param {string} roleId
+     * @returns {Promise<number>} - Number of assignments written
+     * @throws {RoleNotFoundError}
+     */
+    async assignPermissionsToRole(assignments, roleId) {
+        throw new Error('assignPermissionsToRole must be implemented');
+    }
+
+    /**
+     * Remove many permission assignments of a role in one batch
+     * @param {string[]} permissionKeys
+     * @param {string} roleId
+     * @returns {Promise<number>} - Number of assignments removed
+     */
+    async removePermissionsFromRole(permissionKeys, roleId) {
+        throw new Error('removePermissionsFromRole must be implemented');
+    }
+
+    // ==================== Audit Operations ====================
+
+    /**
+     * Whether this adapter can store audit records
+     * The manager checks it when audit is enabled. Defaults to whether recordAudit is overridden.
+     * @returns {boolean}
+     */
+    supportsAudit() {
+        return this.recordAudit !== BaseAdapter.prototype.recordAudit;
+    }
+
+    /**
+     * Append an audit record
+     * @param {Object} record - { actorId, action, userId, roleId, permissionKey, before, after, createdAt };
+     *   before / after are plain JSON objects or null
+     * @returns {Promise<Object>} - The stored record with its id
+     */
+    async recordAudit(record) {
+        throw new Error('recordAudit must be implemented');
+    }
+
+    /**
+     * Query audit records, newest first
+     * @param {Object} filter - { userId, roleId, actorId, action, since, until, limit }; null fields do not filter.
+     *   since is inclusive and until exclusive
+     * @returns {Promise<Array>} - Records { id, actorId, action, userId, roleId, permissionKey, before, after, createdAt }
+     */
+    async getAuditLog(filter = {}) {
+        throw new Error('getAuditLog must be implemented');
+    }
+
+    // ==================== Maintenance Operations ====================
+
+    /**
+     * Delete role and permission assignments that expired at or before a point in time
+     * @param {Date} before
+     * @returns {Promise<number>} - Number of assignments deleted
+     */
+    async purgeExpiredAssignments(before = new Date()) {
+        throw new Error('purgeExpiredAssignments must be implemented');
+    }
+
     // ==================== Listing Operations ====================
 
     /**
@@ -257,6 +392,29 @@ class BaseAdapter {
     async listAllRoles() {
         throw new Error('listAllRoles must be implemented');
     }
+
+    /**
+     * List the roles marked isDefault
+     * @returns {Promise<Array>} - Sorted by priority (descending)
+     */
+    async getDefaultRoles() {
+        throw new Error('getDefaultRoles must be implemented');
+    }
+
+    // ==================== Transaction Operations ====================
+
+    /**
+     * Run a callback inside a transaction
+     * The callback receives an adapter whose reads and writes all go through the transaction.
+     * It commits when the callback resolves and rolls back when it throws, rethrowing the error.
+     * Calling transaction() on that adapter joins the running transaction.
+     * @param {Function} callback - async (adapter) => result
+     * @param {Object} options - Passed to the underlying client, e.g. { isolationLevel }
+     * @returns {Promise<any>} - The callback's result
+     */
+    async transaction(callback, options = {}) {
+        throw new Error('transaction must be implemented');
+    }
 }
 
 export default BaseAdapter;
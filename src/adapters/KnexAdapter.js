@@ -0,0 +1,821 @@
+import { randomUUID } from 'node:crypto';
+import BaseAdapter from './BaseAdapter.js';
+import {
+    RoleNotFoundError,
+    RoleAlreadyAssignedError,
+    PermissionAlreadyExistsError,
+    RoleAlreadyExistsError,
+    CircularInheritanceError,
+} from '../core/errors.js';
+import { toTenantKey, fromTenantKey, tenantScope } from '../utils/tenant.js';
+import { getAssignmentResource } from '../utils/resource.js';
+import { getAssignmentWindow, selectAssignment } from '../utils/validity.js';
+import { serializeAuditState, parseAuditState } from '../utils/audit.js';
+import { TABLES } from './knexMigrations.js';
+import Logger from '../utils/logger.js';
+
+/**
+ * Role columns updateRole may change
+ * @private
+ */
+const ROLE_FIELDS = ['name', 'description', 'priority', 'isDefault'];
+
+/**
+ * Rows per statement in bulk operations, kept under SQLite's limit of 999 bound parameters
+ * @private
+ */
+const CHUNK_SIZE = 100;
+
+/**
+ * SQL adapter implementation on a Knex query builder
+ *
+ * Works with the tables created by knexMigrationSource, which match the Prisma
+ * schema, on SQLite (better-sqlite3 or sqlite3), PostgreSQL and MySQL. Dependent
+ * rows are deleted by the adapter rather than through ON DELETE CASCADE, because
+ * SQLite only enforces foreign keys when the connection enables them.
+ */
+class KnexAdapter extends BaseAdapter {
+    constructor(knex, logger = new Logger()) {
+        super();
+        this.db = knex;
+        this.logger = logger;
+    }
+
+    // ==================== User Operations ====================
+
+    async getUserRoles(userId, options = {}) {
+        this.logger.debug('getUserRoles:', userId, options);
+
+        const rows = await this.db(TABLES.userRoles)
+            .join(TABLES.roles, `${TABLES.roles}.id`, `${TABLES.userRoles}.roleId`)
+            .where(`${TABLES.userRoles}.userId`, userId)
+            .whereIn(`${TABLES.userRoles}.tenantId`, tenantScope(options.tenantId))
+            .select(
+                `${TABLES.roles}.*`,
+                `${TABLES.userRoles}.tenantId`,
+                `${TABLES.userRoles}.validFrom`,
+                `${TABLES.userRoles}.expiresAt`,
+            );
+
+        const byRole = new Map();
+        for (const row of rows) {
+            const ur = { ...toRole(row), tenantId: row.tenantId, ...toWindow(row) };
+            byRole.set(ur.id, [...(byRole.get(ur.id) || []), ur]);
+        }
+
+        // A role held both globally and in the tenant is returned once, preferring the tenant assignment
+        const roles = [];
+        for (const assignments of byRole.values()) {
+            const ur = selectAssignment(assignments);
+            if (ur) {
+                roles.push({ ...ur, tenantId: fromTenantKey(ur.tenantId) });
+            }
+        }
+
+        return roles;
+    }
+
+    async assignRoleToUser(userId, roleId, options = {}) {
+        this.logger.debug('assignRoleToUser:', userId, roleId, options);
+        const tenantId = toTenantKey(options.tenantId);
+        const window = getAssignmentWindow(options);
+
+        // Check if role exists
+        const role = await this.getRole(roleId);
+        if (!role) {
+            throw new RoleNotFoundError(roleId);
+        }
+
+        // Check if already assigned
+        if (await this.userHasRole(userId, roleId, { tenantId })) {
+            throw new RoleAlreadyAssignedError(userId, roleId, fromTenantKey(tenantId));
+        }
+
+        const userRole = { userId, roleId, tenantId, assignedAt: new Date(), ...window };
+        await this.db(TABLES.userRoles).insert(userRole);
+        return { ...userRole, role };
+    }
+
+    async removeRoleFromUser(userId, roleId, options = {}) {
+        this.logger.debug('removeRoleFromUser:', userId, roleId, options);
+
+        const deleted = await this.db(TABLES.userRoles)
+            .where({ userId, roleId, tenantId: toTenantKey(options.tenantId) })
+            .del();
+        return deleted > 0;
+    }
+
+    async getRoleUsers(roleId) {
+        this.logger.debug('getRoleUsers:', roleId);
+
+        const rows = await this.db(TABLES.userRoles)
+            .where({ roleId })
+            .select('userId', 'tenantId', 'validFrom', 'expiresAt');
+        return rows.map(row => ({ userId: row.userId, tenantId: fromTenantKey(row.tenantId), ...toWindow(row) }));
+    }
+
+    async userHasRole(userId, roleId, options = {}) {
+        this.logger.debug('userHasRole:', userId, roleId, options);
+
+        const userRole = await this.db(TABLES.userRoles)
+            .where({ userId, roleId, tenantId: toTenantKey(options.tenantId) })
+            .first();
+        return !!userRole;
+    }
+
+    // ==================== Role Operations ====================
+
+    async createRole(data) {
+        this.logger.debug('createRole:', data);
+
+        // Check if role already exists
+        const existing = await this.getRoleByName(data.name);
+        if (existing) {
+            throw new RoleAlreadyExistsError(data.name);
+        }
+
+        const now = new Date();
+        const role = {
+            id: randomUUID(),
+            name: data.name,
+            description: data.description || null,
+            priority: data.priority || 0,
+            isDefault: data.isDefault || false,
+            createdAt: now,
+            updatedAt: now,
+        };
+        await this.db(TABLES.roles).insert(role);
+        return role;
+    }
+
+    async getRole(roleId) {
+        this.logger.debug('getRole:', roleId);
+
+        const row = await this.db(TABLES.roles).where({ id: roleId }).first();
+        return row ? toRole(row) : null;
+    }
+
+    async getRoleByName(name) {
+        this.logger.debug('getRoleByName:', name);
+
+        const row = await this.db(TABLES.roles).where({ name }).first();
+        return row ? toRole(row) : null;
+    }
+
+    async updateRole(roleId, data) {
+        this.logger.debug('updateRole:', roleId, data);
+
+        const role = await this.getRole(roleId);
+        if (!role) {
+            throw new RoleNotFoundError(roleId);
+        }
+        if (data.name !== undefined && data.name !== role.name && await this.getRoleByName(data.name)) {
+            throw new RoleAlreadyExistsError(data.name);
+        }
+
+        const changes = Object.fromEntries(Object.entries(data).filter(([field]) => ROLE_FIELDS.includes(field)));
+        const updated = { ...role, ...changes, updatedAt: new Date() };
+        await this.db(TABLES.roles).where({ id: roleId }).update({ ...changes, updatedAt: updated.updatedAt });
+        return updated;
+    }
+
+    async deleteRole(roleId) {
+        this.logger.debug('deleteRole:', roleId);
+
+        return await this.db.transaction(async (trx) => {
+            await trx(TABLES.userRoles).where({ roleId }).del();
+            await trx(TABLES.rolePermissions).where({ roleId }).del();
+            await trx(TABLES.roleResourcePermissions).where({ roleId }).del();
+            await trx(TABLES.roleInheritance).where({ roleId }).orWhere({ inheritsFromId: roleId }).del();
+            const deleted = await trx(TABLES.roles).where({ id: roleId }).del();
+            return deleted > 0;
+        });
+    }
+
+    async getRolePermissions(roleId) {
+        this.logger.debug('getRolePermissions:', roleId);
+
+        const rows = await this._assignedPermissions(TABLES.rolePermissions)
+            .where(`${TABLES.rolePermissions}.roleId`, roleId);
+
+        return rows.map(row => toAssignedPermission(row));
+    }
+
+    async getRoleInheritance(roleId) {
+        this.logger.debug('getRoleInheritance:', roleId);
+
+        const rows = await this.db(TABLES.roleInheritance)
+            .where({ roleId })
+            .orderBy('priority', 'desc');
+        const parents = await this.db(TABLES.roles).whereIn('id', rows.map(row => row.inheritsFromId));
+        const byId = new Map(parents.map(row => [row.id, toRole(row)]));
+
+        return rows.map(row => ({
+            roleId: row.roleId,
+            inheritsFromId: row.inheritsFromId,
+            priority: Number(row.priority),
+            createdAt: toDate(row.createdAt),
+            inheritsFrom: byId.get(row.inheritsFromId),
+        }));
+    }
+
+    async setRoleInheritance(roleId, inheritsFromId, priority = 0) {
+        this.logger.debug('setRoleInheritance:', roleId, inheritsFromId, priority);
+
+        // Prevent self-inheritance
+        if (roleId === inheritsFromId) {
+            throw new CircularInheritanceError(roleId, inheritsFromId);
+        }
+
+        for (const id of [roleId, inheritsFromId]) {
+            if (!await this.getRole(id)) {
+                throw new RoleNotFoundError(id);
+            }
+        }
+
+        // Check for circular inheritance
+        const hasCircular = await this._checkCircularInheritance(roleId, inheritsFromId);
+        if (hasCircular) {
+            throw new CircularInheritanceError(roleId, inheritsFromId);
+        }
+
+        // Upsert the inheritance
+        await this.db(TABLES.roleInheritance)
+            .insert({ roleId, inheritsFromId, priority, createdAt: new Date() })
+            .onConflict(['roleId', 'inheritsFromId'])
+            .merge({ priority });
+
+        const row = await this.db(TABLES.roleInheritance).where({ roleId, inheritsFromId }).first();
+        return { ...row, priority: Number(row.priority), createdAt: toDate(row.createdAt) };
+    }
+
+    async removeRoleInheritance(roleId, inheritsFromId) {
+        this.logger.debug('removeRoleInheritance:', roleId, inheritsFromId);
+
+        const deleted = await this.db(TABLES.roleInheritance).where({ roleId, inheritsFromId }).del();
+        return deleted > 0;
+    }
+
+    /**
+     * Check whether inheritsFromId already reaches roleId through inheritance
+     * @private
+     */
+    async _checkCircularInheritance(roleId, inheritsFromId, visited = new Set()) {
+        if (visited.has(inheritsFromId)) {
+            return false; // Already checked this path
+        }
+
+        visited.add(inheritsFromId);
+
+        const inheritances = await this.db(TABLES.roleInheritance).where({ roleId: inheritsFromId });
+        for (const inheritance of inheritances) {
+            if (inheritance.inheritsFromId === roleId
+                || await this._checkCircularInheritance(roleId, inheritance.inheritsFromId, visited)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // ==================== Permission Operations ====================
+
+    async createPermission(data) {
+        this.logger.debug('createPermission:', data);
+
+        // Check if permission already exists
+        const existing = await this.getPermission(data.key);
+        if (existing) {
+            throw new PermissionAlreadyExistsError(data.key);
+        }
+
+        const permission = {
+            id: randomUUID(),
+            key: data.key,
+            description: data.description || null,
+            category: data.category || null,
+            createdAt: new Date(),
+        };
+        await this.db(TABLES.permissions).insert(permission);
+        return permission;
+    }
+
+    async getPermission(permissionKey) {
+        this.logger.debug('getPermission:', permissionKey);
+
+        const row = await this.db(TABLES.permissions).where({ key: permissionKey }).first();
+        return row ? toPermission(row) : null;
+    }
+
+    async getPermissionById(permissionId) {
+        this.logger.debug('getPermissionById:', permissionId);
+
+        const row = await this.db(TABLES.permissions).where({ id: permissionId }).first();
+        return row ? toPermission(row) : null;
+    }
+
+    async deletePermission(permissionKey) {
+        this.logger.debug('deletePermission:', permissionKey);
+
+        const permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            return false;
+        }
+
+        return await this.db.transaction(async (trx) => {
+            const permissionId = permission.id;
+            await trx(TABLES.rolePermissions).where({ permissionId }).del();
+            await trx(TABLES.userPermissions).where({ permissionId }).del();
+            await trx(TABLES.roleResourcePermissions).where({ permissionId }).del();
+            await trx(TABLES.userResourcePermissions).where({ permissionId }).del();
+            const deleted = await trx(TABLES.permissions).where({ id: permissionId }).del();
+            return deleted > 0;
+        });
+    }
+
+    async assignPermissionToRole(permissionKey, roleId, granted = true, options = {}) {
+        this.logger.debug('assignPermissionToRole:', permissionKey, roleId, granted, options);
+        const resource = getAssignmentResource(options);
+        const window = getAssignmentWindow(options);
+        const condition = options.condition || null;
+
+        // Get or create permission
+        let permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            permission = await this.createPermission({ key: permissionKey });
+        }
+
+        // Check if role exists
+        const role = await this.getRole(roleId);
+        if (!role) {
+            throw new RoleNotFoundError(roleId);
+        }
+
+        if (resource) {
+            return await this._upsertAssignment(
+                TABLES.roleResourcePermissions,
+                { roleId, permissionId: permission.id, resourceType: resource.type, resourceId: resource.id },
+                { granted, ...window, condition },
+                permission,
+            );
+        }
+
+        return await this._upsertAssignment(
+            TABLES.rolePermissions,
+            { roleId, permissionId: permission.id },
+            { granted, ...window, condition },
+            permission,
+        );
+    }
+
+    async removePermissionFromRole(permissionKey, roleId, options = {}) {
+        this.logger.debug('removePermissionFromRole:', permissionKey, roleId, options);
+        const resource = getAssignmentResource(options);
+
+        const permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            return false;
+        }
+
+        const deleted = resource
+            ? await this.db(TABLES.roleResourcePermissions)
+                .where({ roleId, permissionId: permission.id, resourceType: resource.type, resourceId: resource.id })
+                .del()
+            : await this.db(TABLES.rolePermissions).where({ roleId, permissionId: permission.id }).del();
+        return deleted > 0;
+    }
+
+    async assignPermissionToUser(permissionKey, userId, granted = true, options = {}) {
+        this.logger.debug('assignPermissionToUser:', permissionKey, userId, granted, options);
+        const tenantId = toTenantKey(options.tenantId);
+        const resource = getAssignmentResource(options);
+        const window = getAssignmentWindow(options);
+        const condition = options.condition || null;
+
+        // Get or create permission
+        let permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            permission = await this.createPermission({ key: permissionKey });
+        }
+
+        if (resource) {
+            return await this._upsertAssignment(
+                TABLES.userResourcePermissions,
+                { userId, permissionId: permission.id, resourceType: resource.type, resourceId: resource.id },
+                { granted, ...window, condition },
+                permission,
+            );
+        }
+
+        return await this._upsertAssignment(
+            TABLES.userPermissions,
+            { userId, permissionId: permission.id, tenantId },
+            { granted, ...window, condition },
+            permission,
+        );
+    }
+
+    async removePermissionFromUser(permissionKey, userId, options = {}) {
+        this.logger.debug('removePermissionFromUser:', permissionKey, userId, options);
+        const resource = getAssignmentResource(options);
+
+        const permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            return false;
+        }
+
+        const deleted = resource
+            ? await this.db(TABLES.userResourcePermissions)
+                .where({ userId, permissionId: permission.id, resourceType: resource.type, resourceId: resource.id })
+                .del()
+            : await this.db(TABLES.userPermissions)
+                .where({ userId, permissionId: permission.id, tenantId: toTenantKey(options.tenantId) })
+                .del();
+        return deleted > 0;
+    }
+
+    async getUserDirectPermissions(userId, options = {}) {
+        this.logger.debug('getUserDirectPermissions:', userId, options);
+
+        const rows = await this._assignedPermissions(TABLES.userPermissions, ['tenantId'])
+            .where(`${TABLES.userPermissions}.userId`, userId)
+            .whereIn(`${TABLES.userPermissions}.tenantId`, tenantScope(options.tenantId));
+
+        return rows.map(row => ({ ...toAssignedPermission(row), tenantId: fromTenantKey(row.tenantId) }));
+    }
+
+    async getRolePermission(roleId, permissionKey) {
+        this.logger.debug('getRolePermission:', roleId, permissionKey);
+
+        const permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            return null;
+        }
+
+        const rolePermission = await this.db(TABLES.rolePermissions)
+            .where({ roleId, permissionId: permission.id })
+            .first();
+        if (!rolePermission) {
+            return null;
+        }
+
+        return {
+            granted: Boolean(rolePermission.granted),
+            ...toWindow(rolePermission),
+            condition: rolePermission.condition,
+        };
+    }
+
+    async getUserPermission(userId, permissionKey, options = {}) {
+        this.logger.debug('getUserPermission:', userId, permissionKey, options);
+
+        const permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            return null;
+        }
+
+        const rows = await this.db(TABLES.userPermissions)
+            .where({ userId, permissionId: permission.id })
+            .whereIn('tenantId', tenantScope(options.tenantId));
+
+        // Tenant-specific assignment overrides the global one
+        const userPermission = selectAssignment(rows.map(row => ({ ...row, ...toWindow(row) })));
+        if (!userPermission) {
+            return null;
+        }
+
+        return {
+            granted: Boolean(userPermission.granted),
+            tenantId: fromTenantKey(userPermission.tenantId),
+            validFrom: userPermission.validFrom,
+            expiresAt: userPermission.expiresAt,
+            condition: userPermission.condition,
+        };
+    }
+
+    async getResourcePermissions(resourceType, resourceId) {
+        this.logger.debug('getResourcePermissions:', resourceType, resourceId);
+
+        const resourceColumns = ['resourceType', 'resourceId'];
+        const userRows = await this._assignedPermissions(TABLES.userResourcePermissions, ['userId', ...resourceColumns])
+            .where(`${TABLES.userResourcePermissions}.resourceType`, resourceType)
+            .where(`${TABLES.userResourcePermissions}.resourceId`, String(resourceId));
+        const roleRows = await this._assignedPermissions(TABLES.roleResourcePermissions, ['roleId', ...resourceColumns])
+            .where(`${TABLES.roleResourcePermissions}.resourceType`, resourceType)
+            .where(`${TABLES.roleResourcePermissions}.resourceId`, String(resourceId));
+
+        const toRule = (row, targetType, targetId) => ({
+            ...toAssignedPermission(row),
+            targetType,
+            targetId,
+            resourceType: row.resourceType,
+            resourceId: row.resourceId,
+        });
+
+        return [
+            ...userRows.map(row => toRule(row, 'user', row.userId)),
+            ...roleRows.map(row => toRule(row, 'role', row.roleId)),
+        ];
+    }
+
+    /**
+     * Query an assignment table joined with its permissions, selecting the
+     * permission columns plus granted, window, condition and extra columns
+     * @private
+     */
+    _assignedPermissions(table, columns = []) {
+        return this.db(table)
+            .join(TABLES.permissions, `${TABLES.permissions}.id`, `${table}.permissionId`)
+            .select(
+                `${TABLES.permissions}.*`,
+                ...['granted', 'validFrom', 'expiresAt', 'condition', ...columns].map(column => `${table}.${column}`),
+            );
+    }
+
+    /**
+     * Look up permissions by key, creating the missing ones in batches
+     * @private
+     * @returns {Promise<Map>} Key to permission
+     */
+    async _getOrCreatePermissions(keys) {
+        const permissions = new Map();
+        for (const batch of chunk(keys)) {
+            const rows = await this.db(TABLES.permissions).whereIn('key', batch);
+            rows.forEach(row => permissions.set(row.key, toPermission(row)));
+        }
+
+        const missing = keys
+            .filter(key => !permissions.has(key))
+            .map(key => ({ id: randomUUID(), key, description: null, category: null, createdAt: new Date() }));
+        for (const batch of chunk(missing)) {
+            await this.db(TABLES.permissions).insert(batch);
+        }
+        missing.forEach(permission => permissions.set(permission.key, permission));
+        return permissions;
+    }
+
+    /**
+     * Create or update an assignment row and return it with its permission, like a Prisma upsert with include
+     * @private
+     */
+    async _upsertAssignment(table, identity, data, permission) {
+        await this.db(table)
+            .insert({ ...identity, ...data, assignedAt: new Date() })
+            .onConflict(Object.keys(identity))
+            .merge(data);
+
+        const row = await this.db(table).where(identity).first();
+        return {
+            ...row,
+            granted: Boolean(row.granted),
+            assignedAt: toDate(row.assignedAt),
+            ...toWindow(row),
+            permission,
+        };
+    }
+
+    // ==================== Bulk Operations ====================
+
+    async assignRoleToUsers(userIds, roleId, options = {}) {
+        this.logger.debug('assignRoleToUsers:', userIds, roleId, options);
+        const tenantId = toTenantKey(options.tenantId);
+        const window = getAssignmentWindow(options);
+
+        // Check if role exists
+        const role = await this.getRole(roleId);
+        if (!role) {
+            throw new RoleNotFoundError(roleId);
+        }
+
+        return await this.transaction(async (adapter) => {
+            const existing = new Set();
+            for (const batch of chunk(userIds)) {
+                const rows = await adapter.db(TABLES.userRoles)
+                    .where({ roleId, tenantId })
+                    .whereIn('userId', batch)
+                    .select('userId');
+                rows.forEach(row => existing.add(row.userId));
+            }
+
+            const assigned = userIds.filter(userId => !existing.has(userId));
+            const assignedAt = new Date();
+            for (const batch of chunk(assigned)) {
+                await adapter.db(TABLES.userRoles)
+                    .insert(batch.map(userId => ({ userId, roleId, tenantId, assignedAt, ...window })));
+            }
+            return assigned;
+        });
+    }
+
+    async assignPermissionsToRole(assignments, roleId) {
+        this.logger.debug('assignPermissionsToRole:', assignments, roleId);
+
+        // Check if role exists
+        const role = await this.getRole(roleId);
+        if (!role) {
+            throw new RoleNotFoundError(roleId);
+        }
+
+        const rows = assignments.map(({ key, granted, ...options }) => ({
+            key,
+            data: { granted, ...getAssignmentWindow(options), condition: options.condition || null },
+        }));
+
+        return await this.transaction(async (adapter) => {
+            const permissions = await adapter._getOrCreatePermissions(rows.map(row => row.key));
+            const assignedAt = new Date();
+            for (const batch of chunk(rows)) {
+                await adapter.db(TABLES.rolePermissions)
+                    .insert(batch.map(({ key, data }) => ({ roleId, permissionId: permissions.get(key).id, ...data, assignedAt })))
+                    .onConflict(['roleId', 'permissionId'])
+                    .merge(['granted', 'validFrom', 'expiresAt', 'condition']);
+            }
+            return rows.length;
+        });
+    }
+
+    async removePermissionsFromRole(permissionKeys, roleId) {
+        this.logger.debug('removePermissionsFromRole:', permissionKeys, roleId);
+
+        let deleted = 0;
+        for (const batch of chunk(permissionKeys)) {
+            deleted += await this.db(TABLES.rolePermissions)
+                .where({ roleId })
+                .whereIn('permissionId', this.db(TABLES.permissions).whereIn('key', batch).select('id'))
+                .del();
+        }
+        return deleted;
+    }
+
+    // ==================== Audit Operations ====================
+
+    async recordAudit(record) {
+        this.logger.debug('recordAudit:', record.action);
+
+        const stored = { id: randomUUID(), ...record };
+        await this.db(TABLES.auditLog).insert({
+            ...stored,
+            before: serializeAuditState(record.before),
+            after: serializeAuditState(record.after),
+        });
+        return stored;
+    }
+
+    async getAuditLog(filter = {}) {
+        this.logger.debug('getAuditLog:', filter);
+
+        const query = this.db(TABLES.auditLog).orderBy('createdAt', 'desc');
+        for (const field of ['userId', 'roleId', 'actorId', 'action']) {
+            if (filter[field] != null) {
+                query.where(field, filter[field]);
+            }
+        }
+        if (filter.since) {
+            query.where('createdAt', '>=', filter.since);
+        }
+        if (filter.until) {
+            query.where('createdAt', '<', filter.until);
+        }
+        if (filter.limit) {
+            query.limit(filter.limit);
+        }
+
+        const rows = await query;
+        return rows.map(row => ({
+            ...row,
+            before: parseAuditState(row.before),
+            after: parseAuditState(row.after),
+            createdAt: toDate(row.createdAt),
+        }));
+    }
+
+    // ==================== Maintenance Operations ====================
+
+    async purgeExpiredAssignments(before = new Date()) {
+        this.logger.debug('purgeExpiredAssignments:', before);
+
+        return await this.db.transaction(async (trx) => {
+            let total = 0;
+            for (const table of [
+                TABLES.userRoles,
+                TABLES.userPermissions,
+                TABLES.rolePermissions,
+                TABLES.userResourcePermissions,
+                TABLES.roleResourcePermissions,
+            ]) {
+                total += await trx(table).where('expiresAt', '<=', before).del();
+            }
+            return total;
+        });
+    }
+
+    // ==================== Listing Operations ====================
+
+    async listAllPermissions() {
+        this.logger.debug('listAllPermissions');
+
+        const rows = await this.db(TABLES.permissions).orderBy('key', 'asc');
+        return rows.map(row => toPermission(row));
+    }
+
+    async listAllRoles() {
+        this.logger.debug('listAllRoles');
+
+        const rows = await this.db(TABLES.roles).orderBy('priority', 'desc');
+        return rows.map(row => toRole(row));
+    }
+
+    async getDefaultRoles() {
+        this.logger.debug('getDefaultRoles');
+
+        const rows = await this.db(TABLES.roles).where({ isDefault: true }).orderBy('priority', 'desc');
+        return rows.map(row => toRole(row));
+    }
+
+    // ==================== Transaction Operations ====================
+
+    async transaction(callback, options = {}) {
+        this.logger.debug('transaction:', options);
+
+        // Already inside a transaction: join it rather than open a savepoint
+        if (this.db.isTransaction) {
+            return await callback(this);
+        }
+
+        return await this.db.transaction(trx => callback(new KnexAdapter(trx, this.logger)), options);
+    }
+}
+
+/**
+ * Convert a stored timestamp to a Date
+ * SQLite drivers return timestamps as numbers or strings, other databases as Date.
+ * @private
+ */
+function toDate(value) {
+    if (value == null) {
+        return null;
+    }
+    return value instanceof Date ? value : new Date(value);
+}
+
+/**
+ * @private
+ */
+function toWindow(row) {
+    return { validFrom: toDate(row.validFrom), expiresAt: toDate(row.expiresAt) };
+}
+
+/**
+ * @private
+ */
+function toRole(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        priority: Number(row.priority),
+        isDefault: Boolean(row.isDefault),
+        createdAt: toDate(row.createdAt),
+        updatedAt: toDate(row.updatedAt),
+    };
+}
+
+/**
+ * @private
+ */
+function toPermission(row) {
+    return {
+        id: row.id,
+        key: row.key,
+        description: row.description,
+        category: row.category,
+        createdAt: toDate(row.createdAt),
+    };
+}
+
+/**
+ * Split a list into CHUNK_SIZE parts
+ * @private
+ */
+function chunk(items) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += CHUNK_SIZE) {
+        chunks.push(items.slice(i, i + CHUNK_SIZE));
+    }
+    return chunks;
+}
+
+/**
+ * Permission joined with the assignment fields every read returns
+ * @private
+ */
+function toAssignedPermission(row) {
+    return {
+        ...toPermission(row),
+        granted: Boolean(row.granted),
+        ...toWindow(row),
+        condition: row.condition,
+    };
+}
+
+export default KnexAdapter;
@@ -0,0 +1,799 @@
+import { randomUUID } from 'node:crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import BaseAdapter from './BaseAdapter.js';
+import {
+    RoleNotFoundError,
+    RoleAlreadyAssignedError,
+    PermissionAlreadyExistsError,
+    RoleAlreadyExistsError,
+    CircularInheritanceError,
+} from '../core/errors.js';
+import { toTenantKey, fromTenantKey, tenantScope } from '../utils/tenant.js';
+import { getAssignmentResource } from '../utils/resource.js';
+import { getAssignmentWindow, selectAssignment } from '../utils/validity.js';
+import { toAuditState, matchesAuditFilter } from '../utils/audit.js';
+import Logger from '../utils/logger.js';
+
+/**
+ * Tables copied when a transaction starts
+ * @private
+ */
+const TABLES = [
+    'roles',
+    'permissions',
+    'userRoles',
+    'rolePermissions',
+    'userPermissions',
+    'roleInheritance',
+    'roleResourcePermissions',
+    'userResourcePermissions',
+];
+
+/**
+ * Role fields updateRole may change, as in the SQL adapters
+ * @private
+ */
+const ROLE_FIELDS = ['name', 'description', 'priority', 'isDefault'];
+
+/**
+ * Adapter whose queue the current async context holds, so calls made from inside a
+ * transaction through the adapter itself, rather than the handle, join it instead of waiting
+ * @private
+ */
+const holder = new AsyncLocalStorage();
+
+/**
+ * Methods that write to the tables; outside a transaction they wait for the running one
+ * @private
+ */
+const WRITES = [
+    'assignRoleToUser',
+    'removeRoleFromUser',
+    'createRole',
+    'updateRole',
+    'deleteRole',
+    'setRoleInheritance',
+    'removeRoleInheritance',
+    'createPermission',
+    'deletePermission',
+    'assignPermissionToRole',
+    'removePermissionFromRole',
+    'assignPermissionToUser',
+    'removePermissionFromUser',
+    'assignRoleToUsers',
+    'assignPermissionsToRole',
+    'removePermissionsFromRole',
+    'recordAudit',
+    'purgeExpiredAssignments',
+];
+
+/**
+ * In-memory adapter implementation
+ *
+ * Keeps every table in Maps and mirrors the behavior of PrismaAdapter, including
+ * cascading deletes of roles and permissions. Suited for tests and small apps
+ * that do not need persistence; all data is lost when the process exits.
+ */
+class MemoryAdapter extends BaseAdapter {
+    constructor(logger = new Logger()) {
+        super();
+        this.logger = logger;
+        this._inTransaction = false;
+        this._queue = Promise.resolve();
+        this.reset();
+    }
+
+    /**
+     * Remove all roles, permissions, assignments and audit records
+     */
+    reset() {
+        this.roles = new Map();
+        this.permissions = new Map();
+        this.userRoles = new Map();
+        this.rolePermissions = new Map();
+        this.userPermissions = new Map();
+        this.roleInheritance = new Map();
+        this.roleResourcePermissions = new Map();
+        this.userResourcePermissions = new Map();
+        this.auditLog = [];
+    }
+
+    // ==================== User Operations ====================
+
+    async getUserRoles(userId, options = {}) {
+        this.logger.debug('getUserRoles:', userId, options);
+        const scope = tenantScope(options.tenantId);
+
+        const byRole = new Map();
+        for (const ur of this.userRoles.values()) {
+            if (ur.userId === userId && scope.includes(ur.tenantId)) {
+                byRole.set(ur.roleId, [...(byRole.get(ur.roleId) || []), ur]);
+            }
+        }
+
+        // A role held both globally and in the tenant is returned once, preferring the tenant assignment
+        const roles = [];
+        for (const assignments of byRole.values()) {
+            const ur = selectAssignment(assignments);
+            if (ur) {
+                roles.push({
+                    ...this.roles.get(ur.roleId),
+                    tenantId: fromTenantKey(ur.tenantId),
+                    validFrom: ur.validFrom,
+                    expiresAt: ur.expiresAt,
+                });
+            }
+        }
+
+        return roles;
+    }
+
+    async assignRoleToUser(userId, roleId, options = {}) {
+        this.logger.debug('assignRoleToUser:', userId, roleId, options);
+        const tenantId = toTenantKey(options.tenantId);
+        const window = getAssignmentWindow(options);
+
+        // Check if role exists
+        const role = await this.getRole(roleId);
+        if (!role) {
+            throw new RoleNotFoundError(roleId);
+        }
+
+        // Check if already assigned
+        const key = rowKey(userId, roleId, tenantId);
+        if (this.userRoles.has(key)) {
+            throw new RoleAlreadyAssignedError(userId, roleId, fromTenantKey(tenantId));
+        }
+
+        const userRole = { userId, roleId, tenantId, assignedAt: new Date(), ...window };
+        this.userRoles.set(key, userRole);
+        return { ...userRole, role };
+    }
+
+    async removeRoleFromUser(userId, roleId, options = {}) {
+        this.logger.debug('removeRoleFromUser:', userId, roleId, options);
+
+        return this.userRoles.delete(rowKey(userId, roleId, toTenantKey(options.tenantId)));
+    }
+
+    async getRoleUsers(roleId) {
+        this.logger.debug('getRoleUsers:', roleId);
+
+        return filter(this.userRoles, ur => ur.roleId === roleId).map(ur => ({
+            userId: ur.userId,
+            tenantId: fromTenantKey(ur.tenantId),
+            validFrom: ur.validFrom,
+            expiresAt: ur.expiresAt,
+        }));
+    }
+
+    async userHasRole(userId, roleId, options = {}) {
+        this.logger.debug('userHasRole:', userId, roleId, options);
+
+        return this.userRoles.has(rowKey(userId, roleId, toTenantKey(options.tenantId)));
+    }
+
+    // ==================== Role Operations ====================
+
+    async createRole(data) {
+        this.logger.debug('createRole:', data);
+
+        // Check if role already exists
+        const existing = await this.getRoleByName(data.name);
+        if (existing) {
+            throw new RoleAlreadyExistsError(data.name);
+        }
+
+        const now = new Date();
+        const role = {
+            id: randomUUID(),
+            name: data.name,
+            description: data.description || null,
+            priority: data.priority || 0,
+            isDefault: data.isDefault || false,
+            createdAt: now,
+            updatedAt: now,
+        };
+        this.roles.set(role.id, role);
+        return { ...role };
+    }
+
+    async getRole(roleId) {
+        this.logger.debug('getRole:', roleId);
+
+        const role = this.roles.get(roleId);
+        return role ? { ...role } : null;
+    }
+
+    async getRoleByName(name) {
+        this.logger.debug('getRoleByName:', name);
+
+        const role = find(this.roles, r => r.name === name);
+        return role ? { ...role } : null;
+    }
+
+    async updateRole(roleId, data) {
+        this.logger.debug('updateRole:', roleId, data);
+
+        const role = this.roles.get(roleId);
+        if (!role) {
+            throw new RoleNotFoundError(roleId);
+        }
+        if (data.name !== undefined && data.name !== role.name && find(this.roles, r => r.name === data.name)) {
+            throw new RoleAlreadyExistsError(data.name);
+        }
+
+        const changes = Object.fromEntries(Object.entries(data).filter(([field]) => ROLE_FIELDS.includes(field)));
+        const updated = { ...role, ...changes, updatedAt: new Date() };
+        this.roles.set(roleId, updated);
+        return { ...updated };
+    }
+
+    async deleteRole(roleId) {
+        this.logger.debug('deleteRole:', roleId);
+
+        if (!this.roles.delete(roleId)) {
+            return false;
+        }
+
+        // Cascade like the foreign keys of the Prisma schema
+        removeWhere(this.userRoles, ur => ur.roleId === roleId);
+        removeWhere(this.rolePermissions, rp => rp.roleId === roleId);
+        removeWhere(this.roleResourcePermissions, rp => rp.roleId === roleId);
+        removeWhere(this.roleInheritance, ri => ri.roleId === roleId || ri.inheritsFromId === roleId);
+        return true;
+    }
+
+    async getRolePermissions(roleId) {
+        this.logger.debug('getRolePermissions:', roleId);
+
+        return filter(this.rolePermissions, rp => rp.roleId === roleId).map(rp => ({
+            ...this.permissions.get(rp.permissionId),
+            granted: rp.granted,
+            validFrom: rp.validFrom,
+            expiresAt: rp.expiresAt,
+            condition: rp.condition,
+        }));
+    }
+
+    async getRoleInheritance(roleId) {
+        this.logger.debug('getRoleInheritance:', roleId);
+
+        return filter(this.roleInheritance, ri => ri.roleId === roleId)
+            .sort((a, b) => b.priority - a.priority)
+            .map(ri => ({ ...ri, inheritsFrom: { ...this.roles.get(ri.inheritsFromId) } }));
+    }
+
+    async setRoleInheritance(roleId, inheritsFromId, priority = 0) {
+        this.logger.debug('setRoleInheritance:', roleId, inheritsFromId, priority);
+
+        // Prevent self-inheritance
+        if (roleId === inheritsFromId) {
+            throw new CircularInheritanceError(roleId, inheritsFromId);
+        }
+
+        for (const id of [roleId, inheritsFromId]) {
+            if (!this.roles.has(id)) {
+                throw new RoleNotFoundError(id);
+            }
+        }
+
+        // Check for circular inheritance
+        if (this._checkCircularInheritance(roleId, inheritsFromId)) {
+            throw new CircularInheritanceError(roleId, inheritsFromId);
+        }
+
+        // Upsert the inheritance
+        const key = rowKey(roleId, inheritsFromId);
+        const existing = this.roleInheritance.get(key);
+        const inheritance = existing
+            ? { ...existing, priority }
+            : { roleId, inheritsFromId, priority, createdAt: new Date() };
+        this.roleInheritance.set(key, inheritance);
+        return { ...inheritance };
+    }
+
+    async removeRoleInheritance(roleId, inheritsFromId) {
+        this.logger.debug('removeRoleInheritance:', roleId, inheritsFromId);
+
+        return this.roleInheritance.delete(rowKey(roleId, inheritsFromId));
+    }
+
+    /**
+     * Check whether inheritsFromId already reaches roleId through inheritance
+     * @private
+     */
+    _checkCircularInheritance(roleId, inheritsFromId, visited = new Set()) {
+        if (visited.has(inheritsFromId)) {
+            return false; // Already checked this path
+        }
+
+        visited.add(inheritsFromId);
+
+        for (const inheritance of filter(this.roleInheritance, ri => ri.roleId === inheritsFromId)) {
+            if (inheritance.inheritsFromId === roleId
+                || this._checkCircularInheritance(roleId, inheritance.inheritsFromId, visited)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // ==================== Permission Operations ====================
+
+    async createPermission(data) {
+        this.logger.debug('createPermission:', data);
+
+        // Check if permission already exists
+        const existing = await this.getPermission(data.key);
+        if (existing) {
+            throw new PermissionAlreadyExistsError(data.key);
+        }
+
+        const permission = {
+            id: randomUUID(),
+            key: data.key,
+            description: data.description || null,
+            category: data.category || null,
+            createdAt: new Date(),
+        };
+        this.permissions.set(permission.id, permission);
+        return { ...permission };
+    }
+
+    async getPermission(permissionKey) {
+        this.logger.debug('getPermission:', permissionKey);
+
+        const permission = find(this.permissions, p => p.key === permissionKey);
+        return permission ? { ...permission } : null;
+    }
+
+    async getPermissionById(permissionId) {
+        this.logger.debug('getPermissionById:', permissionId);
+
+        const permission = this.permissions.get(permissionId);
+        return permission ? { ...permission } : null;
+    }
+
+    async deletePermission(permissionKey) {
+        this.logger.debug('deletePermission:', permissionKey);
+
+        const permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            return false;
+        }
+
+        this.permissions.delete(permission.id);
+
+        // Cascade like the foreign keys of the Prisma schema
+        const references = row => row.permissionId === permission.id;
+        removeWhere(this.rolePermissions, references);
+        removeWhere(this.userPermissions, references);
+        removeWhere(this.roleResourcePermissions, references);
+        removeWhere(this.userResourcePermissions, references);
+        return true;
+    }
+
+    async assignPermissionToRole(permissionKey, roleId, granted = true, options = {}) {
+        this.logger.debug('assignPermissionToRole:', permissionKey, roleId, granted, options);
+        const resource = getAssignmentResource(options);
+        const window = getAssignmentWindow(options);
+        const condition = options.condition || null;
+
+        // Get or create permission
+        let permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            permission = await this.createPermission({ key: permissionKey });
+        }
+
+        // Check if role exists
+        const role = await this.getRole(roleId);
+        if (!role) {
+            throw new RoleNotFoundError(roleId);
+        }
+
+        if (resource) {
+            return upsert(
+                this.roleResourcePermissions,
+                rowKey(roleId, permission.id, resource.type, resource.id),
+                { roleId, permissionId: permission.id, resourceType: resource.type, resourceId: resource.id },
+                { granted, ...window, condition },
+                permission,
+            );
+        }
+
+        return upsert(
+            this.rolePermissions,
+            rowKey(roleId, permission.id),
+            { roleId, permissionId: permission.id },
+            { granted, ...window, condition },
+            permission,
+        );
+    }
+
+    async removePermissionFromRole(permissionKey, roleId, options = {}) {
+        this.logger.debug('removePermissionFromRole:', permissionKey, roleId, options);
+        const resource = getAssignmentResource(options);
+
+        const permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            return false;
+        }
+
+        if (resource) {
+            return this.roleResourcePermissions.delete(rowKey(roleId, permission.id, resource.type, resource.id));
+        }
+
+        return this.rolePermissions.delete(rowKey(roleId, permission.id));
+    }
+
+    async assignPermissionToUser(permissionKey, userId, granted = true, options = {}) {
+        this.logger.debug('assignPermissionToUser:', permissionKey, userId, granted, options);
+        const tenantId = toTenantKey(options.tenantId);
+        const resource = getAssignmentResource(options);
+        const window = getAssignmentWindow(options);
+        const condition = options.condition || null;
+
+        // Get or create permission
+        let permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            permission = await this.createPermission({ key: permissionKey });
+        }
+
+        if (resource) {
+            return upsert(
+                this.userResourcePermissions,
+                rowKey(userId, permission.id, resource.type, resource.id),
+                { userId, permissionId: permission.id, resourceType: resource.type, resourceId: resource.id },
+                { granted, ...window, condition },
+                permission,
+            );
+        }
+
+        return upsert(
+            this.userPermissions,
+            rowKey(userId, permission.id, tenantId),
+            { userId, permissionId: permission.id, tenantId },
+            { granted, ...window, condition },
+            permission,
+        );
+    }
+
+    async removePermissionFromUser(permissionKey, userId, options = {}) {
+        this.logger.debug('removePermissionFromUser:', permissionKey, userId, options);
+        const resource = getAssignmentResource(options);
+
+        const permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            return false;
+        }
+
+        if (resource) {
+            return this.userResourcePermissions.delete(rowKey(userId, permission.id, resource.type, resource.id));
+        }
+
+        return this.userPermissions.delete(rowKey(userId, permission.id, toTenantKey(options.tenantId)));
+    }
+
+    async getUserDirectPermissions(userId, options = {}) {
+        this.logger.debug('getUserDirectPermissions:', userId, options);
+        const scope = tenantScope(options.tenantId);
+
+        return filter(this.userPermissions, up => up.userId === userId && scope.includes(up.tenantId)).map(up => ({
+            ...this.permissions.get(up.permissionId),
+            granted: up.granted,
+            tenantId: fromTenantKey(up.tenantId),
+            validFrom: up.validFrom,
+            expiresAt: up.expiresAt,
+            condition: up.condition,
+        }));
+    }
+
+    async getRolePermission(roleId, permissionKey) {
+        this.logger.debug('getRolePermission:', roleId, permissionKey);
+
+        const permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            return null;
+        }
+
+        const rolePermission = this.rolePermissions.get(rowKey(roleId, permission.id));
+        if (!rolePermission) {
+            return null;
+        }
+
+        return {
+            granted: rolePermission.granted,
+            validFrom: rolePermission.validFrom,
+            expiresAt: rolePermission.expiresAt,
+            condition: rolePermission.condition,
+        };
+    }
+
+    async getUserPermission(userId, permissionKey, options = {}) {
+        this.logger.debug('getUserPermission:', userId, permissionKey, options);
+
+        const permission = await this.getPermission(permissionKey);
+        if (!permission) {
+            return null;
+        }
+
+        const scope = tenantScope(options.tenantId);
+        const userPermissions = filter(this.userPermissions, up =>
+            up.userId === userId && up.permissionId === permission.id && scope.includes(up.tenantId));
+
+        // Tenant-specific assignment overrides the global one
+        const userPermission = selectAssignment(userPermissions);
+        if (!userPermission) {
+            return null;
+        }
+
+        return {
+            granted: userPermission.granted,
+            tenantId: fromTenantKey(userPermission.tenantId),
+            validFrom: userPermission.validFrom,
+            expiresAt: userPermission.expiresAt,
+            condition: userPermission.condition,
+        };
+    }
+
+    async getResourcePermissions(resourceType, resourceId) {
+        this.logger.debug('getResourcePermissions:', resourceType, resourceId);
+
+        const targets = row => row.resourceType === resourceType && row.resourceId === String(resourceId);
+        const toRule = (row, targetType, targetId) => ({
+            ...this.permissions.get(row.permissionId),
+            granted: row.granted,
+            targetType,
+            targetId,
+            resourceType: row.resourceType,
+            resourceId: row.resourceId,
+            validFrom: row.validFrom,
+            expiresAt: row.expiresAt,
+            condition: row.condition,
+        });
+
+        return [
+            ...filter(this.userResourcePermissions, targets).map(up => toRule(up, 'user', up.userId)),
+            ...filter(this.roleResourcePermissions, targets).map(rp => toRule(rp, 'role', rp.roleId)),
+        ];
+    }
+
+    // ==================== Bulk Operations ====================
+
+    async assignRoleToUsers(userIds, roleId, options = {}) {
+        this.logger.debug('assignRoleToUsers:', userIds, roleId, options);
+        const tenantId = toTenantKey(options.tenantId);
+        const window = getAssignmentWindow(options);
+
+        if (!this.roles.has(roleId)) {
+            throw new RoleNotFoundError(roleId);
+        }
+
+        const assigned = [];
+        const assignedAt = new Date();
+        for (const userId of userIds) {
+            const key = rowKey(userId, roleId, tenantId);
+            if (this.userRoles.has(key)) continue;
+
+            this.userRoles.set(key, { userId, roleId, tenantId, assignedAt, ...window });
+            assigned.push(userId);
+        }
+        return assigned;
+    }
+
+    async assignPermissionsToRole(assignments, roleId) {
+        this.logger.debug('assignPermissionsToRole:', assignments, roleId);
+
+        if (!this.roles.has(roleId)) {
+            throw new RoleNotFoundError(roleId);
+        }
+
+        // Validate every window before writing anything
+        const rows = assignments.map(({ key, granted, ...options }) => ({
+            key,
+            data: { granted, ...getAssignmentWindow(options), condition: options.condition || null },
+        }));
+        for (const { key, data } of rows) {
+            const permission = await this.getPermission(key) || await this.createPermission({ key });
+            upsert(this.rolePermissions, rowKey(roleId, permission.id), { roleId, permissionId: permission.id }, data, permission);
+        }
+        return rows.length;
+    }
+
+    async removePermissionsFromRole(permissionKeys, roleId) {
+        this.logger.debug('removePermissionsFromRole:', permissionKeys, roleId);
+
+        const keys = new Set(permissionKeys);
+        return removeWhere(this.rolePermissions, rp => rp.roleId === roleId && keys.has(this.permissions.get(rp.permissionId).key));
+    }
+
+    // ==================== Audit Operations ====================
+
+    async recordAudit(record) {
+        this.logger.debug('recordAudit:', record.action);
+
+        const stored = {
+            id: randomUUID(),
+            ...record,
+            before: toAuditState(record.before),
+            after: toAuditState(record.after),
+        };
+        this.auditLog.push(stored);
+        return { ...stored };
+    }
+
+    async getAuditLog(filter = {}) {
+        this.logger.debug('getAuditLog:', filter);
+
+        const records = this.auditLog.filter(record => matchesAuditFilter(record, filter)).reverse();
+        return records.slice(0, filter.limit ?? records.length).map(record => ({ ...record }));
+    }
+
+    // ==================== Maintenance Operations ====================
+
+    async purgeExpiredAssignments(before = new Date()) {
+        this.logger.debug('purgeExpiredAssignments:', before);
+
+        const expired = row => row.expiresAt !== null && row.expiresAt <= before;
+        return [
+            this.userRoles,
+            this.userPermissions,
+            this.rolePermissions,
+            this.userResourcePermissions,
+            this.roleResourcePermissions,
+        ].reduce((total, table) => total + removeWhere(table, expired), 0);
+    }
+
+    // ==================== Listing Operations ====================
+
+    async listAllPermissions() {
+        this.logger.debug('listAllPermissions');
+
+        return filter(this.permissions, () => true)
+            .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+            .map(permission => ({ ...permission }));
+    }
+
+    async listAllRoles() {
+        this.logger.debug('listAllRoles');
+
+        return filter(this.roles, () => true)
+            .sort((a, b) => b.priority - a.priority)
+            .map(role => ({ ...role }));
+    }
+
+    async getDefaultRoles() {
+        this.logger.debug('getDefaultRoles');
+
+        return filter(this.roles, role => role.isDefault)
+            .sort((a, b) => b.priority - a.priority)
+            .map(role => ({ ...role }));
+    }
+
+    // ==================== Transaction Operations ====================
+
+    /**
+     * Rows are replaced rather than mutated, so copying each table is enough to roll back.
+     * Transactions and writes made outside one run one at a time: a concurrent caller waits
+     * for the running transaction instead of joining it. Calls made inside the callback
+     * join it, whether they go through the handle or through this adapter. Reads are not
+     * isolated and see uncommitted changes.
+     */
+    async transaction(callback, options = {}) {
+        this.logger.debug('transaction:', options);
+
+        if (this._inTransaction) {
+            return await callback(this);
+        }
+        if (this._holdsQueue()) {
+            return await callback(this._transactionView());
+        }
+
+        return await this._exclusive(async () => {
+            const snapshot = Object.fromEntries(TABLES.map(table => [table, new Map(this[table])]));
+            const auditLog = this.auditLog.slice();
+            try {
+                return await callback(this._transactionView());
+            } catch (error) {
+                Object.assign(this, snapshot, { auditLog });
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Run a task once every transaction and write queued before it has settled
+     * @private
+     */
+    _exclusive(task) {
+        const run = this._queue.then(() => holder.run(this, task));
+        this._queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Whether the current async context runs inside this adapter's transaction or write
+     * Queueing behind it would wait forever for the caller's own transaction.
+     * @private
+     */
+    _holdsQueue() {
+        return holder.getStore() === this;
+    }
+
+    /**
+     * View of this adapter for work holding the queue; its writes and nested transactions run directly
+     * @private
+     */
+    _transactionView() {
+        return Object.create(this, { _inTransaction: { value: true } });
+    }
+}
+
+// Queue writes made outside a transaction behind the running one; inside one they join it
+for (const name of WRITES) {
+    const write = MemoryAdapter.prototype[name];
+    MemoryAdapter.prototype[name] = function (...args) {
+        if (this._inTransaction) {
+            return write.apply(this, args);
+        }
+        if (this._holdsQueue()) {
+            return write.apply(this._transactionView(), args);
+        }
+        return this._exclusive(() => write.apply(this._transactionView(), args));
+    };
+}
+
+/**
+ * Key of a row in one of the assignment tables, built from its primary key columns
+ * @private
+ */
+function rowKey(...columns) {
+    return JSON.stringify(columns);
+}
+
+/**
+ * @private
+ */
+function filter(table, predicate) {
+    return Array.from(table.values()).filter(predicate);
+}
+
+/**
+ * @private
+ */
+function find(table, predicate) {
+    return Array.from(table.values()).find(predicate) || null;
+}
+
+/**
+ * Delete the rows of a table matching a predicate
+ * @private
+ * @returns {number} Number of rows deleted
+ */
+function removeWhere(table, predicate) {
+    let count = 0;
+    for (const [key, row] of table) {
+        if (predicate(row)) {
+            table.delete(key);
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Create or update an assignment row and return it with its permission, like a Prisma upsert with include
+ * @private
+ */
+function upsert(table, key, identity, data, permission) {
+    const existing = table.get(key);
+    const row = existing
+        ? { ...existing, ...data }
+        : { ...identity, ...data, assignedAt: new Date() };
+    table.set(key, row);
+    return { ...row, permission };
+}
+
+export default MemoryAdapter;
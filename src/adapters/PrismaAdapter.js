@@ -7,6 +7,10 @@ import {
     RoleAlreadyExistsError,
     CircularInheritanceError,
 } from '../core/errors.js';
+import { toTenantKey, fromTenantKey, tenantScope } from '../utils/tenant.js';
+import { getAssignmentResource } from '../utils/resource.js';
+import { getAssignmentWindow, selectAssignment } from '../utils/validity.js';
+import { serializeAuditState, parseAuditState } from '../utils/audit.js';
 
 /**
  * Prisma database adapter implementation
@@ -20,19 +24,40 @@ class PrismaAdapter extends BaseAdapter {
 
     // ==================== User Operations ====================
 
-    async getUserRoles(userId) {
-        this.logger.debug('getUserRoles:', userId);
+    async getUserRoles(userId, options = {}) {
+        this.logger.debug('getUserRoles:', userId, options);
 
         const userRoles = await this.prisma.userRole.findMany({
-            where: { userId },
+            where: { userId, tenantId: { in: tenantScope(options.tenantId) } },
             include: { role: true },
         });
 
-        return userRoles.map(ur => ur.role);
+        const byRole = new Map();
+        for (const ur of userRoles) {
+            byRole.set(ur.roleId, [...(byRole.get(ur.roleId) || []), ur]);
+        }
+
+        // A role held both globally and in the tenant is returned once, preferring the tenant assignment
+        const roles = [];
+        for (const assignments of byRole.values()) {
+            const ur = selectAssignment(assignments);
+            if (ur) {
+                roles.push({
+                    ...ur.role,
+                    tenantId: fromTenantKey(ur.tenantId),
+                    validFrom: ur.validFrom,
+                    expiresAt: ur.expiresAt,
+                });
+            }
+        }
+
+        return roles;
     }
 
-    async assignRoleToUser(userId, roleId) {
-        this.logger.debug('assignRoleToUser:', userId, roleId);
+    async assignRoleToUser(userId, roleId, options = {}) {
+        this.logger.debug('assignRoleToUser:', userId, roleId, options);
+        const tenantId = toTenantKey(options.tenantId);
+        const window = getAssignmentWindow(options);
 
         // Check if role exists
         const role = await this.getRole(roleId);
@@ -43,27 +68,27 @@ class PrismaAdapter extends BaseAdapter {
         // Check if already assigned
         const existing = await this.prisma.userRole.findUnique({
             where: {
-                userId_roleId: { userId, roleId },
+                userId_roleId_tenantId: { userId, roleId, tenantId },
             },
         });
 
         if (existing) {
-            throw new RoleAlreadyAssignedError(userId, roleId);
+            throw new RoleAlreadyAssignedError(userId, roleId, fromTenantKey(tenantId));
         }
 
         return await this.prisma.userRole.create({
-            data: { userId, roleId },
+            data: { userId, roleId, tenantId, ...window },
             include: { role: true },
         });
     }
 
-    async removeRoleFromUser(userId, roleId) {
-        this.logger.debug('removeRoleFromUser:', userId, roleId);
+    async removeRoleFromUser(userId, roleId, options = {}) {
+        this.logger.debug('removeRoleFromUser:', userId, roleId, options);
 
         try {
             await this.prisma.userRole.delete({
                 where: {
-                    userId_roleId: { userId, roleId },
+                    userId_roleId_tenantId: { userId, roleId, tenantId: toTenantKey(options.tenantId) },
                 },
             });
             return true;
@@ -76,12 +101,22 @@ class PrismaAdapter extends BaseAdapter {
         }
     }
 
-    async userHasRole(userId, roleId) {
-        this.logger.debug('userHasRole:', userId, roleId);
+    async getRoleUsers(roleId) {
+        this.logger.debug('getRoleUsers:', roleId);
+
+        const userRoles = await this.prisma.userRole.findMany({
+            where: { roleId },
+            select: { userId: true, tenantId: true, validFrom: true, expiresAt: true },
+        });
+        return userRoles.map(ur => ({ ...ur, tenantId: fromTenantKey(ur.tenantId) }));
+    }
+
+    async userHasRole(userId, roleId, options = {}) {
+        this.logger.debug('userHasRole:', userId, roleId, options);
 
         const userRole = await this.prisma.userRole.findUnique({
             where: {
-                userId_roleId: { userId, roleId },
+                userId_roleId_tenantId: { userId, roleId, tenantId: toTenantKey(options.tenantId) },
             },
         });
 
@@ -161,6 +196,9 @@ class PrismaAdapter extends BaseAdapter {
         return rolePermissions.map(rp => ({
             ...rp.permission,
             granted: rp.granted,
+            validFrom: rp.validFrom,
+            expiresAt: rp.expiresAt,
+            condition: rp.condition,
         }));
     }
 
@@ -305,8 +343,11 @@ class PrismaAdapter extends BaseAdapter {
         }
     }
 
-    async assignPermissionToRole(permissionKey, roleId, granted = true) {
-        this.logger.debug('assignPermissionToRole:', permissionKey, roleId, granted);
+    async assignPermissionToRole(permissionKey, roleId, granted = true, options = {}) {
+        this.logger.debug('assignPermissionToRole:', permissionKey, roleId, granted, options);
+        const resource = getAssignmentResource(options);
+        const window = getAssignmentWindow(options);
+        const condition = options.condition || null;
 
         // Get or create permission
         let permission = await this.getPermission(permissionKey);
@@ -321,19 +362,44 @@ class PrismaAdapter extends BaseAdapter {
             throw new RoleNotFoundError(roleId);
         }
 
+        if (resource) {
+            return await this.prisma.roleResourcePermission.upsert({
+                where: {
+                    roleId_permissionId_resourceType_resourceId: {
+                        roleId,
+                        permissionId: permission.id,
+                        resourceType: resource.type,
+                        resourceId: resource.id,
+                    },
+                },
+                create: {
+                    roleId,
+                    permissionId: permission.id,
+                    resourceType: resource.type,
+                    resourceId: resource.id,
+                    granted,
+                    ...window,
+                    condition,
+                },
+                update: { granted, ...window, condition },
+                include: { permission: true },
+            });
+        }
+
         // Upsert the role permission
         return await this.prisma.rolePermission.upsert({
             where: {
                 roleId_permissionId: { roleId, permissionId: permission.id },
             },
-            create: { roleId, permissionId: permission.id, granted },
-            update: { granted },
+            create: { roleId, permissionId: permission.id, granted, ...window, condition },
+            update: { granted, ...window, condition },
             include: { permission: true },
         });
     }
 
-    async removePermissionFromRole(permissionKey, roleId) {
-        this.logger.debug('removePermissionFromRole:', permissionKey, roleId);
+    async removePermissionFromRole(permissionKey, roleId, options = {}) {
+        this.logger.debug('removePermissionFromRole:', permissionKey, roleId, options);
+        const resource = getAssignmentResource(options);
 
         const permission = await this.getPermission(permissionKey);
         if (!permission) {
@@ -341,6 +407,20 @@ class PrismaAdapter extends BaseAdapter {
         }
 
         try {
+            if (resource) {
+                await this.prisma.roleResourcePermission.delete({
+                    where: {
+                        roleId_permissionId_resourceType_resourceId: {
+                            roleId,
+                            permissionId: permission.id,
+                            resourceType: resource.type,
+                            resourceId: resource.id,
+                        },
+                    },
+                });
+                return true;
+            }
+
             await this.prisma.rolePermission.delete({
                 where: {
                     roleId_permissionId: { roleId, permissionId: permission.id },
@@ -355,8 +435,12 @@ class PrismaAdapter extends BaseAdapter {
         }
     }
 
-    async assignPermissionToUser(permissionKey, userId, granted = true) {
-        this.logger.debug('assignPermissionToUser:', permissionKey, userId, granted);
+    async assignPermissionToUser(permissionKey, userId, granted = true, options = {}) {
+        this.logger.debug('assignPermissionToUser:', permissionKey, userId, granted, options);
+        const tenantId = toTenantKey(options.tenantId);
+        const resource = getAssignmentResource(options);
+        const window = getAssignmentWindow(options);
+        const condition = options.condition || null;
 
         // Get or create permission
         let permission = await this.getPermission(permissionKey);
@@ -364,19 +448,44 @@ class PrismaAdapter extends BaseAdapter {
             permission = await this.createPermission({ key: permissionKey });
         }
 
+        if (resource) {
+            return await this.prisma.userResourcePermission.upsert({
+                where: {
+                    userId_permissionId_resourceType_resourceId: {
+                        userId,
+                        permissionId: permission.id,
+                        resourceType: resource.type,
+                        resourceId: resource.id,
+                    },
+                },
+                create: {
+                    userId,
+                    permissionId: permission.id,
+                    resourceType: resource.type,
+                    resourceId: resource.id,
+                    granted,
+                    ...window,
+                    condition,
+                },
+                update: { granted, ...window, condition },
+                include: { permission: true },
+            });
+        }
+
         // Upsert the user permission
         return await this.prisma.userPermission.upsert({
             where: {
-                userId_permissionId: { userId, permissionId: permission.id },
+                userId_permissionId_tenantId: { userId, permissionId: permission.id, tenantId },
             },
-            create: { userId, permissionId: permission.id, granted },
-            update: { granted },
+            create: { userId, permissionId: permission.id, tenantId, granted, ...window, condition },
+            update: { granted, ...window, condition },
             include: { permission: true },
         });
     }
 
-    async removePermissionFromUser(permissionKey, userId) {
-        this.logger.debug('removePermissionFromUser:', permissionKey, userId);
+    async removePermissionFromUser(permissionKey, userId, options = {}) {
+        this.logger.debug('removePermissionFromUser:', permissionKey, userId, options);
+        const resource = getAssignmentResource(options);
 
         const permission = await this.getPermission(permissionKey);
         if (!permission) {
@@ -384,9 +493,27 @@ class PrismaAdapter extends BaseAdapter {
         }
 
         try {
+            if (resource) {
+                await this.prisma.userResourcePermission.delete({
+                    where: {
+                        userId_permissionId_resourceType_resourceId: {
+                            userId,
+                            permissionId: permission.id,
+                            resourceType: resource.type,
+                            resourceId: resource.id,
+                        },
+                    },
+                });
+                return true;
+            }
+
             await this.prisma.userPermission.delete({
                 where: {
-                    userId_permissionId: { userId, permissionId: permission.id },
+                    userId_permissionId_tenantId: {
+                        userId,
+                        permissionId: permission.id,
+                        tenantId: toTenantKey(options.tenantId),
+                    },
                 },
             });
             return true;
@@ -398,17 +525,21 @@ class PrismaAdapter extends BaseAdapter {
         }
     }
 
-    async getUserDirectPermissions(userId) {
-        this.logger.debug('getUserDirectPermissions:', userId);
+    async getUserDirectPermissions(userId, options = {}) {
+        this.logger.debug('getUserDirectPermissions:', userId, options);
 
         const userPermissions = await this.prisma.userPermission.findMany({
-            where: { userId },
+            where: { userId, tenantId: { in: tenantScope(options.tenantId) } },
             include: { permission: true },
         });
 
         return userPermissions.map(up => ({
             ...up.permission,
             granted: up.granted,
+            tenantId: fromTenantKey(up.tenantId),
+            validFrom: up.validFrom,
+            expiresAt: up.expiresAt,
+            condition: up.condition,
         }));
     }
 
@@ -430,28 +561,238 @@ class PrismaAdapter extends BaseAdapter {
             return null;
         }
 
-        return { granted: rolePermission.granted };
+        return {
+            granted: rolePermission.granted,
+            validFrom: rolePermission.validFrom,
+            expiresAt: rolePermission.expiresAt,
+            condition: rolePermission.condition,
+        };
     }
 
-    async getUserPermission(userId, permissionKey) {
-        this.logger.debug('getUserPermission:', userId, permissionKey);
+    async getUserPermission(userId, permissionKey, options = {}) {
+        this.logger.debug('getUserPermission:', userId, permissionKey, options);
 
         const permission = await this.getPermission(permissionKey);
         if (!permission) {
             return null;
         }
 
-        const userPermission = await this.prisma.userPermission.findUnique({
+        const userPermissions = await this.prisma.userPermission.findMany({
             where: {
-                userId_permissionId: { userId, permissionId: permission.id },
+                userId,
+                permissionId: permission.id,
+                tenantId: { in: tenantScope(options.tenantId) },
             },
         });
 
+        // Tenant-specific assignment overrides the global one
+        const userPermission = selectAssignment(userPermissions);
         if (!userPermission) {
             return null;
         }
 
-        return { granted: userPermission.granted };
+        return {
+            granted: userPermission.granted,
+            tenantId: fromTenantKey(userPermission.tenantId),
+            validFrom: userPermission.validFrom,
+            expiresAt: userPermission.expiresAt,
+            condition: userPermission.condition,
+        };
+    }
+
+    async getResourcePermissions(resourceType, resourceId) {
+        this.logger.debug('getResourcePermissions:', resourceType, resourceId);
+
+        const where = { resourceType, resourceId: String(resourceId) };
+        const rolePermissions = await this.prisma.roleResourcePermission.findMany({
+            where,
+            include: { permission: true },
+        });
+        const userPermissions = await this.prisma.userResourcePermission.findMany({
+            where,
+            include: { permission: true },
+        });
+
+        return [
+            ...userPermissions.map(up => ({
+                ...up.permission,
+                granted: up.granted,
+                targetType: 'user',
+                targetId: up.userId,
+                resourceType: up.resourceType,
+                resourceId: up.resourceId,
+                validFrom: up.validFrom,
+                expiresAt: up.expiresAt,
+                condition: up.condition,
+            })),
+            ...rolePermissions.map(rp => ({
+                ...rp.permission,
+                granted: rp.granted,
+                targetType: 'role',
+                targetId: rp.roleId,
+                resourceType: rp.resourceType,
+                resourceId: rp.resourceId,
+                validFrom: rp.validFrom,
+                expiresAt: rp.expiresAt,
+                condition: rp.condition,
+            })),
+        ];
+    }
+
+    // ==================== Bulk Operations ====================
+
+    // createMany needs Prisma 5.12 or later on SQLite
+
+    async assignRoleToUsers(userIds, roleId, options = {}) {
+        this.logger.debug('assignRoleToUsers:', userIds, roleId, options);
+        const tenantId = toTenantKey(options.tenantId);
+        const window = getAssignmentWindow(options);
+
+        // Check if role exists
+        const role = await this.getRole(roleId);
+        if (!role) {
+            throw new RoleNotFoundError(roleId);
+        }
+
+        const existing = await this.prisma.userRole.findMany({
+            where: { roleId, tenantId, userId: { in: userIds } },
+            select: { userId: true },
+        });
+        const held = new Set(existing.map(ur => ur.userId));
+
+        const assigned = userIds.filter(userId => !held.has(userId));
+        if (assigned.length > 0) {
+            await this.prisma.userRole.createMany({
+                data: assigned.map(userId => ({ userId, roleId, tenantId, ...window })),
+            });
+        }
+        return assigned;
+    }
+
+    async assignPermissionsToRole(assignments, roleId) {
+        this.logger.debug('assignPermissionsToRole:', assignments, roleId);
+
+        // Check if role exists
+        const role = await this.getRole(roleId);
+        if (!role) {
+            throw new RoleNotFoundError(roleId);
+        }
+
+        const rows = assignments.map(({ key, granted, ...options }) => ({
+            key,
+            data: { granted, ...getAssignmentWindow(options), condition: options.condition || null },
+        }));
+        const keys = rows.map(row => row.key);
+
+        return await this.transaction(async (adapter) => {
+            const { prisma } = adapter;
+
+            // Get or create permissions
+            let permissions = await prisma.permission.findMany({ where: { key: { in: keys } } });
+            const known = new Set(permissions.map(p => p.key));
+            const missing = keys.filter(key => !known.has(key));
+            if (missing.length > 0) {
+                await prisma.permission.createMany({ data: missing.map(key => ({ key })) });
+                permissions = await prisma.permission.findMany({ where: { key: { in: keys } } });
+            }
+            const byKey = new Map(permissions.map(p => [p.key, p]));
+            const permissionIds = permissions.map(p => p.id);
+
+            // There is no bulk upsert: replace the rows, keeping when each was first assigned
+            const current = await prisma.rolePermission.findMany({
+                where: { roleId, permissionId: { in: permissionIds } },
+                select: { permissionId: true, assignedAt: true },
+            });
+            const assignedAt = new Map(current.map(rp => [rp.permissionId, rp.assignedAt]));
+            await prisma.rolePermission.deleteMany({ where: { roleId, permissionId: { in: permissionIds } } });
+            await prisma.rolePermission.createMany({
+                data: rows.map(({ key, data }) => {
+                    const permissionId = byKey.get(key).id;
+                    return { roleId, permissionId, ...data, assignedAt: assignedAt.get(permissionId) ?? new Date() };
+                }),
+            });
+            return rows.length;
+        });
+    }
+
+    async removePermissionsFromRole(permissionKeys, roleId) {
+        this.logger.debug('removePermissionsFromRole:', permissionKeys, roleId);
+
+        const { count } = await this.prisma.rolePermission.deleteMany({
+            where: { roleId, permission: { key: { in: permissionKeys } } },
+        });
+        return count;
+    }
+
+    // ==================== Audit Operations ====================
+
+    supportsAudit() {
+        // Missing when the schema predates the PermissionAuditLog model
+        return Boolean(this.prisma.permissionAuditLog);
+    }
+
+    async recordAudit(record) {
+        this.logger.debug('recordAudit:', record.action);
+
+        const row = await this.prisma.permissionAuditLog.create({
+            data: {
+                ...record,
+                before: serializeAuditState(record.before),
+                after: serializeAuditState(record.after),
+            },
+        });
+        return this._toAuditRecord(row);
+    }
+
+    async getAuditLog(filter = {}) {
+        this.logger.debug('getAuditLog:', filter);
+
+        const where = {};
+        for (const field of ['userId', 'roleId', 'actorId', 'action']) {
+            if (filter[field] != null) {
+                where[field] = filter[field];
+            }
+        }
+        if (filter.since || filter.until) {
+            where.createdAt = {
+                ...(filter.since && { gte: filter.since }),
+                ...(filter.until && { lt: filter.until }),
+            };
+        }
+
+        const rows = await this.prisma.permissionAuditLog.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            ...(filter.limit && { take: filter.limit }),
+        });
+        return rows.map(row => this._toAuditRecord(row));
+    }
+
+    /**
+     * @private
+     */
+    _toAuditRecord(row) {
+        return {
+            ...row,
+            before: parseAuditState(row.before),
+            after: parseAuditState(row.after),
+        };
+    }
+
+    // ==================== Maintenance Operations ====================
+
+    async purgeExpiredAssignments(before = new Date()) {
+        this.logger.debug('purgeExpiredAssignments:', before);
+
+        // All tables or none, like the other adapters; joins a running transaction
+        const where = { expiresAt: { lte: before } };
+        return await this.transaction(async ({ prisma }) => {
+            let total = 0;
+            for (const model of ['userRole', 'userPermission', 'rolePermission', 'userResourcePermission', 'roleResourcePermission']) {
+                total += (await prisma[model].deleteMany({ where })).count;
+            }
+            return total;
+        });
     }
 
     // ==================== Listing Operations ====================
@@ -471,6 +812,28 @@ class PrismaAdapter extends BaseAdapter {
             orderBy: { priority: 'desc' },
         });
     }
+
+    async getDefaultRoles() {
+        this.logger.debug('getDefaultRoles');
+
+        return await this.prisma.role.findMany({
+            where: { isDefault: true },
+            orderBy: { priority: 'desc' },
+        });
+    }
+
+    // ==================== Transaction Operations ====================
+
+    async transaction(callback, options = {}) {
+        this.logger.debug('transaction:', options);
+
+        // An interactive transaction client has no $transaction; we are already inside one
+        if (typeof this.prisma.$transaction !== 'function') {
+            return await callback(this);
+        }
+
+        return await this.prisma.$transaction(tx => callback(new PrismaAdapter(tx, this.logger)), options);
+    }
 }
 
 export default PrismaAdapter;
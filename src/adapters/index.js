@@ -1,5 +1,8 @@
 import BaseAdapter from './BaseAdapter.js';
 import PrismaAdapter from './PrismaAdapter.js';
+import MemoryAdapter from './MemoryAdapter.js';
+import KnexAdapter from './KnexAdapter.js';
+import { knexMigrationSource } from './knexMigrations.js';
 
-export { BaseAdapter, PrismaAdapter };
+export { BaseAdapter, PrismaAdapter, MemoryAdapter, KnexAdapter, knexMigrationSource };
 export default PrismaAdapter;
@@ -0,0 +1,199 @@
+/**
+ * Table names, shared with the Prisma schema (`@@map`) so both adapters can use the same database
+ */
+const TABLES = {
+    roles: 'roles',
+    permissions: 'permissions',
+    userRoles: 'user_roles',
+    rolePermissions: 'role_permissions',
+    userPermissions: 'user_permissions',
+    roleInheritance: 'role_inheritance',
+    roleResourcePermissions: 'role_resource_permissions',
+    userResourcePermissions: 'user_resource_permissions',
+    auditLog: 'permission_audit_log',
+};
+
+/**
+ * Length of ID and key columns, Prisma's default for String on MySQL
+ * Composite primary keys of up to four such columns stay within MySQL's 3072-byte
+ * index limit under utf8mb4; 255 would not.
+ * @private
+ */
+const KEY_LENGTH = 191;
+
+/**
+ * Validity window columns of an assignment table
+ * @private
+ */
+function windowColumns(table) {
+    table.timestamp('validFrom').nullable(); // null = in effect immediately
+    table.timestamp('expiresAt').nullable(); // null = never expires
+}
+
+/**
+ * Create the tables of the Prisma schema in src/prisma/schema.prisma
+ * Column names match the Prisma fields. Foreign keys to your users table are
+ * left out, as its name is not known here.
+ * @private
+ */
+async function createTables(knex) {
+    await knex.schema.createTable(TABLES.roles, (table) => {
+        table.string('id', KEY_LENGTH).primary();
+        table.string('name').notNullable().unique();
+        table.string('description').nullable();
+        table.integer('priority').notNullable().defaultTo(0);
+        table.boolean('isDefault').notNullable().defaultTo(false);
+        table.timestamp('createdAt').notNullable().defaultTo(knex.fn.now());
+        table.timestamp('updatedAt').notNullable().defaultTo(knex.fn.now());
+    });
+
+    await knex.schema.createTable(TABLES.permissions, (table) => {
+        table.string('id', KEY_LENGTH).primary();
+        table.string('key').notNullable().unique();
+        table.string('description').nullable();
+        table.string('category').nullable().index();
+        table.timestamp('createdAt').notNullable().defaultTo(knex.fn.now());
+    });
+
+    await knex.schema.createTable(TABLES.userRoles, (table) => {
+        table.string('userId', KEY_LENGTH).notNullable();
+        table.string('roleId', KEY_LENGTH).notNullable().references('id').inTable(TABLES.roles).onDelete('CASCADE');
+        table.string('tenantId', KEY_LENGTH).notNullable().defaultTo(''); // '' = global assignment
+        table.timestamp('assignedAt').notNullable().defaultTo(knex.fn.now());
+        windowColumns(table);
+        table.primary(['userId', 'roleId', 'tenantId']);
+    });
+
+    await knex.schema.createTable(TABLES.rolePermissions, (table) => {
+        table.string('roleId', KEY_LENGTH).notNullable().references('id').inTable(TABLES.roles).onDelete('CASCADE');
+        table.string('permissionId', KEY_LENGTH).notNullable().references('id').inTable(TABLES.permissions).onDelete('CASCADE');
+        table.boolean('granted').notNullable().defaultTo(true);
+        table.timestamp('assignedAt').notNullable().defaultTo(knex.fn.now());
+        windowColumns(table);
+        table.string('condition').nullable(); // Registered condition name, null = unconditional
+        table.primary(['roleId', 'permissionId']);
+    });
+
+    await knex.schema.createTable(TABLES.userPermissions, (table) => {
+        table.string('userId', KEY_LENGTH).notNullable();
+        table.string('permissionId', KEY_LENGTH).notNullable().references('id').inTable(TABLES.permissions).onDelete('CASCADE');
+        table.string('tenantId', KEY_LENGTH).notNullable().defaultTo(''); // '' = global assignment
+        table.boolean('granted').notNullable().defaultTo(true);
+        table.timestamp('assignedAt').notNullable().defaultTo(knex.fn.now());
+        windowColumns(table);
+        table.string('condition').nullable();
+        table.primary(['userId', 'permissionId', 'tenantId']);
+    });
+
+    await knex.schema.createTable(TABLES.roleInheritance, (table) => {
+        table.string('roleId', KEY_LENGTH).notNullable().references('id').inTable(TABLES.roles).onDelete('CASCADE');
+        table.string('inheritsFromId', KEY_LENGTH).notNullable().references('id').inTable(TABLES.roles).onDelete('CASCADE');
+        table.integer('priority').notNullable().defaultTo(0);
+        table.timestamp('createdAt').notNullable().defaultTo(knex.fn.now());
+        table.primary(['roleId', 'inheritsFromId']);
+    });
+
+    await knex.schema.createTable(TABLES.roleResourcePermissions, (table) => {
+        table.string('roleId', KEY_LENGTH).notNullable().references('id').inTable(TABLES.roles).onDelete('CASCADE');
+        table.string('permissionId', KEY_LENGTH).notNullable().references('id').inTable(TABLES.permissions).onDelete('CASCADE');
+        table.string('resourceType', KEY_LENGTH).notNullable();
+        table.string('resourceId', KEY_LENGTH).notNullable();
+        table.boolean('granted').notNullable().defaultTo(true);
+        table.timestamp('assignedAt').notNullable().defaultTo(knex.fn.now());
+        windowColumns(table);
+        table.string('condition').nullable();
+        table.primary(['roleId', 'permissionId', 'resourceType', 'resourceId']);
+        table.index(['resourceType', 'resourceId']);
+    });
+
+    await knex.schema.createTable(TABLES.userResourcePermissions, (table) => {
+        table.string('userId', KEY_LENGTH).notNullable();
+        table.string('permissionId', KEY_LENGTH).notNullable().references('id').inTable(TABLES.permissions).onDelete('CASCADE');
+        table.string('resourceType', KEY_LENGTH).notNullable();
+        table.string('resourceId', KEY_LENGTH).notNullable();
+        table.boolean('granted').notNullable().defaultTo(true);
+        table.timestamp('assignedAt').notNullable().defaultTo(knex.fn.now());
+        windowColumns(table);
+        table.string('condition').nullable();
+        table.primary(['userId', 'permissionId', 'resourceType', 'resourceId']);
+        table.index(['resourceType', 'resourceId']);
+    });
+}
+
+/**
+ * Drop the tables, dependents first
+ * @private
+ */
+async function dropTables(knex) {
+    for (const name of [
+        TABLES.userResourcePermissions,
+        TABLES.roleResourcePermissions,
+        TABLES.roleInheritance,
+        TABLES.userPermissions,
+        TABLES.rolePermissions,
+        TABLES.userRoles,
+        TABLES.permissions,
+        TABLES.roles,
+    ]) {
+        await knex.schema.dropTableIfExists(name);
+    }
+}
+
+/**
+ * Create the audit log table
+ * @private
+ */
+async function createAuditLog(knex) {
+    await knex.schema.createTable(TABLES.auditLog, (table) => {
+        table.string('id').primary();
+        table.string('actorId').nullable(); // null = no actor given
+        table.string('action').notNullable();
+        table.string('userId').nullable().index();
+        table.string('roleId').nullable().index();
+        table.string('permissionKey').nullable();
+        table.text('before').nullable(); // JSON
+        table.text('after').nullable(); // JSON
+        table.timestamp('createdAt').notNullable().defaultTo(knex.fn.now()).index();
+    });
+}
+
+/**
+ * @private
+ */
+async function dropAuditLog(knex) {
+    await knex.schema.dropTableIfExists(TABLES.auditLog);
+}
+
+/**
+ * Migrations in the order they apply, keyed by name
+ * @private
+ */
+const migrations = {
+    '20260301000000_v_perms_init': { up: createTables, down: dropTables },
+    '20260401000000_v_perms_audit_log': { up: createAuditLog, down: dropAuditLog },
+};
+
+/**
+ * Knex migration source for the v-perms tables
+ *
+ * Runs alongside your own migrations:
+ *   await knex.migrate.latest({ migrationSource: knexMigrationSource, tableName: 'v_perms_migrations' })
+ *
+ * Use a separate `tableName` so Knex does not confuse these migrations with files
+ * in your migrations directory.
+ */
+const knexMigrationSource = {
+    async getMigrations() {
+        return Object.keys(migrations);
+    },
+
+    getMigrationName(migration) {
+        return migration;
+    },
+
+    async getMigration(migration) {
+        return migrations[migration];
+    },
+};
+
+export { TABLES, knexMigrationSource };
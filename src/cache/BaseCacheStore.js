@@ -0,0 +1,58 @@
+/**
+ * Base cache store interface used by CacheManager
+ * Stores hold serialized (string) values; all methods must be implemented by concrete stores
+ */
+class BaseCacheStore {
+    /**
+     * Get a value
+     * @param {string} key
+     * @returns {Promise<string|null>}
+     */
+    async get(key) {
+        throw new Error('get must be implemented');
+    }
+
+    /**
+     * Get several values at once
+     * @param {string[]} keys
+     * @returns {Promise<Array<string|null>>} - Values in the same order as keys
+     */
+    async getMany(keys) {
+        throw new Error('getMany must be implemented');
+    }
+
+    /**
+     * Set a value with a time-to-live
+     * @param {string} key
+     * @param {string} value
+     * @param {number} ttl - Time to live in seconds
+     * @returns {Promise<void>}
+     */
+    async set(key, value, ttl) {
+        throw new Error('set must be implemented');
+    }
+
+    /**
+     * Delete one or more keys
+     * @param {string[]} keys
+     * @returns {Promise<void>}
+     */
+    async delete(keys) {
+        throw new Error('delete must be implemented');
+    }
+
+    /**
+     * Atomically increment a counter, creating it at 1 if missing
+     * Counters are used as cache generations. They must not expire or be evicted while
+     * entries written under them can still be read; stores that expire keys keep the
+     * counter for ttl seconds after each increment, so idle counters do not pile up.
+     * @param {string} key
+     * @param {number} ttl - Seconds the counter must be kept after this increment
+     * @returns {Promise<number>} - The new value
+     */
+    async increment(key, ttl) {
+        throw new Error('increment must be implemented');
+    }
+}
+
+export default BaseCacheStore;
@@ -0,0 +1,101 @@
+import BaseCacheStore from './BaseCacheStore.js';
+
+/**
+ * In-process LRU cache store with per-entry TTL
+ * Suited to single-instance and serverless deployments; entries are not
+ * shared between processes.
+ *
+ * Generation counters are bounded by the same limit. A counter read back as
+ * missing starts again from 0, which could make entries written under an older
+ * generation readable again, so evicting counters also drops every entry.
+ * Counters are evicted a quarter at a time to keep that rare.
+ */
+class MemoryCacheStore extends BaseCacheStore {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxEntries - Maximum number of entries, and of generation counters, before the least
+     *   recently used are evicted (default: 10000)
+     */
+    constructor(options = {}) {
+        super();
+        this.options = {
+            maxEntries: 10000,
+            ...options,
+        };
+        this.entries = new Map();
+        this.counters = new Map();
+    }
+
+    async get(key) {
+        if (this.counters.has(key)) {
+            // Re-insert to mark as most recently used
+            const value = this.counters.get(key);
+            this.counters.delete(key);
+            this.counters.set(key, value);
+            return String(value);
+        }
+
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async getMany(keys) {
+        const values = [];
+        for (const key of keys) {
+            values.push(await this.get(key));
+        }
+        return values;
+    }
+
+    async set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+
+        // Map iteration order is insertion order, so the first key is the least recently used
+        while (this.entries.size > this.options.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(keys) {
+        for (const key of keys) {
+            this.entries.delete(key);
+        }
+    }
+
+    async increment(key) {
+        const value = (this.counters.get(key) || 0) + 1;
+        this.counters.delete(key);
+        this.counters.set(key, value);
+
+        if (this.counters.size > this.options.maxEntries) {
+            const keep = Math.floor(this.options.maxEntries * 0.75);
+            const evicted = [...this.counters.keys()].slice(0, this.counters.size - keep);
+            for (const counter of evicted) {
+                this.counters.delete(counter);
+            }
+            this.entries.clear();
+        }
+        return value;
+    }
+
+    /**
+     * Number of entries currently held (including expired ones not yet evicted), not counting counters
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+}
+
+export default MemoryCacheStore;
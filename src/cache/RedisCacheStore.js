@@ -0,0 +1,39 @@
+import BaseCacheStore from './BaseCacheStore.js';
+
+/**
+ * Cache store backed by a node-redis v4 client
+ *
+ * Works on Redis Cluster: getMany reads keys one by one, since the keys of different
+ * users and roles hash to different slots (node-redis pipelines the GETs into one round trip).
+ */
+class RedisCacheStore extends BaseCacheStore {
+    constructor(redisClient) {
+        super();
+        this.redis = redisClient;
+    }
+
+    async get(key) {
+        return await this.redis.get(key);
+    }
+
+    async getMany(keys) {
+        return await Promise.all(keys.map(key => this.redis.get(key)));
+    }
+
+    async set(key, value, ttl) {
+        await this.redis.setEx(key, ttl, value);
+    }
+
+    async delete(keys) {
+        if (keys.length > 0) {
+            await this.redis.del(keys);
+        }
+    }
+
+    async increment(key, ttl) {
+        const [value] = await this.redis.multi().incr(key).expire(key, ttl).exec();
+        return value;
+    }
+}
+
+export default RedisCacheStore;
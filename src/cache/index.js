@@ -0,0 +1,5 @@
+import BaseCacheStore from './BaseCacheStore.js';
+import MemoryCacheStore from './MemoryCacheStore.js';
+import RedisCacheStore from './RedisCacheStore.js';
+
+export { BaseCacheStore, MemoryCacheStore, RedisCacheStore };
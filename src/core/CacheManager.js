@@ -1,9 +1,32 @@
+import RedisCacheStore from '../cache/RedisCacheStore.js';
+
 /**
- * Cache manager for Redis-based caching of permission checks
+ * Cache manager for permission checks on top of a pluggable cache store
+ *
+ * Invalidation never scans the keyspace. Every entry key embeds the current
+ * global generation and the generation of the user/role it belongs to, e.g.
+ * `v-perms:user:<userId>:<global>.<user>:<permissionKey>`. Invalidating bumps a
+ * counter, so older entries are simply never read again and expire via TTL.
+ *
+ * Entries derived from roles (a user's roles, a role's inherited roles) also
+ * record the generation of each role they depend on. Invalidating a role
+ * therefore invalidates every user and role result computed from it.
+ *
+ * Generations must be read before the value is computed (see snapshot()):
+ * read afterwards, an invalidation that ran during the computation would be
+ * recorded as already seen, and the stale value served until its TTL.
+ *
+ * Results that change at a scheduled time (an assignment starting or expiring)
+ * are kept no longer than that boundary.
  */
 class CacheManager {
-    constructor(redisClient, options = {}) {
-        this.redis = redisClient;
+    /**
+     * @param {BaseCacheStore|Object|null} store - Cache store, or a node-redis v4 client (wrapped in RedisCacheStore)
+     * @param {Object} options - { enabled, ttl, prefix }
+     */
+    constructor(store, options = {}) {
+        // Accept a raw node-redis client for backwards compatibility
+        this.store = store && typeof store.setEx === 'function' ? new RedisCacheStore(store) : store;
         this.options = {
             enabled: true,
             ttl: 300, // 5 minutes in seconds
@@ -20,6 +43,62 @@ class CacheManager {
         return `${this.options.prefix}${type}:${parts.join(':')}`;
     }
 
+    /**
+     * Build the key of a generation counter (global when no type is given)
+     * @private
+     */
+    _buildGenerationKey(type = null, id = null) {
+        return type ? `${this.options.prefix}gen:${type}:${id}` : `${this.options.prefix}gen`;
+    }
+
+    /**
+     * Build the versioned key of an entry, i.e. type:id:<global>.<owner>:rest
+     * @private
+     */
+    async _buildEntryKey(type, id, ...rest) {
+        const [globalGen, ownerGen] = await this.store.getMany([
+            this._buildGenerationKey(),
+            this._buildGenerationKey(type, id),
+        ]);
+        return this._buildKey(type, id, `${globalGen || 0}.${ownerGen || 0}`, ...rest);
+    }
+
+    /**
+     * Snapshot the current generation of each role
+     * @private
+     */
+    async _getRoleGenerations(roleIds) {
+        if (roleIds.length === 0) return {};
+
+        const generations = await this.store.getMany(roleIds.map(id => this._buildGenerationKey('role', id)));
+        return Object.fromEntries(roleIds.map((id, i) => [id, Number(generations[i]) || 0]));
+    }
+
+    /**
+     * Check that none of the roles an entry depends on changed since it was cached
+     * @private
+     */
+    async _dependenciesCurrent(roles) {
+        const roleIds = Object.keys(roles || {});
+        const current = await this._getRoleGenerations(roleIds);
+        return roleIds.every(id => current[id] === roles[id]);
+    }
+
+    /**
+     * Bump a generation counter
+     * @private
+     */
+    async _bumpGeneration(type = null, id = null) {
+        if (!this.store) return;
+
+        try {
+            // Twice the TTL: an entry computed just before the bump may be written after it
+            await this.store.increment(this._buildGenerationKey(type, id), this.options.ttl * 2);
+        } catch (error) {
+            // Fail silently
+        }
+    }
+
     /**
      * Get value from cache
      * @param {string} type - Cache type (e.g., 'user', 'role')
@@ -27,12 +106,18 @@ class CacheManager {
      * @returns {Promise<any|null>}
      */
     async get(type, ...parts) {
-        if (!this.options.enabled || !this.redis) return null;
+        if (!this.options.enabled || !this.store) return null;
 
         try {
-            const key = this._buildKey(type, ...parts);
-            const value = await this.redis.get(key);
-            return value ? JSON.parse(value) : null;
+            const key = await this._buildEntryKey(type, ...parts);
+            const raw = await this.store.get(key);
+            if (!raw) return null;
+
+            const entry = JSON.parse(raw);
+            if (entry.until && Date.now() >= entry.until) return null;
+            if (!(await this._dependenciesCurrent(entry.roles))) return null;
+
+            return entry.value;
         } catch (error) {
             // Fail silently on cache errors
             return null;
@@ -46,11 +131,77 @@ class CacheManager {
      * @param {...string} parts - Key parts
      */
     async set(type, value, ...parts) {
-        if (!this.options.enabled || !this.redis) return;
+        await this.setWithDependencies(type, value, {}, ...parts);
+    }
+
+    /**
+     * Read the generations an entry depends on, before computing its value
+     * Add the roles the value is derived from with snapshotRoles as they are found,
+     * before reading their data, and pass the snapshot to setWithDependencies.
+     * @param {string} type - Cache type
+     * @param {string} id - ID of the user or role the entry belongs to
+     * @returns {Promise<Object|null>} - { generation, roles }, or null when caching is off
+     */
+    async snapshot(type, id) {
+        if (!this.options.enabled || !this.store) return null;
+
+        try {
+            const [globalGen, ownerGen] = await this.store.getMany([
+                this._buildGenerationKey(),
+                this._buildGenerationKey(type, id),
+            ]);
+            return { generation: `${globalGen || 0}.${ownerGen || 0}`, roles: {} };
+        } catch (error) {
+            // Fail silently on cache errors
+            return null;
+        }
+    }
+
+    /**
+     * Add the current generation of roles to a snapshot; roles already in it are kept
+     * @param {Object|null} snapshot - From snapshot()
+     * @param {string[]} roleIds
+     */
+    async snapshotRoles(snapshot, roleIds) {
+        if (!snapshot) return;
+
+        const missing = roleIds.filter(id => !(id in snapshot.roles));
+        try {
+            Object.assign(snapshot.roles, await this._getRoleGenerations(missing));
+        } catch (error) {
+            // Fail silently on cache errors
+        }
+    }
+
+    /**
+     * Set a value derived from roles, so it is invalidated when any of them change
+     * @param {string} type - Cache type
+     * @param {any} value - Value to cache
+     * @param {Object} dependencies - { roleIds?, expiresAt?, snapshot? }: roles the value was computed from,
+     *   the time it stops being valid and the generations read before computing it. Without a snapshot,
+     *   generations are read now.
+     * @param {...string} parts - Key parts
+     */
+    async setWithDependencies(type, value, { roleIds = [], expiresAt = null, snapshot = null }, ...parts) {
+        if (!this.options.enabled || !this.store) return;
+
+        let ttl = this.options.ttl;
+        if (expiresAt) {
+            const remaining = Math.ceil((expiresAt.getTime() - Date.now()) / 1000);
+            if (remaining <= 0) return;
+            ttl = Math.min(ttl, remaining);
+        }
 
         try {
-            const key = this._buildKey(type, ...parts);
-            await this.redis.setEx(key, this.options.ttl, JSON.stringify(value));
+            const [id, ...rest] = parts;
+            const key = snapshot
+                ? this._buildKey(type, id, snapshot.generation, ...rest)
+                : await this._buildEntryKey(type, ...parts);
+            const known = snapshot?.roles ?? {};
+            const current = await this._getRoleGenerations(roleIds.filter(roleId => !(roleId in known)));
+            const roles = Object.fromEntries(roleIds.map(roleId => [roleId, roleId in known ? known[roleId] : current[roleId]]));
+            const entry = expiresAt ? { value, roles, until: expiresAt.getTime() } : { value, roles };
+            await this.store.set(key, JSON.stringify(entry), ttl);
         } catch (error) {
             // Fail silently on cache errors
         }
@@ -62,11 +213,11 @@ class CacheManager {
      * @param {...string} parts - Key parts
      */
     async delete(type, ...parts) {
-        if (!this.redis) return;
+        if (!this.store) return;
 
         try {
-            const key = this._buildKey(type, ...parts);
-            await this.redis.del(key);
+            const key = await this._buildEntryKey(type, ...parts);
+            await this.store.delete([key]);
         } catch (error) {
             // Fail silently
         }
@@ -77,52 +228,49 @@ class CacheManager {
      * @param {string} userId
      */
     async invalidateUser(userId) {
-        if (!this.redis) return;
+        await this._bumpGeneration('user', userId);
+    }
 
-        try {
-            const pattern = this._buildKey('user', userId, '*');
-            const keys = await this.redis.keys(pattern);
-            if (keys.length > 0) {
-                await this.redis.del(...keys);
-            }
-        } catch (error) {
-            // Fail silently
-        }
+    /**
+     * Invalidate all cache entries for several users
+     * @param {string[]} userIds
+     */
+    async invalidateUsers(userIds) {
+        await Promise.all(userIds.map(userId => this._bumpGeneration('user', userId)));
     }
 
     /**
-     * Invalidate all cache entries for a role
+     * Invalidate all cache entries for a role, and every user or role
+     * entry that was derived from it
      * @param {string} roleId
      */
     async invalidateRole(roleId) {
-        if (!this.redis) return;
-
-        try {
-            const pattern = this._buildKey('role', roleId, '*');
-            const keys = await this.redis.keys(pattern);
-            if (keys.length > 0) {
-                await this.redis.del(...keys);
-            }
-        } catch (error) {
-            // Fail silently
-        }
+        await this._bumpGeneration('role', roleId);
     }
 
     /**
      * Clear entire permission cache
      */
     async clear() {
-        if (!this.redis) return;
+        await this._bumpGeneration();
+    }
 
-        try {
-            const pattern = `${this.options.prefix}*`;
-            const keys = await this.redis.keys(pattern);
-            if (keys.length > 0) {
-                await this.redis.del(...keys);
-            }
-        } catch (error) {
-            // Fail silently
-        }
+    /**
+     * Get a view of this cache for work inside a transaction
+     * Reads miss and writes are dropped, so results computed from uncommitted data
+     * are never shared. Invalidations are queued instead of applied; run them once
+     * the transaction commits, or discard them on rollback.
+     * @param {Function[]} pending - Receives one async function per invalidation
+     * @returns {CacheManager}
+     */
+    deferred(pending) {
+        return Object.create(this, {
+            get: { value: async () => null },
+            snapshot: { value: async () => null },
+            setWithDependencies: { value: async () => {} },
+            delete: { value: async (...args) => { pending.push(() => this.delete(...args)); } },
+            _bumpGeneration: { value: async (...args) => { pending.push(() => this._bumpGeneration(...args)); } },
+        });
     }
 
     /**
@@ -130,7 +278,7 @@ class CacheManager {
      * @returns {boolean}
      */
     isEnabled() {
-        return this.options.enabled && this.redis !== null;
+        return this.options.enabled && this.store !== null;
     }
 
     /**
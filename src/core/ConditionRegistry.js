@@ -0,0 +1,86 @@
+import Logger from '../utils/logger.js';
+
+/**
+ * Named predicates that permission assignments can reference
+ *
+ * A grant or ban with a condition only applies when its predicate returns true
+ * for the check's context, e.g. `(ctx) => ctx.resource.ownerId === ctx.userId`.
+ * Predicates must be synchronous so compiled permission sets can evaluate them.
+ *
+ * Assignments may reference a condition this process never registered, e.g. one
+ * stored by another service, and predicates may throw, e.g. on a context without the
+ * resource they read. Checks then fail closed for that assignment only: a grant does
+ * not apply and a ban does. Each name is logged once, even without debug.
+ */
+class ConditionRegistry {
+    /**
+     * @param {Logger} logger - Reports conditions checks found unregistered
+     */
+    constructor(logger = new Logger()) {
+        this.logger = logger;
+        this.conditions = new Map();
+        this.missing = new Set();
+        this.failed = new Set();
+    }
+
+    /**
+     * Register a condition; registering an existing name replaces its predicate
+     * @param {string} name
+     * @param {Function} predicate - (context) => boolean
+     */
+    register(name, predicate) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Condition name must be a non-empty string.');
+        }
+        if (typeof predicate !== 'function') {
+            throw new Error(`Condition ${name} must be a function.`);
+        }
+        this.conditions.set(name, predicate);
+        this.missing.delete(name);
+        this.failed.delete(name);
+    }
+
+    /**
+     * Check whether a condition is registered
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.conditions.has(name);
+    }
+
+    /**
+     * Evaluate a condition against a check's context
+     * @param {string} name
+     * @param {Object} context - The check context plus userId/roleId and permissionKey
+     * @param {boolean} granted - Whether the assignment is a grant, deciding how an unregistered or throwing condition resolves
+     * @returns {boolean} - Whether the assignment applies
+     */
+    evaluate(name, context, granted = true) {
+        const predicate = this.conditions.get(name);
+        if (!predicate) {
+            if (!this.missing.has(name)) {
+                this.missing.add(name);
+                this.logger.alertWarn(`Condition "${name}" is not registered; ${granted ? 'grants' : 'bans'} using it fail closed. Register it with registerCondition().`);
+            }
+            return !granted;
+        }
+
+        let result;
+        try {
+            result = predicate(context);
+        } catch (error) {
+            if (!this.failed.has(name)) {
+                this.failed.add(name);
+                this.logger.alertWarn(`Condition "${name}" threw; ${granted ? 'grants' : 'bans'} using it fail closed:`, error);
+            }
+            return !granted;
+        }
+        if (result && typeof result.then === 'function') {
+            throw new Error(`Condition ${name} returned a promise. Conditions must be synchronous.`);
+        }
+        return Boolean(result);
+    }
+}
+
+export default ConditionRegistry;
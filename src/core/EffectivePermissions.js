@@ -0,0 +1,204 @@
+import { compilePattern, compareSpecificity } from '../utils/wildcard.js';
+
+/**
+ * One precedence layer: the user's direct assignments or a single role's
+ * @private
+ */
+class PermissionLayer {
+    constructor(permissions) {
+        this.exact = new Map();
+
+        for (const permission of permissions) {
+            // Tenant-specific assignments override global ones for the same key
+            const existing = this.exact.get(permission.key);
+            if (existing && existing.tenantId && !permission.tenantId) continue;
+
+            const entry = {
+                key: permission.key,
+                granted: permission.granted,
+                tenantId: permission.tenantId || null,
+                condition: permission.condition || null,
+            };
+            this.exact.set(permission.key, entry);
+        }
+
+        // Compiled wildcard entries, most specific first
+        this.wildcards = [...this.exact.values()]
+            .map(entry => ({ entry, matcher: compilePattern(entry.key) }))
+            .filter(({ matcher }) => matcher.wildcard)
+            .sort((a, b) => compareSpecificity(a.entry.key, b.entry.key));
+    }
+
+    /**
+     * Entries that cover a key, exact entry first, then wildcards by specificity
+     * @param {string} permissionKey
+     * @returns {Object[]}
+     */
+    matches(permissionKey) {
+        const exact = this.exact.get(permissionKey);
+        const wildcards = this.wildcards
+            .filter(({ entry, matcher }) => entry !== exact && matcher.test(permissionKey))
+            .map(({ entry }) => entry);
+        return exact ? [exact, ...wildcards] : wildcards;
+    }
+}
+
+/**
+ * Compiled, in-memory view of everything a user is granted or denied
+ * Resolves direct grants, bans, inherited roles and wildcard entries with the
+ * same precedence as PermissionChecker, so checks need no adapter calls.
+ */
+class EffectivePermissions {
+    /**
+     * @param {string} userId
+     * @param {Object} assignments
+     * @param {Array} assignments.userPermissions - Direct user assignments ({ key, granted })
+     * @param {Array} assignments.roles - Roles with inheritance ({ role, chain }), highest priority first
+     * @param {Map} assignments.rolePermissions - Role ID to role assignments ({ key, granted })
+     * @param {Array} assignments.resourcePermissions - Rules per resource level ({ resource, rules }), most specific first
+     * @param {Object} context - Check context the set was compiled for ({ tenantId?, resource?, ... }),
+     *   also passed to conditions
+     * @param {Object} options
+     * @param {Date|null} options.validUntil - Next time an assignment starts or expires
+     *   (assignments must already be filtered to those in effect)
+     * @param {ConditionRegistry|null} options.conditions - Registry for conditional assignments
+     */
+    constructor(userId, { userPermissions, roles, rolePermissions, resourcePermissions = [] }, context = {}, { validUntil = null, conditions = null } = {}) {
+        this.userId = userId;
+        this.tenantId = context.tenantId || null;
+        this.resource = context.resource || null;
+        this.roles = roles.map(({ role }) => ({ id: role.id, name: role.name, priority: role.priority }));
+        this.compiledAt = new Date();
+        this.validUntil = validUntil;
+        this._context = context;
+        this._conditions = conditions;
+
+        // Layers in precedence order: resource rules (user, then roles) per level, then global
+        this._layers = [];
+        resourcePermissions.forEach(({ resource, rules }, level) => {
+            const rulesFor = (targetType, targetId) =>
+                rules.filter(r => r.targetType === targetType && r.targetId === targetId);
+
+            // The checker only resolves roles once it gets past the first user lookup
+            this._addLayer('user', rulesFor('user', userId), { resource, rolesResolved: level > 0 });
+            for (const { role, chain, tenantId } of roles) {
+                this._addLayer('role', rulesFor('role', role.id), { role, chain, tenantId, resource });
+            }
+        });
+
+        this._addLayer('user', userPermissions, { rolesResolved: resourcePermissions.length > 0 });
+        for (const { role, chain, tenantId } of roles) {
+            this._addLayer('role', rolePermissions.get(role.id) || [], { role, chain, tenantId });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _addLayer(source, permissions, { role = null, chain = [], tenantId = null, resource = null, rolesResolved = true } = {}) {
+        if (permissions.length === 0) return;
+        this._layers.push({ source, role, chain, tenantId, resource, rolesResolved, layer: new PermissionLayer(permissions) });
+    }
+
+    /**
+     * Check a permission against the compiled set
+     * @param {string} permissionKey
+     * @returns {boolean}
+     */
+    can(permissionKey) {
+        return this.explain(permissionKey).granted;
+    }
+
+    /**
+     * Check that every permission is granted
+     * @param {string[]} permissionKeys - At least one key
+     * @returns {boolean}
+     */
+    canAll(permissionKeys) {
+        this._assertKeyList(permissionKeys, 'canAll');
+        return permissionKeys.every(key => this.can(key));
+    }
+
+    /**
+     * Check that at least one permission is granted
+     * @param {string[]} permissionKeys - At least one key
+     * @returns {boolean}
+     */
+    canAny(permissionKeys) {
+        this._assertKeyList(permissionKeys, 'canAny');
+        return permissionKeys.some(key => this.can(key));
+    }
+
+    /**
+     * Explain a decision against the compiled set
+     * Same shape as PermissionChecker#explain, without the lookup trace.
+     * @param {string} permissionKey
+     * @returns {Object}
+     */
+    explain(permissionKey) {
+        const decision = {
+            userId: this.userId,
+            permissionKey,
+            tenantId: this.tenantId,
+            granted: false,
+            source: 'default',
+            matchedKey: null,
+            wildcard: false,
+            role: null,
+            inheritanceChain: [],
+            resource: null,
+            roles: this.roles,
+            defaultDeny: false,
+            condition: null,
+            conditional: false,
+            validUntil: this.validUntil,
+        };
+
+        for (const { source, role, chain, tenantId, resource, rolesResolved, layer } of this._layers) {
+            const entry = layer.matches(permissionKey).find(candidate => {
+                if (!candidate.condition) return true;
+                decision.conditional = true;
+                return this._evaluateCondition(candidate, permissionKey);
+            });
+            if (!entry) continue;
+
+            return Object.assign(decision, {
+                granted: entry.granted,
+                source,
+                matchedKey: entry.key,
+                wildcard: entry.key !== permissionKey,
+                role: role ? { id: role.id, name: role.name, priority: role.priority, tenantId } : null,
+                inheritanceChain: chain.map(r => ({ id: r.id, name: r.name })),
+                resource,
+                roles: rolesResolved ? this.roles : null,
+                condition: entry.condition,
+            });
+        }
+
+        decision.defaultDeny = true;
+        return decision;
+    }
+
+    /**
+     * Whether a conditional entry applies; without a registry, like for an unregistered condition, it fails closed
+     * @private
+     */
+    _evaluateCondition({ condition, granted }, permissionKey) {
+        if (!this._conditions) {
+            return !granted;
+        }
+        return this._conditions.evaluate(condition, { ...this._context, userId: this.userId, permissionKey }, granted);
+    }
+
+    /**
+     * Reject an empty key list, which canAll would otherwise grant vacuously
+     * @private
+     */
+    _assertKeyList(permissionKeys, method) {
+        if (!Array.isArray(permissionKeys) || permissionKeys.length === 0) {
+            throw new Error(`${method} needs at least one permission key.`);
+        }
+    }
+}
+
+export default EffectivePermissions;
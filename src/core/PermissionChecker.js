@@ -1,47 +1,182 @@
-import { generateWildcardPatterns } from '../utils/wildcard.js';
+import EffectivePermissions from './EffectivePermissions.js';
+import ConditionRegistry from './ConditionRegistry.js';
+import PermissionEvents from './PermissionEvents.js';
+import PermissionRegistry from './PermissionRegistry.js';
+import { findMatches } from '../utils/wildcard.js';
+import { getResourceChain } from '../utils/resource.js';
+import { createValidityTracker, selectAssignment } from '../utils/validity.js';
 
 /**
  * Core permission checking logic with caching and wildcard support
  */
 class PermissionChecker {
-    constructor(adapter, cacheManager, logger) {
+    /**
+     * @param {BaseAdapter} adapter
+     * @param {CacheManager} cacheManager
+     * @param {Logger} logger
+     * @param {ConditionRegistry} conditions
+     * @param {PermissionEvents} events
+     * @param {PermissionRegistry} registry
+     * @param {Object} options - { implicitDefaultRoles?: boolean } treats every default role as held
+     *   globally by every user, without UserRole rows
+     */
+    constructor(
+        adapter,
+        cacheManager,
+        logger,
+        conditions = new ConditionRegistry(logger),
+        events = new PermissionEvents(logger),
+        registry = new PermissionRegistry(adapter, logger),
+        options = {},
+    ) {
         this.adapter = adapter;
         this.cache = cacheManager;
         this.logger = logger;
+        this.conditions = conditions;
+        this.events = events;
+        this.registry = registry;
+        this.implicitDefaultRoles = options.implicitDefaultRoles ?? false;
     }
 
     /**
      * Check if a user has a specific permission
      * @param {string} userId
      * @param {string} permissionKey
+     * @param {Object} context - { tenantId?, resource? } plus any fields conditions read
      * @returns {Promise<boolean>}
      */
-    async checkPermission(userId, permissionKey) {
-        this.logger.debug('checkPermission:', userId, permissionKey);
+    async checkPermission(userId, permissionKey, context = {}) {
+        this.logger.debug('checkPermission:', userId, permissionKey, context);
+        await this.registry.assertCheckable(permissionKey, 'checkPermission');
+
+        const startedAt = performance.now();
 
         // Check cache first
-        const cached = await this.cache.get('user', userId, permissionKey);
+        const scope = this._cacheScope(context);
+        const cached = await this.cache.get('user', userId, scope, permissionKey);
         if (cached !== null) {
             this.logger.debug('Cache hit:', cached);
+            this._emitCheck(userId, permissionKey, context, cached, true, startedAt);
             return cached;
         }
 
-        const result = await this._checkPermissionUncached(userId, permissionKey);
+        // Generations are read before resolving, so an invalidation during it makes the result unreadable
+        const snapshot = await this.cache.snapshot('user', userId);
+        const decision = await this._resolvePermission(userId, permissionKey, context, snapshot);
+
+        // Results that depended on a condition are only valid for this context
+        if (!decision.conditional) {
+            // Cache result, tied to every role it was derived from and kept no longer than the decision holds
+            const roleIds = (decision.roles || []).map(r => r.id);
+            await this.cache.setWithDependencies('user', decision.granted, { roleIds, expiresAt: decision.validUntil, snapshot }, userId, scope, permissionKey);
+        }
+
+        this._emitCheck(userId, permissionKey, context, decision.granted, false, startedAt);
+        return decision.granted;
+    }
+
+    /**
+     * Check several permissions for a user in one call
+     * Uncached keys are evaluated against one compiled permission set instead
+     * of re-resolving roles and inheritance per key.
+     * @param {string} userId
+     * @param {string[]} permissionKeys
+     * @param {Object} context - { tenantId?, resource? } plus any fields conditions read
+     * @returns {Promise<Object>} - Map of permission key to boolean
+     */
+    async checkMany(userId, permissionKeys, context = {}) {
+        this.logger.debug('checkMany:', userId, permissionKeys, context);
+        for (const permissionKey of new Set(permissionKeys)) {
+            await this.registry.assertCheckable(permissionKey, 'checkMany');
+        }
+
+        const startedAt = performance.now();
+        const scope = this._cacheScope(context);
+        const results = {};
+        const pending = [];
+
+        for (const permissionKey of new Set(permissionKeys)) {
+            const cached = await this.cache.get('user', userId, scope, permissionKey);
+            if (cached !== null) {
+                results[permissionKey] = cached;
+                this._emitCheck(userId, permissionKey, context, cached, true, startedAt);
+            } else {
+                pending.push(permissionKey);
+            }
+        }
+
+        if (pending.length === 0) {
+            return results;
+        }
+
+        const snapshot = await this.cache.snapshot('user', userId);
+        const effective = await this._compileEffectivePermissions(userId, context, snapshot);
+        const dependencies = { roleIds: effective.roles.map(r => r.id), expiresAt: effective.validUntil, snapshot };
+        for (const permissionKey of pending) {
+            const { granted, conditional } = effective.explain(permissionKey);
+            results[permissionKey] = granted;
+            if (!conditional) {
+                await this.cache.setWithDependencies('user', granted, dependencies, userId, scope, permissionKey);
+            }
+            this._emitCheck(userId, permissionKey, context, granted, false, startedAt);
+        }
+
+        return results;
+    }
+
+    /**
+     * Compile everything a user is granted or denied into an in-memory set
+     * Direct grants, bans, every inherited role and all wildcard entries are
+     * loaded once; checks against the result need no adapter calls.
+     * @param {string} userId
+     * @param {Object} context - { tenantId?, resource? } plus any fields conditions read
+     * @returns {Promise<EffectivePermissions>}
+     */
+    async getEffectivePermissions(userId, context = {}) {
+        this.logger.debug('getEffectivePermissions:', userId, context);
+        return await this._compileEffectivePermissions(userId, context);
+    }
+
+    /**
+     * @param {Object|null} snapshot - Cache snapshot the roles found are added to
+     * @private
+     */
+    async _compileEffectivePermissions(userId, context, snapshot = null) {
+        const options = { tenantId: context.tenantId };
+        const validity = createValidityTracker();
+        const inEffect = rows => rows.filter(row => validity.admit(row));
+
+        const roles = await this._resolveUserRoles(userId, options, validity, snapshot);
+        const userPermissions = inEffect(await this.adapter.getUserDirectPermissions(userId, options));
+        const rolePermissions = new Map();
+        for (const { role } of roles) {
+            rolePermissions.set(role.id, inEffect(await this.adapter.getRolePermissions(role.id)));
+        }
 
-        // Cache result
-        await this.cache.set('user', result, userId, permissionKey);
+        const resourcePermissions = [];
+        for (const resource of getResourceChain(context.resource)) {
+            const rules = inEffect(await this.adapter.getResourcePermissions(resource.type, resource.id));
+            resourcePermissions.push({ resource, rules });
+        }
 
-        return result;
+        return new EffectivePermissions(
+            userId,
+            { userPermissions, roles, rolePermissions, resourcePermissions },
+            context,
+            { validUntil: validity.until, conditions: this.conditions },
+        );
     }
 
     /**
      * Check if a role has a specific permission
      * @param {string} roleId
      * @param {string} permissionKey
+     * @param {Object} context - Passed to conditions on the role's assignments
      * @returns {Promise<boolean>}
      */
-    async checkRolePermission(roleId, permissionKey) {
-        this.logger.debug('checkRolePermission:', roleId, permissionKey);
+    async checkRolePermission(roleId, permissionKey, context = {}) {
+        this.logger.debug('checkRolePermission:', roleId, permissionKey, context);
+        await this.registry.assertCheckable(permissionKey, 'checkRolePermission');
 
         // Check cache first
         const cached = await this.cache.get('role', roleId, permissionKey);
@@ -49,138 +184,317 @@ class PermissionChecker {
             return cached;
         }
 
-        const result = await this._checkRolePermissionUncached(roleId, permissionKey);
+        const snapshot = await this.cache.snapshot('role', roleId);
+        const { granted, inheritedRoleIds, validUntil, conditional } = await this._checkRolePermissionUncached(roleId, permissionKey, context, snapshot);
+        if (conditional) {
+            return granted;
+        }
+
+        // Cache result, tied to the inherited roles it was derived from
+        await this.cache.setWithDependencies('role', granted, { roleIds: inheritedRoleIds, expiresAt: validUntil, snapshot }, roleId, permissionKey);
 
-        // Cache result
-        await this.cache.set('role', result, roleId, permissionKey);
+        return granted;
+    }
 
-        return result;
+    /**
+     * Explain how a permission check for a user is decided
+     * Always bypasses the cache so the trace reflects the current database state.
+     * @param {string} userId
+     * @param {string} permissionKey
+     * @param {Object} context - { tenantId?, resource? } plus any fields conditions read
+     * @returns {Promise<Object>} - { granted, source, matchedKey, wildcard, role, inheritanceChain, resource, roles, defaultDeny,
+     *   condition, conditional, validUntil, trace }
+     */
+    async explain(userId, permissionKey, context = {}) {
+        this.logger.debug('explain:', userId, permissionKey, context);
+        await this.registry.assertCheckable(permissionKey, 'explain');
+        return await this._resolvePermission(userId, permissionKey, context);
     }
 
     /**
-     * Check permission without using cache
+     * Emit `check`, and `denied` when the check failed
+     * durationMs is measured from the start of the call that produced the result.
      * @private
      */
-    async _checkPermissionUncached(userId, permissionKey) {
-        // 1. Check user-specific permissions (highest priority)
-        const userPerm = await this.adapter.getUserPermission(userId, permissionKey);
-        if (userPerm !== null) {
-            this.logger.debug('User direct permission:', userPerm.granted);
-            return userPerm.granted;
-        }
-
-        // Check user wildcards
-        const wildcardPatterns = generateWildcardPatterns(permissionKey);
-        for (const pattern of wildcardPatterns) {
-            const userWildcard = await this.adapter.getUserPermission(userId, pattern);
-            if (userWildcard !== null) {
-                this.logger.debug('User wildcard match:', pattern, userWildcard.granted);
-                return userWildcard.granted;
-            }
+    _emitCheck(userId, key, context, result, cached, startedAt) {
+        if (this.events.listenerCount('check') === 0 && (result || this.events.listenerCount('denied') === 0)) {
+            return;
         }
 
-        // 2. Get all roles with inheritance
-        const allRoles = await this._getUserRolesWithInheritance(userId);
-        this.logger.debug('User roles (with inheritance):', allRoles.map(r => r.name));
+        const payload = { userId, key, context, result, cached, durationMs: performance.now() - startedAt };
+        this.events.safeEmit('check', payload);
+        if (!result) {
+            this.events.safeEmit('denied', payload);
+        }
+    }
 
-        // 3. Check each role's permissions (by priority)
-        for (const role of allRoles) {
-            const rolePerm = await this.adapter.getRolePermission(role.id, permissionKey);
-            if (rolePerm !== null) {
-                this.logger.debug('Role direct permission:', role.name, rolePerm.granted);
-                return rolePerm.granted;
+    /**
+     * Cache key segment identifying the context a user check ran in
+     * @private
+     */
+    _cacheScope(context) {
+        const tenant = context.tenantId ? encodeURIComponent(context.tenantId) : '';
+        const resources = getResourceChain(context.resource)
+            .map(r => `${encodeURIComponent(r.type)}/${encodeURIComponent(r.id)}`);
+        return resources.length > 0 ? `${tenant}|${resources.join('>')}` : tenant;
+    }
+
+    /**
+     * Walk the resolution order for a user and record every lookup made
+     * Roles found are added to snapshot, when given, before their data is read.
+     * @private
+     */
+    async _resolvePermission(userId, permissionKey, context = {}, snapshot = null) {
+        const options = { tenantId: context.tenantId };
+        const resources = getResourceChain(context.resource);
+        const validity = createValidityTracker();
+        const decision = {
+            userId,
+            permissionKey,
+            tenantId: context.tenantId || null,
+            granted: false,
+            source: 'default',
+            matchedKey: null,
+            wildcard: false,
+            role: null,
+            inheritanceChain: [],
+            resource: null,
+            roles: null,
+            defaultDeny: false,
+            condition: null,
+            conditional: false,
+            validUntil: null,
+            trace: [],
+        };
+
+        // Try the assignments of one source that match the key, most specific first
+        const match = (step, assignments) => {
+            const candidates = findMatches(assignments, permissionKey);
+            if (candidates.length === 0) {
+                decision.trace.push({ ...step, key: permissionKey, granted: null });
+                return null;
             }
 
-            // Check role wildcards
-            for (const pattern of wildcardPatterns) {
-                const roleWildcard = await this.adapter.getRolePermission(role.id, pattern);
-                if (roleWildcard !== null) {
-                    this.logger.debug('Role wildcard match:', role.name, pattern, roleWildcard.granted);
-                    return roleWildcard.granted;
+            for (const found of candidates) {
+                const entry = { ...step, key: found.key, granted: found.granted };
+                if (found.tenantId) entry.tenantId = found.tenantId;
+                if (found.validFrom || found.expiresAt) {
+                    entry.validFrom = found.validFrom || null;
+                    entry.expiresAt = found.expiresAt || null;
+                }
+                decision.trace.push(entry);
+
+                // Assignments outside their validity window are skipped
+                if (!validity.admit(found)) {
+                    entry.inactive = true;
+                    continue;
                 }
+
+                // So are conditional assignments whose condition does not hold
+                if (found.condition) {
+                    decision.conditional = true;
+                    entry.condition = found.condition;
+                    entry.conditionMet = this.conditions.evaluate(found.condition, { ...context, userId, permissionKey }, found.granted);
+                    if (!entry.conditionMet) continue;
+                }
+
+                const kind = found.key === permissionKey ? 'direct permission' : 'wildcard match';
+                this.logger.debug(`${step.source === 'user' ? 'User' : 'Role'} ${kind}:`, step.roleName || userId, found.key, found.granted);
+                return { key: found.key, granted: found.granted, tenantId: found.tenantId || null, condition: found.condition || null };
+            }
+            return null;
+        };
+
+        const decide = (found, source, { role = null, chain = [], tenantId = null, resource = null } = {}) => {
+            decision.granted = found.granted;
+            decision.source = source;
+            decision.matchedKey = found.key;
+            decision.wildcard = found.key !== permissionKey;
+            decision.role = role ? { id: role.id, name: role.name, priority: role.priority, tenantId } : null;
+            decision.inheritanceChain = chain.map(r => ({ id: r.id, name: r.name }));
+            decision.resource = resource;
+            decision.condition = found.condition;
+            decision.validUntil = validity.until;
+            return decision;
+        };
+
+        let allRoles = null;
+        const getRoles = async () => {
+            if (!allRoles) {
+                allRoles = await this._resolveUserRoles(userId, options, validity, snapshot);
+                decision.roles = allRoles.map(({ role }) => ({ id: role.id, name: role.name, priority: role.priority }));
+                this.logger.debug('User roles (with inheritance):', allRoles.map(r => r.role.name));
+            }
+            return allRoles;
+        };
+
+        // 1. Rules on the resource instance, then on each of its parents
+        for (const resource of resources) {
+            const rules = await this.adapter.getResourcePermissions(resource.type, resource.id);
+            const rulesFor = (targetType, targetId) =>
+                rules.filter(r => r.targetType === targetType && r.targetId === targetId);
+
+            const userRule = match({ source: 'user', resource }, rulesFor('user', userId));
+            if (userRule) return decide(userRule, 'user', { resource });
+
+            for (const { role, chain, tenantId } of await getRoles()) {
+                const roleRule = match({ source: 'role', roleId: role.id, roleName: role.name, resource }, rulesFor('role', role.id));
+                if (roleRule) return decide(roleRule, 'role', { role, chain, tenantId, resource });
             }
         }
 
+        // 2. Check user-specific permissions (highest global priority)
+        const userPerm = match({ source: 'user' }, await this._getUserAssignments(userId, options));
+        if (userPerm) return decide(userPerm, 'user', { tenantId: userPerm.tenantId });
+
+        // 3. Check each role's permissions (by priority, including inherited roles)
+        for (const { role, chain, tenantId } of await getRoles()) {
+            const rolePerm = match({ source: 'role', roleId: role.id, roleName: role.name }, await this.adapter.getRolePermissions(role.id));
+            if (rolePerm) return decide(rolePerm, 'role', { role, chain, tenantId });
+        }
+
         // 4. Default deny
         this.logger.debug('No permission found, default deny');
-        return false;
+        decision.defaultDeny = true;
+        decision.validUntil = validity.until;
+        return decision;
     }
 
     /**
      * Check role permission without using cache
+     * @returns {Promise<Object>} - { granted, inheritedRoleIds, validUntil, conditional } where inheritedRoleIds
+     *   lists the inherited roles consulted
      * @private
      */
-    async _checkRolePermissionUncached(roleId, permissionKey) {
-        // Check direct permission
-        const rolePerm = await this.adapter.getRolePermission(roleId, permissionKey);
-        if (rolePerm !== null) {
-            return rolePerm.granted;
-        }
-
-        // Check wildcards
-        const wildcardPatterns = generateWildcardPatterns(permissionKey);
-        for (const pattern of wildcardPatterns) {
-            const roleWildcard = await this.adapter.getRolePermission(roleId, pattern);
-            if (roleWildcard !== null) {
-                return roleWildcard.granted;
+    async _checkRolePermissionUncached(roleId, permissionKey, context = {}, snapshot = null) {
+        const validity = createValidityTracker();
+        let conditional = false;
+        const result = (granted, inheritedRoleIds) => ({ granted, inheritedRoleIds, validUntil: validity.until, conditional });
+
+        // First assignment that applies to a role, most specific key first
+        const lookup = async (id) => {
+            for (const rolePerm of findMatches(await this.adapter.getRolePermissions(id), permissionKey)) {
+                if (!validity.admit(rolePerm)) continue;
+
+                if (rolePerm.condition) {
+                    conditional = true;
+                    if (!this.conditions.evaluate(rolePerm.condition, { ...context, roleId, permissionKey }, rolePerm.granted)) continue;
+                }
+                return rolePerm;
             }
+            return null;
+        };
+
+        // Check direct and wildcard permissions
+        const rolePerm = await lookup(roleId);
+        if (rolePerm) {
+            return result(rolePerm.granted, []);
         }
 
         // Check inherited roles
-        const inheritedRoles = await this._getRoleInheritanceRecursive(roleId);
+        const inheritedRoles = await this._getRoleInheritanceRecursive(roleId, new Set(), snapshot);
+        const inheritedRoleIds = inheritedRoles.map(r => r.id);
         for (const inheritedRole of inheritedRoles) {
-            const inheritedPerm = await this.adapter.getRolePermission(inheritedRole.id, permissionKey);
-            if (inheritedPerm !== null) {
-                return inheritedPerm.granted;
-            }
-
-            for (const pattern of wildcardPatterns) {
-                const inheritedWildcard = await this.adapter.getRolePermission(inheritedRole.id, pattern);
-                if (inheritedWildcard !== null) {
-                    return inheritedWildcard.granted;
-                }
+            const inheritedPerm = await lookup(inheritedRole.id);
+            if (inheritedPerm) {
+                return result(inheritedPerm.granted, inheritedRoleIds);
             }
         }
 
-        return false;
+        return result(false, inheritedRoleIds);
+    }
+
+    /**
+     * A user's direct assignments in the scope of options, one per key
+     * Where both a tenant and a global assignment exist for a key, the tenant one applies.
+     * @private
+     */
+    async _getUserAssignments(userId, options = {}) {
+        const byKey = new Map();
+        for (const assignment of await this.adapter.getUserDirectPermissions(userId, options)) {
+            if (!byKey.has(assignment.key)) byKey.set(assignment.key, []);
+            byKey.get(assignment.key).push(assignment);
+        }
+        return [...byKey.values()].map(assignments => selectAssignment(assignments)).filter(Boolean);
     }
 
     /**
      * Get all roles for a user including inherited roles
      * @private
      */
-    async _getUserRolesWithInheritance(userId) {
-        const directRoles = await this.adapter.getUserRoles(userId);
+    async _getUserRolesWithInheritance(userId, options = {}) {
+        const resolved = await this._resolveUserRoles(userId, options);
+        return resolved.map(entry => entry.role);
+    }
+
+    /**
+     * Get all roles for a user including inherited roles, along with the
+     * inheritance chain (directly assigned role first) that reached each one
+     * and the tenant of the assignment it came through. Role assignments
+     * outside their validity window are left out. With implicitDefaultRoles,
+     * default roles the user does not hold count as global assignments.
+     * Each role found is added to snapshot, when given, before its data is read.
+     * @private
+     */
+    async _resolveUserRoles(userId, options = {}, validity = createValidityTracker(), snapshot = null) {
+        const directRoles = (await this.adapter.getUserRoles(userId, options)).filter(role => validity.admit(role));
+        if (this.implicitDefaultRoles) {
+            for (const roleId of await this._getDefaultRoleIds()) {
+                if (!directRoles.some(role => role.id === roleId)) {
+                    directRoles.push({ id: roleId, tenantId: null });
+                }
+            }
+        }
         const allRoles = new Map();
 
-        const collectRoles = async (roleId, visited = new Set()) => {
+        const collectRoles = async (roleId, path, tenantId, visited = new Set()) => {
             if (visited.has(roleId)) return;
             visited.add(roleId);
 
+            await this.cache.snapshotRoles(snapshot, [roleId]);
             const role = await this.adapter.getRole(roleId);
             if (!role) return;
 
-            allRoles.set(role.id, role);
+            const chain = [...path, role];
+            if (!allRoles.has(role.id)) {
+                allRoles.set(role.id, { role, chain, tenantId });
+            }
 
             const inheritedRoles = await this.adapter.getRoleInheritance(roleId);
             for (const inherited of inheritedRoles) {
-                await collectRoles(inherited.inheritsFromId, visited);
+                await collectRoles(inherited.inheritsFromId, chain, tenantId, visited);
             }
         };
 
         for (const role of directRoles) {
-            await collectRoles(role.id);
+            await collectRoles(role.id, [], role.tenantId || null);
         }
 
         // Sort by priority (highest first)
-        return Array.from(allRoles.values()).sort((a, b) => b.priority - a.priority);
+        return Array.from(allRoles.values()).sort((a, b) => b.role.priority - a.role.priority);
+    }
+
+    /**
+     * IDs of the default roles, cached until a role's isDefault flag changes
+     * @private
+     */
+    async _getDefaultRoleIds() {
+        const cached = await this.cache.get('defaults', 'roles');
+        if (cached !== null) {
+            return cached;
+        }
+
+        const snapshot = await this.cache.snapshot('defaults', 'roles');
+        const roleIds = (await this.adapter.getDefaultRoles()).map(role => role.id);
+        await this.cache.setWithDependencies('defaults', roleIds, { snapshot }, 'roles');
+        return roleIds;
     }
 
     /**
      * Get all inherited roles recursively
      * @private
      */
-    async _getRoleInheritanceRecursive(roleId, visited = new Set()) {
+    async _getRoleInheritanceRecursive(roleId, visited = new Set(), snapshot = null) {
         if (visited.has(roleId)) return [];
         visited.add(roleId);
 
@@ -188,10 +502,11 @@ class PermissionChecker {
         const allInherited = [];
 
         for (const inherited of inheritedRoles) {
+            await this.cache.snapshotRoles(snapshot, [inherited.inheritsFromId]);
             const role = await this.adapter.getRole(inherited.inheritsFromId);
             if (role) {
                 allInherited.push(role);
-                const deeper = await this._getRoleInheritanceRecursive(inherited.inheritsFromId, visited);
+                const deeper = await this._getRoleInheritanceRecursive(inherited.inheritsFromId, visited, snapshot);
                 allInherited.push(...deeper);
             }
         }
@@ -0,0 +1,68 @@
+import { EventEmitter } from 'node:events';
+import Logger from '../utils/logger.js';
+
+/**
+ * Event emitter shared by the checker and the manager
+ *
+ * Events:
+ *   check             { userId, key, context, result, cached, durationMs }
+ *   denied            same payload as check, for checks that returned false
+ *   mutation          { action, actorId, userId, roleId, permissionKey, before, after, at } for every manager mutation
+ *   roleAssigned      { userId, roleId, roleName, tenantId, validFrom, expiresAt, actorId, at }
+ *   roleRemoved       same payload as roleAssigned
+ *   permissionChanged { action, targetType, targetId, permissionKey, before, after, actorId, at }
+ *   roleChanged       { action, roleId, before, after, actorId, at }
+ *   unknownPermission { key, operation } in strictPermissions 'warn' mode, once per key
+ *
+ * Listeners run synchronously in the order they were added. A listener that
+ * throws or returns a rejected promise never breaks the check or mutation that
+ * emitted the event: the error is emitted as `error` (error, eventName), or
+ * logged with console.error, even without debug, when nobody listens for `error`.
+ */
+class PermissionEvents extends EventEmitter {
+    /**
+     * @param {Logger} logger - Logs listener failures nobody handles
+     */
+    constructor(logger = new Logger()) {
+        super();
+        this.logger = logger;
+    }
+
+    /**
+     * Emit an event, isolating the caller from listener failures
+     * @param {string} event
+     * @param {Object} payload
+     * @returns {boolean} - Whether the event had listeners
+     */
+    safeEmit(event, payload) {
+        const listeners = this.rawListeners(event);
+        for (const listener of listeners) {
+            try {
+                const result = listener.call(this, payload);
+                if (result && typeof result.then === 'function') {
+                    result.then(null, error => this._listenerFailed(error, event));
+                }
+            } catch (error) {
+                this._listenerFailed(error, event);
+            }
+        }
+        return listeners.length > 0;
+    }
+
+    /**
+     * @private
+     */
+    _listenerFailed(error, event) {
+        if (this.listenerCount('error') > 0) {
+            try {
+                this.emit('error', error, event);
+                return;
+            } catch (handlerError) {
+                error = handlerError;
+            }
+        }
+        this.logger.alertError(`"${event}" listener failed:`, error);
+    }
+}
+
+export default PermissionEvents;
@@ -1,17 +1,145 @@
 import {
     RoleNotFoundError,
     PermissionNotFoundError,
+    ConditionNotFoundError,
 } from './errors.js';
+import { getAssignmentResource } from '../utils/resource.js';
+import { getAssignmentWindow, isExpired, sameAssignment } from '../utils/validity.js';
+import { toAuditState, getAuditFilter } from '../utils/audit.js';
+import PermissionEvents from './PermissionEvents.js';
+import PermissionRegistry from './PermissionRegistry.js';
+import RoleTemplateRegistry from './RoleTemplateRegistry.js';
+
+/**
+ * Event emitted for each manager action besides `mutation`
+ * Actions missing here (createPermission, deletePermission, purgeExpiredAssignments) only emit `mutation`.
+ * @private
+ */
+const MUTATION_EVENTS = {
+    assignRole: 'roleAssigned',
+    removeRole: 'roleRemoved',
+    assignPermission: 'permissionChanged',
+    banPermission: 'permissionChanged',
+    removePermission: 'permissionChanged',
+    createRole: 'roleChanged',
+    updateRole: 'roleChanged',
+    deleteRole: 'roleChanged',
+    setRoleInheritance: 'roleChanged',
+    removeRoleInheritance: 'roleChanged',
+};
+
+/**
+ * Desired role assignments by key from grant and ban lists
+ * Entries are permission keys or { key, validFrom?, expiresAt?, condition? }.
+ * @private
+ */
+function toRolePermissionMap(grant, ban) {
+    const desired = new Map();
+    const add = (entries, granted) => {
+        for (const entry of entries) {
+            const { key, validFrom, expiresAt, condition = null } = typeof entry === 'string' ? { key: entry } : entry ?? {};
+            if (typeof key !== 'string' || key === '') {
+                throw new Error(`Invalid permission: ${JSON.stringify(entry)}`);
+            }
+            if (desired.has(key)) {
+                throw new Error(`Permission ${key} is listed more than once.`);
+            }
+            desired.set(key, { granted, ...getAssignmentWindow({ validFrom, expiresAt }), condition: condition || null });
+        }
+    };
+    add(grant, true);
+    add(ban, false);
+    return desired;
+}
 
 /**
  * High-level API for managing permissions, roles, and users
+ *
+ * With audit enabled, every mutation runs in an adapter transaction and appends its audit record
+ * in it, so the change and its record commit together. Every mutation then emits its events.
+ * Records and events carry the actor set with withActor(), or null.
+ * Mutations made through transaction() are audited in the transaction and emit their events on commit.
  */
 class PermissionManager {
-    constructor(adapter, checker, cacheManager, logger) {
+    /**
+     * @param {BaseAdapter} adapter
+     * @param {PermissionChecker} checker
+     * @param {CacheManager} cacheManager
+     * @param {Logger} logger
+     * @param {Object} options - { audit: boolean (default false), events: PermissionEvents (default: the checker's),
+     *   registry: PermissionRegistry (default: the checker's), templates: RoleTemplateRegistry }
+     */
+    constructor(adapter, checker, cacheManager, logger, options = {}) {
         this.adapter = adapter;
         this.checker = checker;
         this.cache = cacheManager;
         this.logger = logger;
+        this.auditEnabled = options.audit ?? false;
+        if (this.auditEnabled && !adapter.supportsAudit()) {
+            throw new Error(`Audit is enabled, but ${adapter.constructor.name} cannot store audit records `
+                + '(e.g. the Prisma schema has no PermissionAuditLog model). Add audit storage or pass audit: false.');
+        }
+        this.events = options.events ?? checker.events ?? new PermissionEvents(logger);
+        this.registry = options.registry ?? checker.registry ?? new PermissionRegistry(adapter, logger);
+        this.templates = options.templates ?? new RoleTemplateRegistry();
+        this.actorId = null;
+        this._pending = null;
+    }
+
+    /**
+     * Get a view of this manager whose mutations are audited as made by an actor
+     * The view shares the adapter, cache and checker; the manager itself is unchanged.
+     * @param {string} actorId - ID of the user or service making the changes
+     * @returns {PermissionManager}
+     */
+    withActor(actorId) {
+        return Object.create(this, { actorId: { value: actorId ?? null, enumerable: true } });
+    }
+
+    /**
+     * Run several mutations atomically
+     * The callback gets a view of this manager bound to an adapter transaction. Everything done
+     * through it commits together, or is rolled back when the callback throws. Cache invalidations
+     * and events are held back until commit and dropped on rollback; checks made through the view
+     * see its uncommitted changes and bypass the cache. Calling transaction() on the view joins it.
+     * @param {Function} callback - async (tx) => result, where tx is a PermissionManager
+     * @param {Object} options - Passed to the adapter, e.g. { isolationLevel } for Prisma or Knex
+     * @returns {Promise<any>} - The callback's result
+     */
+    async transaction(callback, options = {}) {
+        this.logger.debug('transaction:', options);
+        if (this._pending) {
+            return await callback(this);
+        }
+
+        const pending = [];
+        const result = await this.adapter.transaction(async (adapter) => {
+            const cache = this.cache.deferred(pending);
+            const registry = Object.create(this.registry, {
+                adapter: { value: adapter },
+                keys: { value: null, writable: true },
+            });
+            const checker = Object.create(this.checker, {
+                adapter: { value: adapter },
+                cache: { value: cache },
+                registry: { value: registry },
+            });
+            const tx = Object.create(this, {
+                adapter: { value: adapter },
+                cache: { value: cache },
+                checker: { value: checker },
+                registry: { value: registry },
+                _pending: { value: pending },
+            });
+            return await callback(tx);
+        }, options);
+
+        // Committed: the registry reloads on next use, then queued invalidations and events run in order
+        this.registry.invalidate();
+        for (const task of pending) {
+            await task();
+        }
+        return result;
     }
 
     // ==================== Permission Operations ====================
@@ -24,8 +152,48 @@ class PermissionManager {
      * @returns {Promise<Object>}
      */
     async createPermission(key, description = null, category = null) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.createPermission(key, description, category));
+        }
         this.logger.debug('createPermission:', key, description, category);
-        return await this.adapter.createPermission({ key, description, category });
+        const permission = await this.adapter.createPermission({ key, description, category });
+        this.registry.register(key);
+
+        await this._recordMutation('createPermission', { permissionKey: key, after: permission });
+        return permission;
+    }
+
+    /**
+     * Create the permissions that do not exist yet
+     * Safe to call on every startup; existing permissions are left unchanged.
+     * @param {Array<string|Object>} permissions - Keys or { key, description?, category? }
+     * @returns {Promise<Array>} - The permissions that were created
+     */
+    async registerPermissions(permissions) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.registerPermissions(permissions));
+        }
+        this.logger.debug('registerPermissions:', permissions);
+        if (!Array.isArray(permissions)) {
+            throw new Error('registerPermissions expects an array of permission keys or { key, description?, category? }.');
+        }
+
+        const existing = new Set((await this.adapter.listAllPermissions()).map(permission => permission.key));
+        const created = [];
+        for (const entry of permissions) {
+            const { key, description = null, category = null } = typeof entry === 'string' ? { key: entry } : entry ?? {};
+            if (typeof key !== 'string' || key === '') {
+                throw new Error(`Invalid permission: ${JSON.stringify(entry)}`);
+            }
+            if (existing.has(key)) {
+                this.registry.register(key);
+                continue;
+            }
+
+            created.push(await this.createPermission(key, description, category));
+            existing.add(key);
+        }
+        return created;
     }
 
     /**
@@ -34,8 +202,20 @@ class PermissionManager {
      * @returns {Promise<boolean>}
      */
     async deletePermission(permissionKey) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.deletePermission(permissionKey));
+        }
         this.logger.debug('deletePermission:', permissionKey);
-        return await this.adapter.deletePermission(permissionKey);
+        const permission = await this.adapter.getPermission(permissionKey);
+        const result = await this.adapter.deletePermission(permissionKey);
+
+        // Any user or role may hold an assignment for this key
+        await this.cache.clear();
+        if (result) {
+            this.registry.unregister(permissionKey);
+            await this._recordMutation('deletePermission', { permissionKey, before: permission });
+        }
+        return result;
     }
 
     /**
@@ -62,12 +242,22 @@ class PermissionManager {
      * @param {string} name - Unique role name
      * @param {string|null} description - Role description
      * @param {number} priority - Role priority (higher = more important)
-     * @param {boolean} isDefault - Whether to auto-assign to new users
+     * @param {boolean} isDefault - Whether ensureDefaultRoles assigns it (and, with implicitDefaultRoles,
+     *   whether every user holds it)
      * @returns {Promise<Object>}
      */
     async createRole(name, description = null, priority = 0, isDefault = false) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.createRole(name, description, priority, isDefault));
+        }
         this.logger.debug('createRole:', name, description, priority, isDefault);
-        return await this.adapter.createRole({ name, description, priority, isDefault });
+        const role = await this.adapter.createRole({ name, description, priority, isDefault });
+
+        if (role.isDefault) {
+            await this._invalidateDefaultRoles();
+        }
+        await this._recordMutation('createRole', { roleId: role.id, after: role });
+        return role;
     }
 
     /**
@@ -76,16 +266,23 @@ class PermissionManager {
      * @returns {Promise<boolean>}
      */
     async deleteRole(roleIdOrName) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.deleteRole(roleIdOrName));
+        }
         this.logger.debug('deleteRole:', roleIdOrName);
         const role = await this._resolveRole(roleIdOrName);
         if (!role) {
             throw new RoleNotFoundError(roleIdOrName);
         }
 
-        // Invalidate cache for all users with this role
-        await this.cache.invalidateRole(role.id);
+        const result = await this.adapter.deleteRole(role.id);
 
-        return await this.adapter.deleteRole(role.id);
+        // Invalidate cache for all users and roles derived from this role
+        await this.cache.invalidateRole(role.id);
+        if (result) {
+            await this._recordMutation('deleteRole', { roleId: role.id, before: role });
+        }
+        return result;
     }
 
     /**
@@ -112,13 +309,102 @@ class PermissionManager {
      * @returns {Promise<Object>}
      */
     async updateRole(roleIdOrName, data) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.updateRole(roleIdOrName, data));
+        }
+        this.logger.debug('updateRole:', roleIdOrName, data);
         const role = await this._resolveRole(roleIdOrName);
         if (!role) {
             throw new RoleNotFoundError(roleIdOrName);
         }
 
+        const result = await this.adapter.updateRole(role.id, data);
         await this.cache.invalidateRole(role.id);
-        return await this.adapter.updateRole(role.id, data);
+        if (result.isDefault !== role.isDefault) {
+            await this._invalidateDefaultRoles();
+        }
+        await this._recordMutation('updateRole', { roleId: role.id, before: role, after: result });
+        return result;
+    }
+
+    /**
+     * Create a role with the same grants and bans as another
+     * Assignments keep their windows and conditions; expired assignments and resource rules are
+     * not copied, and the copy is never a default role. Conditions must be registered in this process.
+     * @param {string} sourceIdOrName - Role to copy
+     * @param {string} newName
+     * @param {Object} options - { includeInheritance?, includeUsers?, description?, priority? }
+     *   includeInheritance also copies the roles the source inherits from; includeUsers assigns the
+     *   copy to every user holding the source, in the same tenants and windows. Both default to false.
+     *   description and priority default to the source's.
+     * @returns {Promise<Object>} - The new role
+     */
+    async cloneRole(sourceIdOrName, newName, options = {}) {
+        this.logger.debug('cloneRole:', sourceIdOrName, newName, options);
+        const { includeInheritance = false, includeUsers = false } = options;
+
+        return await this.transaction(async (tx) => {
+            const source = await tx._resolveRole(sourceIdOrName);
+            if (!source) {
+                throw new RoleNotFoundError(sourceIdOrName);
+            }
+
+            const now = new Date();
+            const assignments = (await tx.adapter.getRolePermissions(source.id))
+                .filter(assignment => !isExpired(assignment, now));
+            const links = includeInheritance ? await tx.adapter.getRoleInheritance(source.id) : [];
+            const role = await tx._createRoleWith('cloneRole', {
+                name: newName,
+                description: options.description !== undefined ? options.description : source.description,
+                priority: options.priority ?? source.priority,
+                isDefault: false,
+                grants: assignments.filter(assignment => assignment.granted),
+                bans: assignments.filter(assignment => !assignment.granted),
+                inherits: links.map(link => ({ role: link.inheritsFromId, priority: link.priority })),
+            });
+
+            if (includeUsers) {
+                // One batch per tenant and window
+                const groups = new Map();
+                for (const assignment of await tx.adapter.getRoleUsers(source.id)) {
+                    if (isExpired(assignment, now)) continue;
+                    const scope = { tenantId: assignment.tenantId, ...getAssignmentWindow(assignment) };
+                    const group = JSON.stringify(scope);
+                    if (!groups.has(group)) groups.set(group, { scope, userIds: [] });
+                    groups.get(group).userIds.push(assignment.userId);
+                }
+                for (const { scope, userIds } of groups.values()) {
+                    await tx.assignRoleToUsers(role.id, userIds, scope);
+                }
+            }
+            return role;
+        });
+    }
+
+    // ==================== Template Operations ====================
+
+    /**
+     * Register a parameterized role template; registering an existing name replaces it
+     * @param {string} name
+     * @param {Object} template - { name, description?, priority?, isDefault?, grants?, bans?, inherits? } with
+     *   `{param}` placeholders, see RoleTemplateRegistry
+     */
+    registerRoleTemplate(name, template) {
+        this.templates.register(name, template);
+    }
+
+    /**
+     * Create a role from a registered template
+     * The role, its grants and bans and its inheritance links are created in one transaction.
+     * @param {string} templateName
+     * @param {Object} params - Values for the template's placeholders, e.g. { projectId: 42 }
+     * @returns {Promise<Object>} - The new role
+     * @throws {RoleTemplateNotFoundError}
+     */
+    async createRoleFromTemplate(templateName, params = {}) {
+        this.logger.debug('createRoleFromTemplate:', templateName, params);
+        const definition = this.templates.render(templateName, params);
+        return await this.transaction(tx => tx._createRoleWith('createRoleFromTemplate', definition));
     }
 
     // ==================== Assignment Operations ====================
@@ -128,22 +414,48 @@ class PermissionManager {
      * @param {string} permissionKey - Permission key (supports wildcards)
      * @param {string} targetId - Role ID/name or User ID
      * @param {string} targetType - 'role' or 'user'
+     * @param {Object} options - { tenantId? } (user targets only), { resourceType?, resourceId? } to scope to one resource,
+     *   { validFrom?, expiresAt? } to limit when the assignment applies, { condition? } to apply it only when
+     *   a registered condition holds
      * @returns {Promise<Object>}
      */
-    async assignPermission(permissionKey, targetId, targetType = 'role') {
-        this.logger.debug('assignPermission:', permissionKey, targetId, targetType);
+    async assignPermission(permissionKey, targetId, targetType = 'role', options = {}) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.assignPermission(permissionKey, targetId, targetType, options));
+        }
+        this.logger.debug('assignPermission:', permissionKey, targetId, targetType, options);
+        this._assertValidScope(options);
+        this._assertKnownCondition(options);
+        await this.registry.assertAssignable(permissionKey, { operation: 'assignPermission' });
 
         if (targetType === 'role') {
+            this._assertGlobalRoleAssignment(options);
             const role = await this._resolveRole(targetId);
             if (!role) {
                 throw new RoleNotFoundError(targetId);
             }
 
+            const before = await this._getAssignmentState(permissionKey, 'role', role.id, options);
+            const result = await this.adapter.assignPermissionToRole(permissionKey, role.id, true, options);
             await this.cache.invalidateRole(role.id);
-            return await this.adapter.assignPermissionToRole(permissionKey, role.id, true);
+            await this._recordMutation('assignPermission', {
+                roleId: role.id,
+                permissionKey,
+                before,
+                after: this._toAssignmentState(true, options),
+            });
+            return result;
         } else if (targetType === 'user') {
+            const before = await this._getAssignmentState(permissionKey, 'user', targetId, options);
+            const result = await this.adapter.assignPermissionToUser(permissionKey, targetId, true, options);
             await this.cache.invalidateUser(targetId);
-            return await this.adapter.assignPermissionToUser(permissionKey, targetId, true);
+            await this._recordMutation('assignPermission', {
+                userId: targetId,
+                permissionKey,
+                before,
+                after: this._toAssignmentState(true, options),
+            });
+            return result;
         } else {
             throw new Error(`Invalid targetType: ${targetType}. Must be 'role' or 'user'.`);
         }
@@ -154,22 +466,48 @@ class PermissionManager {
      * @param {string} permissionKey
      * @param {string} targetId - Role ID/name or User ID
      * @param {string} targetType - 'role' or 'user'
+     * @param {Object} options - { tenantId? } (user targets only), { resourceType?, resourceId? } to scope to one resource,
+     *   { validFrom?, expiresAt? } to limit when the assignment applies, { condition? } to apply it only when
+     *   a registered condition holds
      * @returns {Promise<Object>}
      */
-    async banPermission(permissionKey, targetId, targetType = 'role') {
-        this.logger.debug('banPermission:', permissionKey, targetId, targetType);
+    async banPermission(permissionKey, targetId, targetType = 'role', options = {}) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.banPermission(permissionKey, targetId, targetType, options));
+        }
+        this.logger.debug('banPermission:', permissionKey, targetId, targetType, options);
+        this._assertValidScope(options);
+        this._assertKnownCondition(options);
+        await this.registry.assertAssignable(permissionKey, { operation: 'banPermission' });
 
         if (targetType === 'role') {
+            this._assertGlobalRoleAssignment(options);
             const role = await this._resolveRole(targetId);
             if (!role) {
                 throw new RoleNotFoundError(targetId);
             }
 
+            const before = await this._getAssignmentState(permissionKey, 'role', role.id, options);
+            const result = await this.adapter.assignPermissionToRole(permissionKey, role.id, false, options);
             await this.cache.invalidateRole(role.id);
-            return await this.adapter.assignPermissionToRole(permissionKey, role.id, false);
+            await this._recordMutation('banPermission', {
+                roleId: role.id,
+                permissionKey,
+                before,
+                after: this._toAssignmentState(false, options),
+            });
+            return result;
         } else if (targetType === 'user') {
+            const before = await this._getAssignmentState(permissionKey, 'user', targetId, options);
+            const result = await this.adapter.assignPermissionToUser(permissionKey, targetId, false, options);
             await this.cache.invalidateUser(targetId);
-            return await this.adapter.assignPermissionToUser(permissionKey, targetId, false);
+            await this._recordMutation('banPermission', {
+                userId: targetId,
+                permissionKey,
+                before,
+                after: this._toAssignmentState(false, options),
+            });
+            return result;
         } else {
             throw new Error(`Invalid targetType: ${targetType}. Must be 'role' or 'user'.`);
         }
@@ -180,22 +518,38 @@ class PermissionManager {
      * @param {string} permissionKey
      * @param {string} targetId - Role ID/name or User ID
      * @param {string} targetType - 'role' or 'user'
+     * @param {Object} options - { tenantId? } (user targets only), { resourceType?, resourceId? } to scope to one resource
      * @returns {Promise<boolean>}
      */
-    async removePermission(permissionKey, targetId, targetType = 'role') {
-        this.logger.debug('removePermission:', permissionKey, targetId, targetType);
+    async removePermission(permissionKey, targetId, targetType = 'role', options = {}) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.removePermission(permissionKey, targetId, targetType, options));
+        }
+        this.logger.debug('removePermission:', permissionKey, targetId, targetType, options);
+        this._assertValidScope(options);
 
         if (targetType === 'role') {
+            this._assertGlobalRoleAssignment(options);
             const role = await this._resolveRole(targetId);
             if (!role) {
                 throw new RoleNotFoundError(targetId);
             }
 
+            const before = await this._getAssignmentState(permissionKey, 'role', role.id, options);
+            const result = await this.adapter.removePermissionFromRole(permissionKey, role.id, options);
             await this.cache.invalidateRole(role.id);
-            return await this.adapter.removePermissionFromRole(permissionKey, role.id);
+            if (result) {
+                await this._recordMutation('removePermission', { roleId: role.id, permissionKey, before });
+            }
+            return result;
         } else if (targetType === 'user') {
+            const before = await this._getAssignmentState(permissionKey, 'user', targetId, options);
+            const result = await this.adapter.removePermissionFromUser(permissionKey, targetId, options);
             await this.cache.invalidateUser(targetId);
-            return await this.adapter.removePermissionFromUser(permissionKey, targetId);
+            if (result) {
+                await this._recordMutation('removePermission', { userId: targetId, permissionKey, before });
+            }
+            return result;
         } else {
             throw new Error(`Invalid targetType: ${targetType}. Must be 'role' or 'user'.`);
         }
@@ -205,36 +559,55 @@ class PermissionManager {
      * Assign role to user
      * @param {string} roleIdOrName
      * @param {string} userId
+     * @param {Object} options - { tenantId?, validFrom?, expiresAt? } (omit tenantId for a global assignment)
      * @returns {Promise<Object>}
      */
-    async assignRole(roleIdOrName, userId) {
-        this.logger.debug('assignRole:', roleIdOrName, userId);
+    async assignRole(roleIdOrName, userId, options = {}) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.assignRole(roleIdOrName, userId, options));
+        }
+        this.logger.debug('assignRole:', roleIdOrName, userId, options);
 
         const role = await this._resolveRole(roleIdOrName);
         if (!role) {
             throw new RoleNotFoundError(roleIdOrName);
         }
 
+        const result = await this.adapter.assignRoleToUser(userId, role.id, options);
         await this.cache.invalidateUser(userId);
-        return await this.adapter.assignRoleToUser(userId, role.id);
+        await this._recordMutation('assignRole', {
+            userId,
+            roleId: role.id,
+            after: this._toUserRoleState(role, options),
+        });
+        return result;
     }
 
     /**
      * Remove role from user
      * @param {string} roleIdOrName
      * @param {string} userId
+     * @param {Object} options - { tenantId? }
      * @returns {Promise<boolean>}
      */
-    async removeRole(roleIdOrName, userId) {
-        this.logger.debug('removeRole:', roleIdOrName, userId);
+    async removeRole(roleIdOrName, userId, options = {}) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.removeRole(roleIdOrName, userId, options));
+        }
+        this.logger.debug('removeRole:', roleIdOrName, userId, options);
 
         const role = await this._resolveRole(roleIdOrName);
         if (!role) {
             throw new RoleNotFoundError(roleIdOrName);
         }
 
+        const before = await this._getUserRoleState(userId, role, options);
+        const result = await this.adapter.removeRoleFromUser(userId, role.id, options);
         await this.cache.invalidateUser(userId);
-        return await this.adapter.removeRoleFromUser(userId, role.id);
+        if (result) {
+            await this._recordMutation('removeRole', { userId, roleId: role.id, before });
+        }
+        return result;
     }
 
     /**
@@ -245,6 +618,9 @@ class PermissionManager {
      * @returns {Promise<Object>}
      */
     async setRoleInheritance(roleIdOrName, inheritFromRoleIdOrName, priority = 0) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.setRoleInheritance(roleIdOrName, inheritFromRoleIdOrName, priority));
+        }
         this.logger.debug('setRoleInheritance:', roleIdOrName, inheritFromRoleIdOrName, priority);
 
         const role = await this._resolveRole(roleIdOrName);
@@ -257,8 +633,15 @@ class PermissionManager {
             throw new RoleNotFoundError(inheritFromRoleIdOrName);
         }
 
+        const before = await this._getInheritanceState(role.id, inheritFromRole);
+        const result = await this.adapter.setRoleInheritance(role.id, inheritFromRole.id, priority);
         await this.cache.invalidateRole(role.id);
-        return await this.adapter.setRoleInheritance(role.id, inheritFromRole.id, priority);
+        await this._recordMutation('setRoleInheritance', {
+            roleId: role.id,
+            before,
+            after: { inheritsFromId: inheritFromRole.id, inheritsFromName: inheritFromRole.name, priority },
+        });
+        return result;
     }
 
     /**
@@ -268,6 +651,9 @@ class PermissionManager {
      * @returns {Promise<boolean>}
      */
     async removeRoleInheritance(roleIdOrName, inheritFromRoleIdOrName) {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.removeRoleInheritance(roleIdOrName, inheritFromRoleIdOrName));
+        }
         this.logger.debug('removeRoleInheritance:', roleIdOrName, inheritFromRoleIdOrName);
 
         const role = await this._resolveRole(roleIdOrName);
@@ -280,8 +666,127 @@ class PermissionManager {
             throw new RoleNotFoundError(inheritFromRoleIdOrName);
         }
 
+        const before = await this._getInheritanceState(role.id, inheritFromRole);
+        const result = await this.adapter.removeRoleInheritance(role.id, inheritFromRole.id);
         await this.cache.invalidateRole(role.id);
-        return await this.adapter.removeRoleInheritance(role.id, inheritFromRole.id);
+        if (result) {
+            await this._recordMutation('removeRoleInheritance', { roleId: role.id, before });
+        }
+        return result;
+    }
+
+    // ==================== Bulk Operations ====================
+
+    /**
+     * Assign a role to many users
+     * The role is looked up once and the assignments are written in one batch. Users who
+     * already hold the role in that tenant are skipped rather than failing the call.
+     * Each assignment is audited and emits its events like assignRole.
+     * @param {string} roleIdOrName
+     * @param {string[]} userIds
+     * @param {Object} options - { tenantId?, validFrom?, expiresAt? }, applied to every assignment
+     * @returns {Promise<Object>} - { assigned, skipped }: user IDs
+     */
+    async assignRoleToUsers(roleIdOrName, userIds, options = {}) {
+        this.logger.debug('assignRoleToUsers:', roleIdOrName, userIds, options);
+        if (!Array.isArray(userIds)) {
+            throw new Error('assignRoleToUsers expects an array of user IDs.');
+        }
+
+        return await this.transaction(async (tx) => {
+            const role = await tx._resolveRole(roleIdOrName);
+            if (!role) {
+                throw new RoleNotFoundError(roleIdOrName);
+            }
+
+            const unique = [...new Set(userIds)];
+            const assigned = await tx.adapter.assignRoleToUsers(unique, role.id, options);
+            await tx.cache.invalidateUsers(assigned);
+
+            const after = tx._toUserRoleState(role, options);
+            for (const userId of assigned) {
+                await tx._recordMutation('assignRole', { userId, roleId: role.id, after });
+            }
+
+            const done = new Set(assigned);
+            return { assigned, skipped: unique.filter(userId => !done.has(userId)) };
+        });
+    }
+
+    /**
+     * Grant many permissions to a role
+     * Assignments that already match are left alone; the others are written in one batch.
+     * @param {string[]} permissionKeys
+     * @param {string} roleIdOrName
+     * @param {Object} options - { validFrom?, expiresAt?, condition? }, applied to every assignment
+     * @returns {Promise<Object>} - { added, updated }: permission keys
+     */
+    async assignPermissions(permissionKeys, roleIdOrName, options = {}) {
+        this.logger.debug('assignPermissions:', permissionKeys, roleIdOrName, options);
+        if (!Array.isArray(permissionKeys)) {
+            throw new Error('assignPermissions expects an array of permission keys.');
+        }
+        this._assertGlobalRoleAssignment(options);
+        if (getAssignmentResource(options)) {
+            throw new Error('assignPermissions does not take resource rules. Use assignPermission for each resource.');
+        }
+
+        const desired = toRolePermissionMap(permissionKeys.map(key => ({ ...options, key })), []);
+        const { added, updated } = await this._writeRolePermissions('assignPermissions', roleIdOrName, desired, false);
+        return { added, updated };
+    }
+
+    /**
+     * Make a role's permissions exactly match a set of grants and bans
+     * Assignments missing from the set are removed. Changes are written in batches inside one
+     * transaction, with a single cache invalidation for the role.
+     * @param {string} roleIdOrName
+     * @param {Object} permissions - { grant?: [], ban?: [] } with permission keys or { key, validFrom?, expiresAt?, condition? }
+     * @returns {Promise<Object>} - { added, updated, removed }: permission keys
+     */
+    async syncRolePermissions(roleIdOrName, permissions = {}) {
+        this.logger.debug('syncRolePermissions:', roleIdOrName, permissions);
+        const { grant = [], ban = [] } = permissions;
+        if (!Array.isArray(grant) || !Array.isArray(ban)) {
+            throw new Error('syncRolePermissions expects { grant: [...], ban: [...] }.');
+        }
+
+        const desired = toRolePermissionMap(grant, ban);
+        return await this._writeRolePermissions('syncRolePermissions', roleIdOrName, desired, true);
+    }
+
+    // ==================== Default Roles ====================
+
+    /**
+     * Assign every default role the user does not hold yet
+     * Idempotent, so it is safe to call on every sign-in as well as at registration.
+     * @param {string} userId
+     * @param {Object} options - { tenantId?, validFrom?, expiresAt? }, applied to every assignment
+     * @returns {Promise<Object>} - { assigned, skipped }: role names
+     */
+    async ensureDefaultRoles(userId, options = {}) {
+        this.logger.debug('ensureDefaultRoles:', userId, options);
+
+        return await this.transaction(async (tx) => {
+            const assigned = [];
+            const skipped = [];
+            for (const role of await tx.adapter.getDefaultRoles()) {
+                const result = await tx.assignRoleToUsers(role.id, [userId], options);
+                (result.assigned.length > 0 ? assigned : skipped).push(role.name);
+            }
+            return { assigned, skipped };
+        });
+    }
+
+    /**
+     * Provision a new user: assign every default role
+     * Same as ensureDefaultRoles, named for registration flows.
+     * @param {string} userId
+     * @param {Object} options - { tenantId?, validFrom?, expiresAt? }
+     * @returns {Promise<Object>} - { assigned, skipped }: role names
+     */
+    async onboardUser(userId, options = {}) {
+        return await this.ensureDefaultRoles(userId, options);
     }
 
     // ==================== Check Operations ====================
@@ -291,13 +796,14 @@ class PermissionManager {
      * @param {string} targetId - User ID or Role ID
      * @param {string} permissionKey
      * @param {string} targetType - 'user' or 'role'
+     * @param {Object} context - { tenantId?, resource? } (user targets only) plus any fields conditions read
      * @returns {Promise<boolean>}
      */
-    async checkPermission(targetId, permissionKey, targetType = 'user') {
+    async checkPermission(targetId, permissionKey, targetType = 'user', context = {}) {
         if (targetType === 'user') {
-            return await this.checker.checkPermission(targetId, permissionKey);
+            return await this.checker.checkPermission(targetId, permissionKey, context);
         } else if (targetType === 'role') {
-            return await this.checker.checkRolePermission(targetId, permissionKey);
+            return await this.checker.checkRolePermission(targetId, permissionKey, context);
         } else {
             throw new Error(`Invalid targetType: ${targetType}. Must be 'user' or 'role'.`);
         }
@@ -307,21 +813,35 @@ class PermissionManager {
 
     /**
      * Get all roles assigned to a user
+     * With implicitDefaultRoles, default roles the user is not assigned are included
+     * as global roles with `implicit: true`.
      * @param {string} userId
+     * @param {Object} options - { tenantId? } includes the tenant's roles alongside global ones
      * @returns {Promise<Array>}
      */
-    async getUserRoles(userId) {
-        return await this.adapter.getUserRoles(userId);
+    async getUserRoles(userId, options = {}) {
+        const roles = await this.adapter.getUserRoles(userId, options);
+        if (!this.checker.implicitDefaultRoles) {
+            return roles;
+        }
+
+        for (const role of await this.adapter.getDefaultRoles()) {
+            if (!roles.some(r => r.id === role.id)) {
+                roles.push({ ...role, tenantId: null, validFrom: null, expiresAt: null, implicit: true });
+            }
+        }
+        return roles;
     }
 
     /**
      * Get all permissions for a user (direct + role-based)
      * @param {string} userId
+     * @param {Object} options - { tenantId? }
      * @returns {Promise<Object>} - { direct: [], fromRoles: [] }
      */
-    async getUserPermissions(userId) {
-        const directPermissions = await this.adapter.getUserDirectPermissions(userId);
-        const roles = await this.adapter.getUserRoles(userId);
+    async getUserPermissions(userId, options = {}) {
+        const directPermissions = await this.adapter.getUserDirectPermissions(userId, options);
+        const roles = await this.getUserRoles(userId, options);
 
         const rolePermissions = [];
         for (const role of roles) {
@@ -329,6 +849,7 @@ class PermissionManager {
             rolePermissions.push({
                 role: role.name,
                 roleId: role.id,
+                tenantId: role.tenantId || null,
                 permissions,
             });
         }
@@ -339,6 +860,28 @@ class PermissionManager {
         };
     }
 
+    /**
+     * Get the compiled effective permission set for a user
+     * Unlike getUserPermissions, this follows inheritance and applies the
+     * same precedence rules as permission checks.
+     * @param {string} userId
+     * @param {Object} context - { tenantId? }
+     * @returns {Promise<EffectivePermissions>}
+     */
+    async getEffectivePermissions(userId, context = {}) {
+        return await this.checker.getEffectivePermissions(userId, context);
+    }
+
+    /**
+     * Get the rules attached to a single resource instance
+     * @param {string} resourceType
+     * @param {string|number} resourceId
+     * @returns {Promise<Array>} - Rules with { key, granted, targetType, targetId }
+     */
+    async getResourcePermissions(resourceType, resourceId) {
+        return await this.adapter.getResourcePermissions(resourceType, resourceId);
+    }
+
     /**
      * Get all permissions assigned to a role
      * @param {string} roleIdOrName
@@ -365,6 +908,43 @@ class PermissionManager {
         return await this.adapter.getRoleInheritance(role.id);
     }
 
+    /**
+     * Query the audit trail, newest first
+     * @param {Object} filter - { userId?, roleId? (ID or name), actorId?, action? (manager method name, e.g. 'assignRole'),
+     *   since?, until?, limit? }; since is inclusive and until exclusive
+     * @returns {Promise<Array>} - Records { id, actorId, action, userId, roleId, permissionKey, before, after, createdAt }
+     */
+    async getAuditLog(filter = {}) {
+        const query = getAuditFilter(filter);
+        if (query.roleId != null) {
+            // Deleted roles can only be found by ID
+            const role = await this._resolveRole(query.roleId);
+            query.roleId = role ? role.id : query.roleId;
+        }
+        return await this.adapter.getAuditLog(query);
+    }
+
+    // ==================== Maintenance Operations ====================
+
+    /**
+     * Delete role and permission assignments whose expiresAt has passed
+     * Expired assignments are already ignored by checks; this only reclaims the rows.
+     * @returns {Promise<number>} - Number of assignments deleted
+     */
+    async purgeExpiredAssignments() {
+        if (this._needsAuditTransaction()) {
+            return await this.transaction(tx => tx.purgeExpiredAssignments());
+        }
+        this.logger.debug('purgeExpiredAssignments');
+        const before = new Date();
+        const deleted = await this.adapter.purgeExpiredAssignments(before);
+
+        if (deleted > 0) {
+            await this._recordMutation('purgeExpiredAssignments', { after: { expiredBefore: before, deleted } });
+        }
+        return deleted;
+    }
+
     // ==================== Cache Operations ====================
 
     /**
@@ -392,6 +972,302 @@ class PermissionManager {
 
     // ==================== Helper Methods ====================
 
+    /**
+     * Invalidate results that depend on which roles are default
+     * Only needed with implicitDefaultRoles, where every user's results do.
+     * @private
+     */
+    async _invalidateDefaultRoles() {
+        if (this.checker.implicitDefaultRoles) {
+            await this.cache.clear();
+        }
+    }
+
+    /**
+     * Whether a mutation has to open a transaction so that its audit record commits with it
+     * @private
+     */
+    _needsAuditTransaction() {
+        return this.auditEnabled && !this._pending;
+    }
+
+    /**
+     * Append an audit record for a successful mutation and emit its events
+     * @private
+     */
+    async _recordMutation(action, { userId = null, roleId = null, permissionKey = null, before = null, after = null }) {
+        const record = {
+            actorId: this.actorId,
+            action,
+            userId,
+            roleId,
+            permissionKey,
+            before: toAuditState(before),
+            after: toAuditState(after),
+            createdAt: new Date(),
+        };
+
+        if (this.auditEnabled) {
+            await this.adapter.recordAudit(record);
+        }
+        this._afterCommit(() => this._emitMutation(record));
+    }
+
+    /**
+     * Run a task now, or once the current transaction commits
+     * @private
+     */
+    _afterCommit(task) {
+        if (this._pending) {
+            this._pending.push(task);
+        } else {
+            task();
+        }
+    }
+
+    /**
+     * Emit `mutation` and the event specific to the action
+     * @private
+     */
+    _emitMutation({ actorId, action, userId, roleId, permissionKey, before, after, createdAt: at }) {
+        this.events.safeEmit('mutation', { action, actorId, userId, roleId, permissionKey, before, after, at });
+
+        const event = MUTATION_EVENTS[action];
+        if (event === 'roleAssigned' || event === 'roleRemoved') {
+            const state = after ?? before ?? {};
+            this.events.safeEmit(event, {
+                userId,
+                roleId,
+                roleName: state.roleName ?? null,
+                tenantId: state.tenantId ?? null,
+                validFrom: state.validFrom ?? null,
+                expiresAt: state.expiresAt ?? null,
+                actorId,
+                at,
+            });
+        } else if (event === 'permissionChanged') {
+            this.events.safeEmit(event, {
+                action,
+                targetType: userId ? 'user' : 'role',
+                targetId: userId ?? roleId,
+                permissionKey,
+                before,
+                after,
+                actorId,
+                at,
+            });
+        } else if (event === 'roleChanged') {
+            this.events.safeEmit(event, { action, roleId, before, after, actorId, at });
+        }
+    }
+
+    /**
+     * Whether before-states are needed, for the audit log or for event listeners
+     * @private
+     */
+    _tracksChanges() {
+        return this.auditEnabled
+            || this.events.listenerCount('mutation') > 0
+            || this.events.listenerCount('roleRemoved') > 0
+            || this.events.listenerCount('permissionChanged') > 0
+            || this.events.listenerCount('roleChanged') > 0;
+    }
+
+    /**
+     * Audit state of a permission assignment as written from options
+     * @private
+     */
+    _toAssignmentState(granted, options) {
+        const resource = getAssignmentResource(options);
+        return {
+            granted,
+            tenantId: options.tenantId || null,
+            resourceType: resource?.type ?? null,
+            resourceId: resource?.id ?? null,
+            ...getAssignmentWindow(options),
+            condition: options.condition || null,
+        };
+    }
+
+    /**
+     * Audit state of the permission assignment stored in exactly the scope of options, or null
+     * @private
+     */
+    async _getAssignmentState(permissionKey, targetType, targetId, options) {
+        if (!this._tracksChanges()) return null;
+
+        const resource = getAssignmentResource(options);
+        const tenantId = options.tenantId || null;
+        let assignment;
+        if (resource) {
+            assignment = (await this.adapter.getResourcePermissions(resource.type, resource.id))
+                .find(rule => rule.key === permissionKey && rule.targetType === targetType && rule.targetId === targetId);
+        } else if (targetType === 'role') {
+            assignment = await this.adapter.getRolePermission(targetId, permissionKey);
+        } else {
+            assignment = (await this.adapter.getUserDirectPermissions(targetId, { tenantId }))
+                .find(p => p.key === permissionKey && (p.tenantId || null) === tenantId);
+        }
+
+        if (!assignment) return null;
+        return this._toAssignmentState(assignment.granted, {
+            tenantId,
+            resourceType: options.resourceType,
+            resourceId: options.resourceId,
+            validFrom: assignment.validFrom,
+            expiresAt: assignment.expiresAt,
+            condition: assignment.condition,
+        });
+    }
+
+    /**
+     * Create a role with its grants, bans and inheritance links
+     * @private
+     */
+    async _createRoleWith(operation, { name, description, priority, isDefault, grants, bans, inherits }) {
+        const role = await this.createRole(name, description, priority, isDefault);
+
+        const desired = toRolePermissionMap(grants, bans);
+        if (desired.size > 0) {
+            await this._writeRolePermissions(operation, role.id, desired, false);
+        }
+        for (const link of inherits) {
+            await this.setRoleInheritance(role.id, link.role, link.priority);
+        }
+        return role;
+    }
+
+    /**
+     * Write a role's permission assignments in batches, optionally removing those not desired
+     * Each change is audited and emits its events as assignPermission, banPermission or removePermission.
+     * @private
+     */
+    async _writeRolePermissions(operation, roleIdOrName, desired, prune) {
+        for (const [key, state] of desired) {
+            this._assertKnownCondition(state);
+            await this.registry.assertAssignable(key, { operation });
+        }
+
+        return await this.transaction(async (tx) => {
+            const role = await tx._resolveRole(roleIdOrName);
+            if (!role) {
+                throw new RoleNotFoundError(roleIdOrName);
+            }
+
+            const current = new Map((await tx.adapter.getRolePermissions(role.id)).map(a => [a.key, a]));
+            const changes = { added: [], updated: [], removed: [] };
+            const writes = [];
+            for (const [key, state] of desired) {
+                const existing = current.get(key);
+                if (existing && sameAssignment(existing, state)) continue;
+
+                (existing ? changes.updated : changes.added).push(key);
+                writes.push({ key, ...state });
+            }
+            if (prune) {
+                changes.removed = [...current.keys()].filter(key => !desired.has(key));
+            }
+
+            if (writes.length > 0) {
+                await tx.adapter.assignPermissionsToRole(writes, role.id);
+            }
+            if (changes.removed.length > 0) {
+                await tx.adapter.removePermissionsFromRole(changes.removed, role.id);
+            }
+            if (writes.length === 0 && changes.removed.length === 0) {
+                return changes;
+            }
+            await tx.cache.invalidateRole(role.id);
+
+            const stateOf = key => {
+                const assignment = current.get(key);
+                return assignment ? tx._toAssignmentState(assignment.granted, assignment) : null;
+            };
+            for (const { key, granted, ...options } of writes) {
+                await tx._recordMutation(granted ? 'assignPermission' : 'banPermission', {
+                    roleId: role.id,
+                    permissionKey: key,
+                    before: stateOf(key),
+                    after: tx._toAssignmentState(granted, options),
+                });
+            }
+            for (const key of changes.removed) {
+                await tx._recordMutation('removePermission', { roleId: role.id, permissionKey: key, before: stateOf(key) });
+            }
+            return changes;
+        });
+    }
+
+    /**
+     * Audit state of a role assignment as written from options
+     * @private
+     */
+    _toUserRoleState(role, options) {
+        return { roleName: role.name, tenantId: options.tenantId || null, ...getAssignmentWindow(options) };
+    }
+
+    /**
+     * Audit state of the role assignment stored in exactly the tenant of options, or null
+     * getUserRoles returns one row per role; if it picks the other scope's row, the window is reported as null.
+     * @private
+     */
+    async _getUserRoleState(userId, role, options) {
+        if (!this._tracksChanges()) return null;
+
+        const tenantId = options.tenantId || null;
+        const assignment = (await this.adapter.getUserRoles(userId, { tenantId }))
+            .find(r => r.id === role.id && (r.tenantId || null) === tenantId);
+        return this._toUserRoleState(role, {
+            tenantId,
+            validFrom: assignment?.validFrom,
+            expiresAt: assignment?.expiresAt,
+        });
+    }
+
+    /**
+     * Audit state of an inheritance link, or null
+     * @private
+     */
+    async _getInheritanceState(roleId, inheritFromRole) {
+        if (!this._tracksChanges()) return null;
+
+        const link = (await this.adapter.getRoleInheritance(roleId))
+            .find(inheritance => inheritance.inheritsFromId === inheritFromRole.id);
+        return link
+            ? { inheritsFromId: inheritFromRole.id, inheritsFromName: inheritFromRole.name, priority: link.priority }
+            : null;
+    }
+
+    /**
+     * Resource rules apply in every tenant, so the two scopes cannot be combined
+     * @private
+     */
+    _assertValidScope(options) {
+        if (options.tenantId && (options.resourceType !== undefined || options.resourceId !== undefined)) {
+            throw new Error('A permission assignment cannot be scoped to both a tenant and a resource.');
+        }
+    }
+
+    /**
+     * Conditions are referenced by name, so catch typos before they are stored
+     * @private
+     */
+    _assertKnownCondition(options) {
+        if (options.condition && !this.checker.conditions.has(options.condition)) {
+            throw new ConditionNotFoundError(options.condition);
+        }
+    }
+
+    /**
+     * Role permissions are shared by every tenant; only user assignments can be scoped
+     * @private
+     */
+    _assertGlobalRoleAssignment(options) {
+        if (options.tenantId) {
+            throw new Error('Role permissions cannot be scoped to a tenant. Assign the role to users per tenant instead.');
+        }
+    }
+
     /**
      * Resolve role by ID or name
      * @private
@@ -0,0 +1,162 @@
+import { UnknownPermissionError } from './errors.js';
+import { compilePattern, isWildcard, matchesWildcard } from '../utils/wildcard.js';
+
+/**
+ * Registry of known permission keys, backing the strict permission mode
+ *
+ * Modes:
+ *   false  - Off (default). Keys are not validated and assignments create missing permissions.
+ *   'warn' - Unknown keys are logged once per key, even without debug, and reported as an `unknownPermission` event.
+ *   true   - Assigning or checking an unknown key throws UnknownPermissionError.
+ *
+ * A key is known once it exists in the permissions table, through createPermission(),
+ * registerPermissions() or a policy. Keys are loaded from the adapter on first use and
+ * reloaded when a key is missing, so permissions created by other processes are picked up.
+ * Those reloads happen at most once per reloadInterval, however many unknown keys come in.
+ */
+class PermissionRegistry {
+    /**
+     * @param {BaseAdapter} adapter
+     * @param {Logger} logger
+     * @param {Object} options - { mode: false | 'warn' | true, events: PermissionEvents?,
+     *   reloadInterval: seconds between reloads for unknown keys (default: 10) }
+     */
+    constructor(adapter, logger, options = {}) {
+        const { mode = false, events = null, reloadInterval = 10 } = options;
+        if (mode !== false && mode !== true && mode !== 'warn') {
+            throw new Error(`Invalid strictPermissions mode: ${mode}. Must be false, true or 'warn'.`);
+        }
+
+        this.adapter = adapter;
+        this.logger = logger;
+        this.mode = mode;
+        this.events = events;
+        this.reloadInterval = reloadInterval;
+        this.keys = null;
+        this.loadedAt = 0;
+        this.warned = new Set();
+    }
+
+    /**
+     * Whether keys are validated at all
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this.mode !== false;
+    }
+
+    /**
+     * Load every permission key from the adapter
+     * @returns {Promise<Set<string>>}
+     */
+    async load() {
+        this.logger.debug('PermissionRegistry.load');
+        const permissions = await this.adapter.listAllPermissions();
+        this.keys = new Set(permissions.map(permission => permission.key));
+        this.loadedAt = Date.now();
+        return this.keys;
+    }
+
+    /**
+     * Record a key created in this process
+     * @param {string} key
+     */
+    register(key) {
+        this.keys?.add(key);
+        this.warned.delete(key);
+    }
+
+    /**
+     * Forget a key deleted in this process
+     * @param {string} key
+     */
+    unregister(key) {
+        this.keys?.delete(key);
+    }
+
+    /**
+     * Forget the loaded keys, so the next validation loads them again
+     */
+    invalidate() {
+        this.keys = null;
+    }
+
+    /**
+     * Whether a key may be assigned: it is registered, or it is a wildcard matching a registered key
+     * @param {string} key
+     * @param {Iterable<string>} extraKeys - Keys to treat as registered, e.g. those a policy declares
+     * @returns {boolean}
+     */
+    isAssignable(key, extraKeys = []) {
+        const known = [...this.keys ?? [], ...extraKeys];
+        if (known.includes(key)) return true;
+        if (!isWildcard(key)) return false;
+        return known.some(registered => !isWildcard(registered) && matchesWildcard(key, registered));
+    }
+
+    /**
+     * Whether a key may be checked: it is registered, or a registered wildcard with a literal segment covers it
+     * Patterns without one, like `*`, cover every key, so they would hide every typo.
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isCheckable(key) {
+        if (!this.keys) return false;
+        if (this.keys.has(key)) return true;
+        for (const registered of this.keys) {
+            const matcher = compilePattern(registered);
+            if (matcher.wildcard && !matcher.universal && matcher.test(key)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Validate a key before it is assigned
+     * @param {string} key
+     * @param {Object} options - { operation?: string, extraKeys?: Iterable<string> }
+     * @throws {UnknownPermissionError} - In strict mode, for unknown keys
+     */
+    async assertAssignable(key, options = {}) {
+        const { operation = 'assign', extraKeys = [] } = options;
+        await this._validate(key, operation, () => this.isAssignable(key, extraKeys));
+    }
+
+    /**
+     * Validate a key before it is checked
+     * @param {string} key
+     * @param {string} operation - Method that checks the key, for the error and event
+     * @throws {UnknownPermissionError} - In strict mode, for unknown keys
+     */
+    async assertCheckable(key, operation = 'check') {
+        await this._validate(key, operation, () => this.isCheckable(key));
+    }
+
+    /**
+     * @private
+     */
+    async _validate(key, operation, isKnown) {
+        if (!this.enabled) return;
+
+        // Keys already reported in warn mode are not looked up again
+        if (this.mode === 'warn' && this.warned.has(key)) return;
+
+        if (!this.keys) await this.load();
+        if (isKnown()) return;
+
+        // Another process may have created it since the last load
+        if (Date.now() - this.loadedAt >= this.reloadInterval * 1000) {
+            await this.load();
+            if (isKnown()) return;
+        }
+
+        if (this.mode === true) {
+            throw new UnknownPermissionError(key, operation);
+        }
+
+        this.warned.add(key);
+        this.logger.alertWarn(`Unknown permission "${key}" (${operation}). Register it with registerPermissions().`);
+        this.events?.safeEmit('unknownPermission', { key, operation });
+    }
+}
+
+export default PermissionRegistry;
@@ -0,0 +1,369 @@
+import { getAssignmentWindow, sameAssignment } from '../utils/validity.js';
+
+/**
+ * Declarative role and permission policy, synchronized with plan/apply
+ *
+ * A policy is plain data, e.g. parsed from a JSON or YAML file:
+ *   {
+ *     permissions: { 'posts.read': { description, category }, ... },  // optional
+ *     roles: {
+ *       editor: { description, priority, isDefault, grants: ['posts.*'], bans: ['posts.delete'] },
+ *       admin: { priority: 100, inherits: ['editor', { role: 'auditor', priority: 10 }], grants: ['*'] },
+ *     },
+ *   }
+ *
+ * Grants and bans are permission keys or { key, condition?, validFrom?, expiresAt? }.
+ * Role fields left out take their defaults (description null, priority 0, isDefault false).
+ * Users and their role assignments are not part of a policy.
+ */
+class PolicySync {
+    /**
+     * @param {PermissionManager} manager - Changes are applied through it, so they are audited and emit events
+     * @param {Logger} logger
+     */
+    constructor(manager, logger) {
+        this.manager = manager;
+        this.adapter = manager.adapter;
+        this.logger = logger;
+    }
+
+    /**
+     * Compute the changes that would make the database match a policy
+     * Without prune, entries the policy does not mention are left alone. With prune, roles
+     * missing from the policy are deleted, along with grants, bans and inheritance links of
+     * policy roles that the policy does not list; permissions missing from the policy are
+     * deleted only when it has a `permissions` section.
+     * @param {Object} policy
+     * @param {Object} options - { prune?: boolean }
+     * @returns {Promise<Object>} - { changes, hasChanges } with changes in the order apply() runs them
+     */
+    async plan(policy, options = {}) {
+        this.logger.debug('plan:', options);
+        const desired = normalizePolicy(policy);
+        const prune = options.prune ?? false;
+
+        // In strict mode, grants and bans must name permissions that are registered or declared here
+        const { registry } = this.manager;
+        if (registry.enabled) {
+            for (const { assignments } of desired.roles.values()) {
+                for (const key of assignments.keys()) {
+                    if (!desired.declared.has(key)) {
+                        await registry.assertAssignable(key, { operation: 'plan', extraKeys: desired.declared });
+                    }
+                }
+            }
+        }
+
+        const permissions = new Map((await this.adapter.listAllPermissions()).map(p => [p.key, p]));
+        const roles = await this.adapter.listAllRoles();
+        const rolesByName = new Map(roles.map(role => [role.name, role]));
+        const rolesById = new Map(roles.map(role => [role.id, role]));
+
+        const steps = {
+            createPermission: [],
+            role: [],
+            assign: [],
+            remove: [],
+            removeInheritance: [],
+            setInheritance: [],
+            deleteRole: [],
+            deletePermission: [],
+        };
+
+        for (const [key, definition] of desired.permissions) {
+            if (!permissions.has(key)) {
+                steps.createPermission.push({ action: 'createPermission', permissionKey: key, after: definition });
+            }
+        }
+
+        for (const [name, definition] of desired.roles) {
+            const role = rolesByName.get(name) || null;
+            const roleId = role ? role.id : null;
+            const fields = { description: definition.description, priority: definition.priority, isDefault: definition.isDefault };
+
+            if (!role) {
+                steps.role.push({ action: 'createRole', role: name, roleId, after: fields });
+            } else {
+                const before = {};
+                const after = {};
+                for (const [field, value] of Object.entries(fields)) {
+                    if ((role[field] ?? null) !== value) {
+                        before[field] = role[field] ?? null;
+                        after[field] = value;
+                    }
+                }
+                if (Object.keys(after).length > 0) {
+                    steps.role.push({ action: 'updateRole', role: name, roleId, before, after });
+                }
+            }
+
+            // Grants and bans
+            const current = new Map();
+            for (const assignment of role ? await this.adapter.getRolePermissions(role.id) : []) {
+                current.set(assignment.key, toAssignmentState(assignment));
+            }
+            for (const [key, state] of definition.assignments) {
+                const before = current.get(key) || null;
+                if (!before || !sameAssignment(before, state)) {
+                    const action = state.granted ? 'assignPermission' : 'banPermission';
+                    steps.assign.push({ action, role: name, roleId, permissionKey: key, before, after: state });
+                }
+            }
+            if (prune) {
+                for (const [key, before] of current) {
+                    if (!definition.assignments.has(key)) {
+                        steps.remove.push({ action: 'removePermission', role: name, roleId, permissionKey: key, before });
+                    }
+                }
+            }
+
+            // Inheritance
+            const links = new Map();
+            for (const link of role ? await this.adapter.getRoleInheritance(role.id) : []) {
+                const parent = rolesById.get(link.inheritsFromId);
+                if (parent) links.set(parent.name, link);
+            }
+            for (const [parent, priority] of definition.inherits) {
+                const link = links.get(parent);
+                if (!link || link.priority !== priority) {
+                    steps.setInheritance.push({
+                        action: 'setRoleInheritance',
+                        role: name,
+                        roleId,
+                        inheritsFrom: parent,
+                        before: link ? { priority: link.priority } : null,
+                        after: { priority },
+                    });
+                }
+            }
+            if (prune) {
+                for (const [parent, link] of links) {
+                    if (!definition.inherits.has(parent)) {
+                        steps.removeInheritance.push({
+                            action: 'removeRoleInheritance',
+                            role: name,
+                            roleId,
+                            inheritsFrom: parent,
+                            before: { priority: link.priority },
+                        });
+                    }
+                }
+            }
+        }
+
+        if (prune) {
+            for (const role of roles) {
+                if (!desired.roles.has(role.name)) {
+                    steps.deleteRole.push({ action: 'deleteRole', role: role.name, roleId: role.id });
+                }
+            }
+            if (desired.declaresPermissions) {
+                for (const key of permissions.keys()) {
+                    if (!desired.permissions.has(key)) {
+                        steps.deletePermission.push({ action: 'deletePermission', permissionKey: key });
+                    }
+                }
+            }
+        }
+
+        // Stale links go before new ones, so re-pointing inheritance never looks circular
+        const changes = [
+            ...steps.createPermission,
+            ...steps.role,
+            ...steps.assign,
+            ...steps.remove,
+            ...steps.removeInheritance,
+            ...steps.setInheritance,
+            ...steps.deleteRole,
+            ...steps.deletePermission,
+        ];
+        return { changes, hasChanges: changes.length > 0 };
+    }
+
+    /**
+     * Make the database match a policy
+     * The plan is computed and applied in one transaction, so either every change is applied
+     * or, if one fails, none is.
+     * @param {Object} policy
+     * @param {Object} options - { prune?: boolean, actorId?: string } (actorId is recorded in the audit log)
+     * @returns {Promise<Object>} - The plan that was applied
+     */
+    async apply(policy, options = {}) {
+        this.logger.debug('apply:', options);
+
+        return await this.manager.transaction(async (tx) => {
+            const plan = await new PolicySync(tx, this.logger).plan(policy, options);
+            const manager = options.actorId ? tx.withActor(options.actorId) : tx;
+
+            for (const change of plan.changes) {
+                await applyChange(manager, change);
+            }
+            return plan;
+        });
+    }
+}
+
+/**
+ * Run one planned change through the manager
+ * @private
+ */
+async function applyChange(manager, change) {
+    const role = change.roleId || change.role;
+    switch (change.action) {
+        case 'createPermission':
+            await manager.createPermission(change.permissionKey, change.after.description, change.after.category);
+            break;
+        case 'createRole':
+            await manager.createRole(change.role, change.after.description, change.after.priority, change.after.isDefault);
+            break;
+        case 'updateRole':
+            await manager.updateRole(role, change.after);
+            break;
+        case 'assignPermission':
+        case 'banPermission':
+            await manager[change.action](change.permissionKey, role, 'role', toAssignmentOptions(change.after));
+            break;
+        case 'removePermission':
+            await manager.removePermission(change.permissionKey, role, 'role');
+            break;
+        case 'removeRoleInheritance':
+            await manager.removeRoleInheritance(role, change.inheritsFrom);
+            break;
+        case 'setRoleInheritance':
+            await manager.setRoleInheritance(role, change.inheritsFrom, change.after.priority);
+            break;
+        case 'deleteRole':
+            await manager.deleteRole(role);
+            break;
+        case 'deletePermission':
+            await manager.deletePermission(change.permissionKey);
+            break;
+    }
+}
+
+/**
+ * Validate a policy and bring it into one shape
+ * @private
+ */
+function normalizePolicy(policy) {
+    if (!isObject(policy)) {
+        throw new Error('Invalid policy: expected an object.');
+    }
+
+    const permissions = new Map();
+    const declared = new Set();
+    const declaresPermissions = policy.permissions !== undefined;
+    if (declaresPermissions) {
+        if (!isObject(policy.permissions)) {
+            throw new Error('Invalid policy: permissions must be an object keyed by permission key.');
+        }
+        for (const [key, definition] of Object.entries(policy.permissions)) {
+            if (definition !== null && !isObject(definition)) {
+                throw new Error(`Invalid policy: permissions.${key} must be an object or null.`);
+            }
+            const { description = null, category = null } = definition ?? {};
+            permissions.set(key, { description, category });
+            declared.add(key);
+        }
+    }
+
+    if (policy.roles !== undefined && !isObject(policy.roles)) {
+        throw new Error('Invalid policy: roles must be an object keyed by role name.');
+    }
+
+    const roles = new Map();
+    for (const [name, definition] of Object.entries(policy.roles ?? {})) {
+        const path = `roles.${name}`;
+        if (definition !== null && !isObject(definition)) {
+            throw new Error(`Invalid policy: ${path} must be an object or null.`);
+        }
+        const { description = null, priority = 0, isDefault = false, grants = [], bans = [], inherits = [] } = definition ?? {};
+        if (!Number.isInteger(priority)) {
+            throw new Error(`Invalid policy: ${path}.priority must be an integer.`);
+        }
+
+        const assignments = new Map();
+        const addAssignments = (entries, granted, field) => {
+            if (!Array.isArray(entries)) {
+                throw new Error(`Invalid policy: ${path}.${field} must be an array.`);
+            }
+            entries.forEach((entry, index) => {
+                const spec = typeof entry === 'string' ? { key: entry } : entry;
+                if (!isObject(spec) || typeof spec.key !== 'string' || spec.key === '') {
+                    throw new Error(`Invalid policy: ${path}.${field}[${index}] must be a permission key or { key, ... }.`);
+                }
+                if (assignments.has(spec.key)) {
+                    throw new Error(`Invalid policy: ${path} lists ${spec.key} more than once.`);
+                }
+                assignments.set(spec.key, {
+                    granted,
+                    ...getAssignmentWindow(spec),
+                    condition: spec.condition || null,
+                });
+                if (!permissions.has(spec.key)) {
+                    permissions.set(spec.key, { description: null, category: null });
+                }
+            });
+        };
+        addAssignments(grants, true, 'grants');
+        addAssignments(bans, false, 'bans');
+
+        if (!Array.isArray(inherits)) {
+            throw new Error(`Invalid policy: ${path}.inherits must be an array.`);
+        }
+        const parents = new Map();
+        inherits.forEach((entry, index) => {
+            const spec = typeof entry === 'string' ? { role: entry } : entry;
+            if (!isObject(spec) || typeof spec.role !== 'string' || !Number.isInteger(spec.priority ?? 0)) {
+                throw new Error(`Invalid policy: ${path}.inherits[${index}] must be a role name or { role, priority }.`);
+            }
+            parents.set(spec.role, spec.priority ?? 0);
+        });
+
+        roles.set(name, { description, priority, isDefault: Boolean(isDefault), assignments, inherits: parents });
+    }
+
+    // Inheritance may only point at roles the policy manages
+    for (const [name, { inherits }] of roles) {
+        for (const parent of inherits.keys()) {
+            if (!roles.has(parent)) {
+                throw new Error(`Invalid policy: roles.${name} inherits from ${parent}, which is not in the policy.`);
+            }
+        }
+    }
+
+    return { permissions, declared, declaresPermissions, roles };
+}
+
+/**
+ * @private
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Comparable state of a stored role permission assignment
+ * @private
+ */
+function toAssignmentState(assignment) {
+    return {
+        granted: assignment.granted,
+        ...getAssignmentWindow(assignment),
+        condition: assignment.condition || null,
+    };
+}
+
+/**
+ * Assignment options for the manager from a planned state
+ * @private
+ */
+function toAssignmentOptions({ validFrom, expiresAt, condition }) {
+    const options = {};
+    if (validFrom) options.validFrom = validFrom;
+    if (expiresAt) options.expiresAt = expiresAt;
+    if (condition) options.condition = condition;
+    return options;
+}
+
+export default PolicySync;
@@ -0,0 +1,172 @@
+import { RoleTemplateNotFoundError } from './errors.js';
+
+/**
+ * `{param}` placeholder inside a template string
+ * @private
+ */
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * Characters a parameter value may not contain, as they would change the shape of a key
+ * @private
+ */
+const UNSAFE_VALUE = /[.:*{}]/;
+
+/**
+ * Named, parameterized role definitions
+ *
+ * A template describes one role in the shape of a policy entry, with `{param}`
+ * placeholders in its name, description, grant and ban keys and inherited role names:
+ *   {
+ *     name: 'project-{projectId}-admin',
+ *     description: 'Administers project {projectId}',
+ *     priority: 50,
+ *     grants: ['project:{projectId}:*'],
+ *     bans: [{ key: 'project:{projectId}:delete', expiresAt: '2030-01-01' }],
+ *     inherits: ['member', { role: 'project-{projectId}-viewer', priority: 1 }],
+ *   }
+ *
+ * Parameter values replace whole placeholders and may not contain separators, wildcards
+ * or braces: a projectId of `*` must not turn `project:{projectId}:*` into every project.
+ */
+class RoleTemplateRegistry {
+    constructor() {
+        this.templates = new Map();
+    }
+
+    /**
+     * Register a template; registering an existing name replaces it
+     * @param {string} name
+     * @param {Object} template - { name, description?, priority?, isDefault?, grants?, bans?, inherits? }
+     */
+    register(name, template) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Role template name must be a non-empty string.');
+        }
+        if (template === null || typeof template !== 'object' || Array.isArray(template)) {
+            throw new Error(`Role template ${name} must be an object.`);
+        }
+
+        const { description = null, priority = 0, isDefault = false, grants = [], bans = [], inherits = [] } = template;
+        if (typeof template.name !== 'string' || template.name === '') {
+            throw new Error(`Role template ${name} needs a role name.`);
+        }
+        if (description !== null && typeof description !== 'string') {
+            throw new Error(`Role template ${name}: description must be a string.`);
+        }
+        if (!Number.isInteger(priority)) {
+            throw new Error(`Role template ${name}: priority must be an integer.`);
+        }
+
+        const toAssignments = (entries, field) => {
+            if (!Array.isArray(entries)) {
+                throw new Error(`Role template ${name}: ${field} must be an array.`);
+            }
+            return entries.map((entry, index) => {
+                const spec = typeof entry === 'string' ? { key: entry } : entry;
+                if (spec === null || typeof spec !== 'object' || typeof spec.key !== 'string' || spec.key === '') {
+                    throw new Error(`Role template ${name}: ${field}[${index}] must be a permission key or { key, ... }.`);
+                }
+                return { ...spec };
+            });
+        };
+
+        if (!Array.isArray(inherits)) {
+            throw new Error(`Role template ${name}: inherits must be an array.`);
+        }
+        const parents = inherits.map((entry, index) => {
+            const spec = typeof entry === 'string' ? { role: entry } : entry;
+            if (spec === null || typeof spec !== 'object' || typeof spec.role !== 'string' || !Number.isInteger(spec.priority ?? 0)) {
+                throw new Error(`Role template ${name}: inherits[${index}] must be a role name or { role, priority }.`);
+            }
+            return { role: spec.role, priority: spec.priority ?? 0 };
+        });
+
+        this.templates.set(name, {
+            name: template.name,
+            description,
+            priority,
+            isDefault: Boolean(isDefault),
+            grants: toAssignments(grants, 'grants'),
+            bans: toAssignments(bans, 'bans'),
+            inherits: parents,
+        });
+    }
+
+    /**
+     * Check whether a template is registered
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.templates.has(name);
+    }
+
+    /**
+     * Names of the parameters a template uses
+     * @param {string} name
+     * @returns {string[]}
+     * @throws {RoleTemplateNotFoundError}
+     */
+    parameters(name) {
+        const template = this._get(name);
+        const strings = [
+            template.name,
+            template.description ?? '',
+            ...template.grants.map(grant => grant.key),
+            ...template.bans.map(ban => ban.key),
+            ...template.inherits.map(parent => parent.role),
+        ];
+        const names = new Set();
+        for (const text of strings) {
+            for (const [, param] of text.matchAll(PLACEHOLDER)) {
+                names.add(param);
+            }
+        }
+        return [...names];
+    }
+
+    /**
+     * Build the role a template describes for a set of parameters
+     * @param {string} name
+     * @param {Object} params - Values by parameter name, strings or numbers
+     * @returns {Object} - { name, description, priority, isDefault, grants, bans, inherits } without placeholders
+     * @throws {RoleTemplateNotFoundError}
+     */
+    render(name, params = {}) {
+        const template = this._get(name);
+        for (const param of this.parameters(name)) {
+            const value = params[param];
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                throw new Error(`Role template ${name} needs the parameter ${param}.`);
+            }
+            if (String(value) === '' || UNSAFE_VALUE.test(String(value))) {
+                throw new Error(`Invalid value for parameter ${param} of role template ${name}: ${JSON.stringify(value)}`);
+            }
+        }
+
+        const fill = text => text.replace(PLACEHOLDER, (_, param) => String(params[param]));
+        return {
+            name: fill(template.name),
+            description: template.description === null ? null : fill(template.description),
+            priority: template.priority,
+            isDefault: template.isDefault,
+            grants: template.grants.map(grant => ({ ...grant, key: fill(grant.key) })),
+            bans: template.bans.map(ban => ({ ...ban, key: fill(ban.key) })),
+            inherits: template.inherits.map(parent => ({ role: fill(parent.role), priority: parent.priority })),
+        };
+    }
+
+    /**
+     * @private
+     */
+    _get(name) {
+        const template = this.templates.get(name);
+        if (!template) {
+            throw new RoleTemplateNotFoundError(name);
+        }
+        return template;
+    }
+}
+
+export default RoleTemplateRegistry;
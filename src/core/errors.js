@@ -40,12 +40,22 @@ class PermissionNotFoundError extends PermissionError {
   }
 }
 
+/**
+ * Error thrown in strict mode when a permission key was never registered
+ */
+class UnknownPermissionError extends PermissionError {
+  constructor(permissionKey, operation) {
+    super(`Unknown permission: ${permissionKey}`, 'UNKNOWN_PERMISSION', { permissionKey, operation });
+    this.name = 'UnknownPermissionError';
+  }
+}
+
 /**
  * Error thrown when a role is already assigned to a user
  */
 class RoleAlreadyAssignedError extends PermissionError {
-  constructor(userId, roleId) {
-    super(`Role already assigned to user`, 'ROLE_ALREADY_ASSIGNED', { userId, roleId });
+  constructor(userId, roleId, tenantId = null) {
+    super(`Role already assigned to user`, 'ROLE_ALREADY_ASSIGNED', { userId, roleId, tenantId });
     this.name = 'RoleAlreadyAssignedError';
   }
 }
@@ -80,13 +90,69 @@ class CircularInheritanceError extends PermissionError {
   }
 }
 
+/**
+ * Error thrown when a permission assignment references an unregistered condition
+ */
+class ConditionNotFoundError extends PermissionError {
+  constructor(conditionName) {
+    super(`Condition not registered: ${conditionName}`, 'CONDITION_NOT_FOUND', { conditionName });
+    this.name = 'ConditionNotFoundError';
+  }
+}
+
+/**
+ * Error thrown when a role template is not registered
+ */
+class RoleTemplateNotFoundError extends PermissionError {
+  constructor(templateName) {
+    super(`Role template not registered: ${templateName}`, 'ROLE_TEMPLATE_NOT_FOUND', { templateName });
+    this.name = 'RoleTemplateNotFoundError';
+  }
+}
+
+/**
+ * Error thrown when a guarded request has no authenticated user
+ */
+class UnauthenticatedError extends PermissionError {
+  constructor() {
+    super('Authentication required', 'UNAUTHENTICATED');
+    this.name = 'UnauthenticatedError';
+  }
+}
+
+/**
+ * Error thrown when a user lacks the permissions a guard requires
+ */
+class PermissionDeniedError extends PermissionError {
+  constructor(userId, permissionKeys, mode = 'all') {
+    super(`Permission denied: ${mode === 'any' && permissionKeys.length > 1 ? 'one of ' : ''}${permissionKeys.join(', ')}`, 'PERMISSION_DENIED', { userId, permissionKeys, mode });
+    this.name = 'PermissionDeniedError';
+  }
+}
+
+/**
+ * Error thrown when a user lacks the roles a guard requires
+ */
+class RoleRequiredError extends PermissionError {
+  constructor(userId, roles, mode = 'any') {
+    super(`Role required: ${mode === 'any' && roles.length > 1 ? 'one of ' : ''}${roles.join(', ')}`, 'ROLE_REQUIRED', { userId, roles, mode });
+    this.name = 'RoleRequiredError';
+  }
+}
+
 export {
   PermissionError,
   UserNotFoundError,
   RoleNotFoundError,
   PermissionNotFoundError,
+  UnknownPermissionError,
   RoleAlreadyAssignedError,
   PermissionAlreadyExistsError,
   RoleAlreadyExistsError,
   CircularInheritanceError,
+  ConditionNotFoundError,
+  RoleTemplateNotFoundError,
+  UnauthenticatedError,
+  PermissionDeniedError,
+  RoleRequiredError,
 };
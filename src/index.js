@@ -1,57 +1,165 @@
+import BaseAdapter from './adapters/BaseAdapter.js';
 import PrismaAdapter from './adapters/PrismaAdapter.js';
+import MemoryAdapter from './adapters/MemoryAdapter.js';
+import KnexAdapter from './adapters/KnexAdapter.js';
+import { knexMigrationSource } from './adapters/knexMigrations.js';
 import PermissionChecker from './core/PermissionChecker.js';
 import PermissionManager from './core/PermissionManager.js';
 import CacheManager from './core/CacheManager.js';
+import EffectivePermissions from './core/EffectivePermissions.js';
+import ConditionRegistry from './core/ConditionRegistry.js';
+import PermissionEvents from './core/PermissionEvents.js';
+import PolicySync from './core/PolicySync.js';
+import PermissionRegistry from './core/PermissionRegistry.js';
+import RoleTemplateRegistry from './core/RoleTemplateRegistry.js';
+import { BaseCacheStore, MemoryCacheStore, RedisCacheStore } from './cache/index.js';
+import {
+    createExpressMiddleware,
+    createHonoMiddleware,
+    createFetchMiddleware,
+    getPermissionDecision,
+    fastifyPermissions,
+} from './middleware/index.js';
 import Logger from './utils/logger.js';
 import * as errors from './core/errors.js';
 
+/**
+ * Reject an empty key list, which canAll would otherwise grant vacuously
+ * @param {string[]} permissionKeys
+ * @param {string} method
+ */
+function assertKeyList(permissionKeys, method) {
+    if (!Array.isArray(permissionKeys) || permissionKeys.length === 0) {
+        throw new Error(`${method} needs at least one permission key.`);
+    }
+}
+
 /**
  * Create permission system instance
- * @param {PrismaClient} prismaClient - Prisma client instance
+ *
+ * Storage goes through PrismaAdapter by default. Pass any BaseAdapter instance as
+ * `options.adapter` to use another store, either as createPermissionSystem(null, { adapter })
+ * or createPermissionSystem({ adapter, ...options }).
+ *
+ * @param {PrismaClient} prismaClient - Prisma client instance (ignored when options.adapter is set)
  * @param {object} options - Configuration options
+ * @param {BaseAdapter} options.adapter - Storage adapter (optional, takes precedence over prismaClient)
  * @param {object} options.redis - Redis client instance (optional)
+ * @param {BaseCacheStore|string} options.cacheStore - Cache store instance, or 'memory' for the built-in LRU store (optional, takes precedence over redis)
+ * @param {number} options.cacheMaxEntries - Maximum entries for the 'memory' cache store (default: 10000)
  * @param {boolean} options.enableCache - Enable caching (default: true)
  * @param {number} options.cacheTTL - Cache TTL in seconds (default: 300)
  * @param {boolean} options.debug - Enable debug logging (default: false)
+ * @param {boolean} options.audit - Record an audit entry for every mutation (default: false); the adapter must support audit
+ * @param {boolean|string} options.strictPermissions - Reject (true) or warn about ('warn') unregistered permission keys (default: false)
+ * @param {number} options.permissionReloadInterval - Minimum seconds between permission reloads for unknown keys in strict mode (default: 10)
+ * @param {boolean} options.implicitDefaultRoles - Treat default roles as held by every user in checks, without assigning them (default: false)
  * @returns {Object} Permission system instance
  */
 function createPermissionSystem(prismaClient, options = {}) {
+    // createPermissionSystem({ adapter, ...options })
+    if (prismaClient?.adapter instanceof BaseAdapter) {
+        return createPermissionSystem(null, { ...prismaClient, ...options });
+    }
+
     const {
+        adapter: customAdapter = null,
         redis = null,
+        cacheStore = null,
+        cacheMaxEntries = 10000,
         enableCache = true,
         cacheTTL = 300,
         debug = false,
+        audit = false,
+        strictPermissions = false,
+        permissionReloadInterval = 10,
+        implicitDefaultRoles = false,
     } = options;
 
+    if (customAdapter && !(customAdapter instanceof BaseAdapter)) {
+        throw new Error('options.adapter must be an instance of a BaseAdapter subclass.');
+    }
+    if (!customAdapter && !prismaClient) {
+        throw new Error('createPermissionSystem needs a Prisma client or options.adapter.');
+    }
+
     const logger = new Logger(debug);
-    const cacheManager = new CacheManager(redis, { enabled: enableCache, ttl: cacheTTL });
-    const adapter = new PrismaAdapter(prismaClient, logger);
-    const checker = new PermissionChecker(adapter, cacheManager, logger);
-    const manager = new PermissionManager(adapter, checker, cacheManager, logger);
+    const store = cacheStore === 'memory'
+        ? new MemoryCacheStore({ maxEntries: cacheMaxEntries })
+        : cacheStore || redis;
+    const cacheManager = new CacheManager(store, { enabled: enableCache, ttl: cacheTTL });
+    const adapter = customAdapter || new PrismaAdapter(prismaClient, logger);
+    const events = new PermissionEvents(logger);
+    const registry = new PermissionRegistry(adapter, logger, { mode: strictPermissions, events, reloadInterval: permissionReloadInterval });
+    const checker = new PermissionChecker(adapter, cacheManager, logger, new ConditionRegistry(logger), events, registry, { implicitDefaultRoles });
+    const manager = new PermissionManager(adapter, checker, cacheManager, logger, { audit, events, registry });
+    const policySync = new PolicySync(manager, logger);
 
     return {
         // Core components
         manager,
         checker,
+        policySync,
+        registry,
         adapter,
         cache: cacheManager,
         logger,
+        events,
 
         // Convenience methods for permission checking
-        can: (userId, permission) => checker.checkPermission(userId, permission),
-        canRole: (roleId, permission) => checker.checkRolePermission(roleId, permission),
+        can: (userId, permission, context) => checker.checkPermission(userId, permission, context),
+        canRole: (roleId, permission, context) => checker.checkRolePermission(roleId, permission, context),
+        explain: (userId, permission, context) => checker.explain(userId, permission, context),
+        checkMany: (userId, permissions, context) => checker.checkMany(userId, permissions, context),
+        canAll: async (userId, permissions, context) => {
+            assertKeyList(permissions, 'canAll');
+            const results = await checker.checkMany(userId, permissions, context);
+            return Object.values(results).every(Boolean);
+        },
+        canAny: async (userId, permissions, context) => {
+            assertKeyList(permissions, 'canAny');
+            const results = await checker.checkMany(userId, permissions, context);
+            return Object.values(results).some(Boolean);
+        },
+        getEffectivePermissions: (userId, context) => checker.getEffectivePermissions(userId, context),
+        registerCondition: (name, predicate) => checker.conditions.register(name, predicate),
 
         // Direct access to commonly used manager methods
         createPermission: (...args) => manager.createPermission(...args),
+        registerPermissions: (permissions) => manager.registerPermissions(permissions),
         deletePermission: (...args) => manager.deletePermission(...args),
         createRole: (...args) => manager.createRole(...args),
         deleteRole: (...args) => manager.deleteRole(...args),
+        cloneRole: (...args) => manager.cloneRole(...args),
+        registerRoleTemplate: (name, template) => manager.registerRoleTemplate(name, template),
+        createRoleFromTemplate: (name, params) => manager.createRoleFromTemplate(name, params),
         assignPermission: (...args) => manager.assignPermission(...args),
         removePermission: (...args) => manager.removePermission(...args),
         assignRole: (...args) => manager.assignRole(...args),
+        assignRoleToUsers: (...args) => manager.assignRoleToUsers(...args),
+        assignPermissions: (...args) => manager.assignPermissions(...args),
+        syncRolePermissions: (...args) => manager.syncRolePermissions(...args),
+        ensureDefaultRoles: (userId, options) => manager.ensureDefaultRoles(userId, options),
+        onboardUser: (userId, options) => manager.onboardUser(userId, options),
         removeRole: (...args) => manager.removeRole(...args),
         banPermission: (...args) => manager.banPermission(...args),
         checkPermission: (...args) => manager.checkPermission(...args),
+        purgeExpiredAssignments: () => manager.purgeExpiredAssignments(),
+        transaction: (callback, options) => manager.transaction(callback, options),
+
+        // Declarative policy
+        plan: (policy, options) => policySync.plan(policy, options),
+        apply: (policy, options) => policySync.apply(policy, options),
+
+        // Audit trail
+        withActor: (actorId) => manager.withActor(actorId),
+        getAuditLog: (filter) => manager.getAuditLog(filter),
+
+        // Event hooks ('check', 'denied', 'mutation', 'roleAssigned', 'roleRemoved', 'permissionChanged', 'roleChanged',
+        // 'unknownPermission')
+        on: (event, listener) => events.on(event, listener),
+        once: (event, listener) => events.once(event, listener),
+        off: (event, listener) => events.off(event, listener),
 
         // Cache control
         invalidateUserCache: (userId) => cacheManager.invalidateUser(userId),
@@ -62,10 +170,28 @@ function createPermissionSystem(prismaClient, options = {}) {
 
 export {
     createPermissionSystem,
+    createExpressMiddleware,
+    createHonoMiddleware,
+    createFetchMiddleware,
+    getPermissionDecision,
+    fastifyPermissions,
+    BaseAdapter,
     PrismaAdapter,
+    MemoryAdapter,
+    KnexAdapter,
+    knexMigrationSource,
     PermissionChecker,
     PermissionManager,
     CacheManager,
+    BaseCacheStore,
+    MemoryCacheStore,
+    RedisCacheStore,
+    EffectivePermissions,
+    ConditionRegistry,
+    PermissionEvents,
+    PolicySync,
+    PermissionRegistry,
+    RoleTemplateRegistry,
     Logger,
     errors,
 };
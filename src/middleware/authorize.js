@@ -0,0 +1,135 @@
+import {
+    UnauthenticatedError,
+    PermissionDeniedError,
+    RoleRequiredError,
+} from '../core/errors.js';
+import { isActive } from '../utils/validity.js';
+
+const MODES = ['all', 'any'];
+
+/**
+ * Validate an any/all option
+ * @param {string} mode
+ * @returns {string}
+ */
+function assertMode(mode) {
+    if (!MODES.includes(mode)) {
+        throw new Error(`Invalid mode: ${mode}. Must be 'all' or 'any'.`);
+    }
+    return mode;
+}
+
+/**
+ * Resolve the keys a guard requires for one request
+ * @param {string|string[]|Function} keys - Key(s), or (request) => key(s) for keys built from route params
+ * @param {Object} request - Framework request object
+ * @returns {Promise<string[]>}
+ */
+async function resolveKeys(keys, request) {
+    const resolved = typeof keys === 'function' ? await keys(request) : keys;
+    const list = Array.isArray(resolved) ? resolved : [resolved];
+    if (list.length === 0 || list.some(key => !key || typeof key !== 'string')) {
+        throw new Error('A guard needs at least one non-empty key.');
+    }
+    return list;
+}
+
+/**
+ * Require permissions for a user, throwing a typed error when they are missing
+ * @param {Object} perms - Permission system from createPermissionSystem
+ * @param {Object} check - { userId, permissionKeys, mode, context, explain }; with explain set,
+ *   every key is evaluated through perms.explain (uncached) and the explanations are returned
+ * @returns {Promise<Object>} - Decision { userId, permissionKeys, mode, granted, results, explanations }
+ * @throws {UnauthenticatedError|PermissionDeniedError}
+ */
+async function authorizePermissions(perms, { userId, permissionKeys, mode = 'all', context = {}, explain = false }) {
+    if (userId == null) {
+        throw new UnauthenticatedError();
+    }
+
+    let results;
+    let explanations = null;
+    if (explain) {
+        explanations = {};
+        for (const key of permissionKeys) {
+            explanations[key] = await perms.explain(userId, key, context);
+        }
+        results = Object.fromEntries(permissionKeys.map(key => [key, explanations[key].granted]));
+    } else if (permissionKeys.length === 1) {
+        results = { [permissionKeys[0]]: await perms.can(userId, permissionKeys[0], context) };
+    } else {
+        results = await perms.checkMany(userId, permissionKeys, context);
+    }
+
+    const outcomes = permissionKeys.map(key => results[key]);
+    const granted = mode === 'any' ? outcomes.some(Boolean) : outcomes.every(Boolean);
+    if (!granted) {
+        throw new PermissionDeniedError(userId, permissionKeys, mode);
+    }
+
+    return { userId, permissionKeys, mode, granted, results, explanations };
+}
+
+/**
+ * Require roles (by name or ID) for a user, throwing a typed error when they are missing
+ * Only assignments in effect count; roles reached through inheritance do not.
+ * @param {Object} perms - Permission system from createPermissionSystem
+ * @param {Object} check - { userId, roles, mode, context }
+ * @returns {Promise<Object>} - Decision { userId, roles, mode, granted, heldRoles }
+ * @throws {UnauthenticatedError|RoleRequiredError}
+ */
+async function authorizeRoles(perms, { userId, roles, mode = 'any', context = {} }) {
+    if (userId == null) {
+        throw new UnauthenticatedError();
+    }
+
+    const held = (await perms.manager.getUserRoles(userId, { tenantId: context.tenantId }))
+        .filter(role => isActive(role));
+    const holds = (role) => held.some(r => r.name === role || r.id === role);
+    const granted = mode === 'any' ? roles.some(holds) : roles.every(holds);
+
+    if (!granted) {
+        throw new RoleRequiredError(userId, roles, mode);
+    }
+
+    return { userId, roles, mode, granted, heldRoles: held.map(r => ({ id: r.id, name: r.name })) };
+}
+
+/**
+ * Map a guard error to an HTTP status and JSON body
+ * The body never includes stack traces or internal details such as the user ID.
+ * @param {Error} error
+ * @returns {Object|null} - { status, body }, or null for errors the framework should handle
+ */
+function toErrorResponse(error) {
+    if (error instanceof UnauthenticatedError) {
+        return {
+            status: 401,
+            body: { error: 'Unauthorized', code: error.code, message: error.message },
+        };
+    }
+
+    if (error instanceof PermissionDeniedError) {
+        return {
+            status: 403,
+            body: { error: 'Forbidden', code: error.code, message: error.message, required: error.details.permissionKeys, mode: error.details.mode },
+        };
+    }
+
+    if (error instanceof RoleRequiredError) {
+        return {
+            status: 403,
+            body: { error: 'Forbidden', code: error.code, message: error.message, required: error.details.roles, mode: error.details.mode },
+        };
+    }
+
+    return null;
+}
+
+export {
+    assertMode,
+    resolveKeys,
+    authorizePermissions,
+    authorizeRoles,
+    toErrorResponse,
+};
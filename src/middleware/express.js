@@ -0,0 +1,84 @@
+import {
+    assertMode,
+    resolveKeys,
+    authorizePermissions,
+    authorizeRoles,
+    toErrorResponse,
+} from './authorize.js';
+
+/**
+ * Create Express middleware bound to a permission system
+ *
+ * Denials are answered with a typed JSON body ({ error, code, message, required, mode })
+ * and status 401 or 403. Any other error, e.g. a failed database call, is passed to
+ * `next(error)` so the application's error handler decides what the client sees.
+ *
+ * @param {Object} perms - Permission system from createPermissionSystem
+ * @param {Object} options
+ * @param {Function} options.getUserId - (req) => user ID or null (default: req.user?.id)
+ * @param {Function} options.getContext - (req) => check context, e.g. { tenantId, resource } (default: none)
+ * @param {Function} options.onDenied - (error, req, res, next) => void, replaces the default 401/403 response
+ * @returns {Object} - { requirePermission, requireRole }
+ */
+function createExpressMiddleware(perms, options = {}) {
+    const defaults = {
+        getUserId: (req) => req.user?.id,
+        getContext: () => ({}),
+        onDenied: null,
+        ...options,
+    };
+
+    const guard = (settings, check) => async (req, res, next) => {
+        try {
+            const userId = await settings.getUserId(req);
+            const context = await settings.getContext(req);
+            await check(req, userId, context || {});
+        } catch (error) {
+            const response = toErrorResponse(error);
+            if (!response) {
+                return next(error);
+            }
+            if (settings.onDenied) {
+                return settings.onDenied(error, req, res, next);
+            }
+            return res.status(response.status).json(response.body);
+        }
+        next();
+    };
+
+    /**
+     * Require one or more permissions
+     * @param {string|string[]|Function} keys - Key(s), or (req) => key(s) to build them from req.params
+     * @param {Object} opts - { mode: 'all'|'any' (default 'all'), getUserId?, getContext?, onDenied? }
+     * @returns {Function} Express middleware
+     */
+    function requirePermission(keys, opts = {}) {
+        const settings = { ...defaults, mode: 'all', ...opts };
+        assertMode(settings.mode);
+
+        return guard(settings, async (req, userId, context) => {
+            const permissionKeys = await resolveKeys(keys, req);
+            await authorizePermissions(perms, { userId, permissionKeys, mode: settings.mode, context });
+        });
+    }
+
+    /**
+     * Require one or more roles (by name or ID)
+     * @param {string|string[]|Function} roles - Role(s), or (req) => role(s)
+     * @param {Object} opts - { mode: 'all'|'any' (default 'any'), getUserId?, getContext?, onDenied? }
+     * @returns {Function} Express middleware
+     */
+    function requireRole(roles, opts = {}) {
+        const settings = { ...defaults, mode: 'any', ...opts };
+        assertMode(settings.mode);
+
+        return guard(settings, async (req, userId, context) => {
+            const required = await resolveKeys(roles, req);
+            await authorizeRoles(perms, { userId, roles: required, mode: settings.mode, context });
+        });
+    }
+
+    return { requirePermission, requireRole };
+}
+
+export { createExpressMiddleware };
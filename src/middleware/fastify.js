@@ -0,0 +1,162 @@
+import {
+    assertMode,
+    resolveKeys,
+    authorizePermissions,
+    authorizeRoles,
+    toErrorResponse,
+} from './authorize.js';
+import { getResourceChain } from '../utils/resource.js';
+
+/**
+ * Key of a memoized check, or null when the context may hold fields conditions read
+ * Only the tenant and resource of a context change a decision otherwise.
+ * @private
+ */
+function memoKey(userId, permissionKey, context, isDefault) {
+    const encode = parts => parts.map(part => encodeURIComponent(String(part))).join(':');
+    if (isDefault) {
+        return encode([userId, permissionKey, 'default']);
+    }
+
+    const { tenantId = null, resource = null, ...rest } = context;
+    if (Object.keys(rest).length > 0) {
+        return null;
+    }
+    const resources = getResourceChain(resource).map(r => `${r.type}/${r.id}`);
+    return encode([userId, permissionKey, 'context', tenantId ?? '', ...resources]);
+}
+
+/**
+ * Fastify plugin that exposes a permission system and enforces route-level permission config
+ *
+ * Routes opt in through their config:
+ *   { config: { permission: 'post:delete' } }
+ *   { config: { permission: ['post:publish', 'post:admin'], permissionMode: 'any' } }
+ *   { config: { permission: (request) => `projects.${request.params.id}.edit` } }
+ *   { config: { role: 'admin' } }
+ *
+ * The instance is decorated with `permissions` (the system), and every request with
+ * `can(permissionKey, context?)`, which memoizes results for the lifetime of the request,
+ * `permission`, the decision of the route's permission check, and `roleDecision`, the decision
+ * of its role check. Denials get the same typed 401/403 JSON bodies as the other middleware;
+ * other errors go to Fastify's error handler.
+ *
+ * @param {FastifyInstance} fastify
+ * @param {Object} options
+ * @param {Object} options.perms - Permission system from createPermissionSystem (required)
+ * @param {Function} options.getUserId - (request) => user ID or null (default: request.user?.id)
+ * @param {Function} options.getContext - (request) => check context, e.g. { tenantId, resource } (default: none)
+ * @param {Function} options.onDenied - (error, request, reply) => reply, replaces the default 401/403 response
+ */
+async function fastifyPermissions(fastify, options = {}) {
+    const {
+        perms,
+        getUserId = (request) => request.user?.id,
+        getContext = () => ({}),
+        onDenied = null,
+    } = options;
+
+    if (!perms) {
+        throw new Error('fastifyPermissions needs the permission system as options.perms.');
+    }
+
+    fastify.decorate('permissions', perms);
+    fastify.decorateRequest('can', null);
+    fastify.decorateRequest('permission', null);
+    fastify.decorateRequest('roleDecision', null);
+
+    // Per-request memo of check results and the resolved default context
+    const requestState = new WeakMap();
+    const stateOf = (request) => {
+        if (!requestState.has(request)) {
+            requestState.set(request, { results: new Map(), context: null });
+        }
+        return requestState.get(request);
+    };
+    const contextOf = async (request) => {
+        const state = stateOf(request);
+        if (!state.context) {
+            state.context = (await getContext(request)) || {};
+        }
+        return state.context;
+    };
+
+    fastify.addHook('onRequest', async (request) => {
+        request.can = async (permissionKey, context) => {
+            const userId = await getUserId(request);
+            if (userId == null) {
+                return false;
+            }
+
+            const resolved = context || await contextOf(request);
+            const { results } = stateOf(request);
+
+            // The request's default context is memoized by identity, as it never changes
+            const cacheKey = memoKey(userId, permissionKey, resolved, !context);
+            if (cacheKey === null) {
+                return await perms.can(userId, permissionKey, resolved);
+            }
+            if (!results.has(cacheKey)) {
+                results.set(cacheKey, perms.can(userId, permissionKey, resolved));
+            }
+            return await results.get(cacheKey);
+        };
+    });
+
+    fastify.addHook('preHandler', async (request, reply) => {
+        const config = request.routeOptions?.config || request.routeConfig || {};
+        if (config.permission == null && config.role == null) {
+            return;
+        }
+
+        // Route checks go through the request's memoized can()
+        const memoized = {
+            can: (userId, permissionKey, context) => request.can(permissionKey, context),
+            checkMany: async (userId, permissionKeys, context) => {
+                const results = {};
+                for (const permissionKey of permissionKeys) {
+                    results[permissionKey] = await request.can(permissionKey, context);
+                }
+                return results;
+            },
+            manager: perms.manager,
+        };
+
+        try {
+            const userId = await getUserId(request);
+            const context = await contextOf(request);
+
+            if (config.permission != null) {
+                request.permission = await authorizePermissions(memoized, {
+                    userId,
+                    permissionKeys: await resolveKeys(config.permission, request),
+                    mode: assertMode(config.permissionMode || 'all'),
+                    context,
+                });
+            }
+            if (config.role != null) {
+                request.roleDecision = await authorizeRoles(memoized, {
+                    userId,
+                    roles: await resolveKeys(config.role, request),
+                    mode: assertMode(config.roleMode || 'any'),
+                    context,
+                });
+            }
+        } catch (error) {
+            const response = toErrorResponse(error);
+            if (!response) {
+                throw error;
+            }
+            if (onDenied) {
+                return onDenied(error, request, reply);
+            }
+            return reply.code(response.status).send(response.body);
+        }
+    });
+}
+
+// Share the decorators and hooks with the whole application instead of an encapsulated context
+fastifyPermissions[Symbol.for('skip-override')] = true;
+fastifyPermissions[Symbol.for('fastify.display-name')] = 'v-perms';
+
+export { fastifyPermissions };
@@ -0,0 +1,110 @@
+import {
+    assertMode,
+    resolveKeys,
+    authorizePermissions,
+    authorizeRoles,
+    toErrorResponse,
+} from './authorize.js';
+
+// Decisions of wrapped handlers, keyed by the request they were made for
+const decisions = new WeakMap();
+
+/**
+ * Read the decision a withPermission / withRole wrapper made for a request
+ * @param {Request} request
+ * @returns {Object|null}
+ */
+function getPermissionDecision(request) {
+    return decisions.get(request) || null;
+}
+
+/**
+ * Create wrappers for Fetch-API handlers (`Bun.serve`, Deno, service workers, ...)
+ * bound to a permission system
+ *
+ * A wrapped handler is only called when the check passes; its decision can be read
+ * with getPermissionDecision(request). Denials are answered with the same typed JSON
+ * body as the other middleware; any other error is rethrown.
+ *
+ * @param {Object} perms - Permission system from createPermissionSystem
+ * @param {Object} options
+ * @param {Function} options.getUserId - (request, ...args) => user ID or null (required)
+ * @param {Function} options.getContext - (request, ...args) => check context (default: none)
+ * @param {Function} options.onDenied - (error, request) => Response, replaces the default 401/403 response
+ * @param {boolean} options.explain - Attach an explanation per key to the decision (bypasses the cache)
+ * @returns {Object} - { withPermission, withRole }
+ */
+function createFetchMiddleware(perms, options = {}) {
+    const defaults = {
+        getUserId: null,
+        getContext: () => ({}),
+        onDenied: null,
+        explain: false,
+        ...options,
+    };
+
+    const wrap = (handler, settings, check) => {
+        if (typeof settings.getUserId !== 'function') {
+            throw new Error('getUserId is required to guard fetch handlers.');
+        }
+
+        return async (request, ...args) => {
+            let decision;
+            try {
+                const userId = await settings.getUserId(request, ...args);
+                const context = await settings.getContext(request, ...args);
+                decision = await check(request, userId, context || {});
+            } catch (error) {
+                const response = toErrorResponse(error);
+                if (!response) {
+                    throw error;
+                }
+                if (settings.onDenied) {
+                    return settings.onDenied(error, request);
+                }
+                return Response.json(response.body, { status: response.status });
+            }
+
+            decisions.set(request, decision);
+            return handler(request, ...args);
+        };
+    };
+
+    /**
+     * Guard a handler with one or more permissions
+     * @param {Function} handler - (request, ...args) => Response
+     * @param {string|string[]|Function} keys - Key(s), or (request) => key(s)
+     * @param {Object} opts - { mode: 'all'|'any' (default 'all'), explain?, getUserId?, getContext?, onDenied? }
+     * @returns {Function} Wrapped handler
+     */
+    function withPermission(handler, keys, opts = {}) {
+        const settings = { ...defaults, mode: 'all', ...opts };
+        assertMode(settings.mode);
+
+        return wrap(handler, settings, async (request, userId, context) => {
+            const permissionKeys = await resolveKeys(keys, request);
+            return await authorizePermissions(perms, { userId, permissionKeys, mode: settings.mode, context, explain: settings.explain });
+        });
+    }
+
+    /**
+     * Guard a handler with one or more roles (by name or ID)
+     * @param {Function} handler - (request, ...args) => Response
+     * @param {string|string[]|Function} roles - Role(s), or (request) => role(s)
+     * @param {Object} opts - { mode: 'all'|'any' (default 'any'), getUserId?, getContext?, onDenied? }
+     * @returns {Function} Wrapped handler
+     */
+    function withRole(handler, roles, opts = {}) {
+        const settings = { ...defaults, mode: 'any', ...opts };
+        assertMode(settings.mode);
+
+        return wrap(handler, settings, async (request, userId, context) => {
+            const required = await resolveKeys(roles, request);
+            return await authorizeRoles(perms, { userId, roles: required, mode: settings.mode, context });
+        });
+    }
+
+    return { withPermission, withRole };
+}
+
+export { createFetchMiddleware, getPermissionDecision };
@@ -0,0 +1,91 @@
+import {
+    assertMode,
+    resolveKeys,
+    authorizePermissions,
+    authorizeRoles,
+    toErrorResponse,
+} from './authorize.js';
+
+/**
+ * Create Hono middleware bound to a permission system
+ *
+ * On success the decision is stored on the context (`c.get('permission')` by default)
+ * for later handlers. Denials are answered with the same typed JSON body as the
+ * Express middleware; any other error is rethrown to Hono's error handler.
+ *
+ * @param {Object} perms - Permission system from createPermissionSystem
+ * @param {Object} options
+ * @param {Function} options.getUserId - (c) => user ID or null (default: c.get('user')?.id)
+ * @param {Function} options.getContext - (c) => check context, e.g. { tenantId, resource } (default: none)
+ * @param {Function} options.onDenied - (error, c) => Response, replaces the default 401/403 response
+ * @param {string} options.contextKey - Context variable the decision is stored under (default: 'permission')
+ * @param {boolean} options.explain - Attach an explanation per key to the decision (bypasses the cache)
+ * @returns {Object} - { requirePermission, requireRole }
+ */
+function createHonoMiddleware(perms, options = {}) {
+    const defaults = {
+        getUserId: (c) => c.get('user')?.id,
+        getContext: () => ({}),
+        onDenied: null,
+        contextKey: 'permission',
+        explain: false,
+        ...options,
+    };
+
+    const guard = (settings, check) => async (c, next) => {
+        let decision;
+        try {
+            const userId = await settings.getUserId(c);
+            const context = await settings.getContext(c);
+            decision = await check(c, userId, context || {});
+        } catch (error) {
+            const response = toErrorResponse(error);
+            if (!response) {
+                throw error;
+            }
+            if (settings.onDenied) {
+                return settings.onDenied(error, c);
+            }
+            return c.json(response.body, response.status);
+        }
+
+        c.set(settings.contextKey, decision);
+        await next();
+    };
+
+    /**
+     * Require one or more permissions
+     * @param {string|string[]|Function} keys - Key(s), or (c) => key(s) to build them from c.req.param()
+     * @param {Object} opts - { mode: 'all'|'any' (default 'all'), explain?, getUserId?, getContext?, onDenied?, contextKey? }
+     * @returns {Function} Hono middleware
+     */
+    function requirePermission(keys, opts = {}) {
+        const settings = { ...defaults, mode: 'all', ...opts };
+        assertMode(settings.mode);
+
+        return guard(settings, async (c, userId, context) => {
+            const permissionKeys = await resolveKeys(keys, c);
+            return await authorizePermissions(perms, { userId, permissionKeys, mode: settings.mode, context, explain: settings.explain });
+        });
+    }
+
+    /**
+     * Require one or more roles (by name or ID)
+     * @param {string|string[]|Function} roles - Role(s), or (c) => role(s)
+     * @param {Object} opts - { mode: 'all'|'any' (default 'any'), getUserId?, getContext?, onDenied?, contextKey? }
+     * @returns {Function} Hono middleware
+     */
+    function requireRole(roles, opts = {}) {
+        const settings = { ...defaults, mode: 'any', ...opts };
+        assertMode(settings.mode);
+
+        return guard(settings, async (c, userId, context) => {
+            const required = await resolveKeys(roles, c);
+            return await authorizeRoles(perms, { userId, roles: required, mode: settings.mode, context });
+        });
+    }
+
+    return { requirePermission, requireRole };
+}
+
+export { createHonoMiddleware };
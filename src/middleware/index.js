@@ -0,0 +1,12 @@
+import { createExpressMiddleware } from './express.js';
+import { createHonoMiddleware } from './hono.js';
+import { createFetchMiddleware, getPermissionDecision } from './fetch.js';
+import { fastifyPermissions } from './fastify.js';
+
+export {
+    createExpressMiddleware,
+    createHonoMiddleware,
+    createFetchMiddleware,
+    getPermissionDecision,
+    fastifyPermissions,
+};
@@ -0,0 +1,518 @@
+import assert from 'node:assert/strict';
+import {
+    RoleNotFoundError,
+    RoleAlreadyAssignedError,
+    PermissionAlreadyExistsError,
+    RoleAlreadyExistsError,
+    CircularInheritanceError,
+} from '../core/errors.js';
+
+/**
+ * Contract cases every adapter must pass, written against node:assert so they
+ * run under any test runner. Each case gets a fresh, empty adapter.
+ * @private
+ */
+const cases = [
+    // ==================== Roles ====================
+
+    ['createRole stores defaults and is readable by ID and name', async (adapter) => {
+        const role = await adapter.createRole({ name: 'editor' });
+        assert.ok(role.id, 'created role has an ID');
+        assert.equal(role.name, 'editor');
+        assert.equal(role.description, null);
+        assert.equal(role.priority, 0);
+        assert.equal(role.isDefault, false);
+
+        assert.equal((await adapter.getRole(role.id)).name, 'editor');
+        assert.equal((await adapter.getRoleByName('editor')).id, role.id);
+        assert.equal(await adapter.getRole('missing'), null);
+        assert.equal(await adapter.getRoleByName('missing'), null);
+    }],
+
+    ['createRole rejects a duplicate name with RoleAlreadyExistsError', async (adapter) => {
+        await adapter.createRole({ name: 'editor' });
+        await assert.rejects(adapter.createRole({ name: 'editor' }), RoleAlreadyExistsError);
+    }],
+
+    ['updateRole changes the given fields only', async (adapter) => {
+        const role = await adapter.createRole({ name: 'editor', description: 'Edits', priority: 5 });
+        const updated = await adapter.updateRole(role.id, { priority: 7 });
+        assert.equal(updated.priority, 7);
+        assert.equal(updated.description, 'Edits');
+        assert.equal((await adapter.getRole(role.id)).priority, 7);
+    }],
+
+    ['deleteRole returns false for a missing role and removes its assignments', async (adapter) => {
+        assert.equal(await adapter.deleteRole('missing'), false);
+
+        const role = await adapter.createRole({ name: 'editor' });
+        await adapter.assignRoleToUser('user-1', role.id);
+        await adapter.assignPermissionToRole('posts.edit', role.id, true);
+        assert.equal(await adapter.deleteRole(role.id), true);
+
+        assert.equal(await adapter.getRole(role.id), null);
+        assert.deepEqual(await adapter.getUserRoles('user-1'), []);
+        assert.equal(await adapter.getRolePermission(role.id, 'posts.edit'), null);
+    }],
+
+    ['listAllRoles orders by priority, highest first', async (adapter) => {
+        await adapter.createRole({ name: 'user', priority: 1 });
+        await adapter.createRole({ name: 'admin', priority: 10 });
+        await adapter.createRole({ name: 'editor', priority: 5 });
+        assert.deepEqual((await adapter.listAllRoles()).map(r => r.name), ['admin', 'editor', 'user']);
+    }],
+
+    ['getDefaultRoles returns only default roles, highest priority first', async (adapter) => {
+        await adapter.createRole({ name: 'member', priority: 1, isDefault: true });
+        await adapter.createRole({ name: 'admin', priority: 10 });
+        const guest = await adapter.createRole({ name: 'guest', priority: 5, isDefault: true });
+        assert.deepEqual((await adapter.getDefaultRoles()).map(r => r.name), ['guest', 'member']);
+
+        await adapter.updateRole(guest.id, { isDefault: false });
+        assert.deepEqual((await adapter.getDefaultRoles()).map(r => r.name), ['member']);
+    }],
+
+    // ==================== Permissions ====================
+
+    ['createPermission rejects a duplicate key with PermissionAlreadyExistsError', async (adapter) => {
+        const permission = await adapter.createPermission({ key: 'posts.read', category: 'posts' });
+        assert.equal((await adapter.getPermission('posts.read')).id, permission.id);
+        assert.equal((await adapter.getPermissionById(permission.id)).key, 'posts.read');
+        assert.equal(await adapter.getPermission('missing'), null);
+        await assert.rejects(adapter.createPermission({ key: 'posts.read' }), PermissionAlreadyExistsError);
+    }],
+
+    ['deletePermission returns false for a missing key and removes its assignments', async (adapter) => {
+        assert.equal(await adapter.deletePermission('missing'), false);
+
+        const role = await adapter.createRole({ name: 'editor' });
+        await adapter.assignPermissionToRole('posts.edit', role.id, true);
+        await adapter.assignPermissionToUser('posts.edit', 'user-1', true);
+        assert.equal(await adapter.deletePermission('posts.edit'), true);
+
+        assert.equal(await adapter.getPermission('posts.edit'), null);
+        assert.deepEqual(await adapter.getRolePermissions(role.id), []);
+        assert.deepEqual(await adapter.getUserDirectPermissions('user-1'), []);
+    }],
+
+    ['listAllPermissions orders by key', async (adapter) => {
+        await adapter.createPermission({ key: 'posts.read' });
+        await adapter.createPermission({ key: 'comments.read' });
+        await adapter.createPermission({ key: 'posts.edit' });
+        assert.deepEqual(
+            (await adapter.listAllPermissions()).map(p => p.key),
+            ['comments.read', 'posts.edit', 'posts.read'],
+        );
+    }],
+
+    // ==================== User roles ====================
+
+    ['assignRoleToUser rejects a duplicate with RoleAlreadyAssignedError', async (adapter) => {
+        const role = await adapter.createRole({ name: 'editor' });
+        await adapter.assignRoleToUser('user-1', role.id);
+        assert.equal(await adapter.userHasRole('user-1', role.id), true);
+        await assert.rejects(adapter.assignRoleToUser('user-1', role.id), RoleAlreadyAssignedError);
+    }],
+
+    ['assignRoleToUser rejects a missing role with RoleNotFoundError', async (adapter) => {
+        await assert.rejects(adapter.assignRoleToUser('user-1', 'missing'), RoleNotFoundError);
+    }],
+
+    ['removeRoleFromUser returns false when nothing was assigned', async (adapter) => {
+        const role = await adapter.createRole({ name: 'editor' });
+        assert.equal(await adapter.removeRoleFromUser('user-1', role.id), false);
+
+        await adapter.assignRoleToUser('user-1', role.id);
+        assert.equal(await adapter.removeRoleFromUser('user-1', role.id), true);
+        assert.equal(await adapter.userHasRole('user-1', role.id), false);
+    }],
+
+    ['tenant role assignments are separate from global ones and returned once per role', async (adapter) => {
+        const role = await adapter.createRole({ name: 'editor' });
+        await adapter.assignRoleToUser('user-1', role.id);
+        await adapter.assignRoleToUser('user-1', role.id, { tenantId: 'acme' });
+        await assert.rejects(adapter.assignRoleToUser('user-1', role.id, { tenantId: 'acme' }), RoleAlreadyAssignedError);
+
+        const global = await adapter.getUserRoles('user-1');
+        assert.equal(global.length, 1);
+        assert.equal(global[0].tenantId, null);
+
+        const scoped = await adapter.getUserRoles('user-1', { tenantId: 'acme' });
+        assert.equal(scoped.length, 1);
+        assert.equal(scoped[0].tenantId, 'acme');
+
+        assert.equal(await adapter.removeRoleFromUser('user-1', role.id, { tenantId: 'acme' }), true);
+        assert.equal(await adapter.userHasRole('user-1', role.id), true);
+    }],
+
+    ['getRoleUsers returns every assignment of a role with its tenant and window', async (adapter) => {
+        const role = await adapter.createRole({ name: 'editor' });
+        const other = await adapter.createRole({ name: 'viewer' });
+        const expiresAt = new Date(Date.now() + 60_000);
+        await adapter.assignRoleToUser('user-1', role.id);
+        await adapter.assignRoleToUser('user-2', role.id, { tenantId: 'acme', expiresAt });
+        await adapter.assignRoleToUser('user-3', other.id);
+
+        const users = (await adapter.getRoleUsers(role.id)).sort((a, b) => a.userId.localeCompare(b.userId));
+        assert.deepEqual(users.map(u => [u.userId, u.tenantId]), [['user-1', null], ['user-2', 'acme']]);
+        assert.equal(users[1].expiresAt.getTime(), expiresAt.getTime());
+        assert.equal(users[0].validFrom, null);
+        assert.deepEqual(await adapter.getRoleUsers('missing'), []);
+    }],
+
+    // ==================== Role permissions ====================
+
+    ['assignPermissionToRole creates missing permissions and upserts the assignment', async (adapter) => {
+        const role = await adapter.createRole({ name: 'editor' });
+        await adapter.assignPermissionToRole('posts.delete', role.id, true);
+        assert.ok(await adapter.getPermission('posts.delete'), 'permission is created on assignment');
+
+        await adapter.assignPermissionToRole('posts.delete', role.id, false);
+        const permissions = await adapter.getRolePermissions(role.id);
+        assert.equal(permissions.length, 1);
+        assert.equal(permissions[0].key, 'posts.delete');
+        assert.equal(permissions[0].granted, false);
+        assert.equal((await adapter.getRolePermission(role.id, 'posts.delete')).granted, false);
+    }],
+
+    ['assignPermissionToRole rejects a missing role with RoleNotFoundError', async (adapter) => {
+        await assert.rejects(adapter.assignPermissionToRole('posts.read', 'missing', true), RoleNotFoundError);
+    }],
+
+    ['removing a missing role permission returns false', async (adapter) => {
+        const role = await adapter.createRole({ name: 'editor' });
+        assert.equal(await adapter.removePermissionFromRole('missing', role.id), false);
+
+        await adapter.createPermission({ key: 'posts.read' });
+        assert.equal(await adapter.removePermissionFromRole('posts.read', role.id), false);
+
+        await adapter.assignPermissionToRole('posts.read', role.id, true);
+        assert.equal(await adapter.removePermissionFromRole('posts.read', role.id), true);
+        assert.equal(await adapter.getRolePermission(role.id, 'posts.read'), null);
+    }],
+
+    // ==================== User permissions ====================
+
+    ['assignPermissionToUser upserts per tenant and the tenant assignment wins', async (adapter) => {
+        await adapter.assignPermissionToUser('posts.delete', 'user-1', true);
+        await adapter.assignPermissionToUser('posts.delete', 'user-1', false);
+        await adapter.assignPermissionToUser('posts.delete', 'user-1', true, { tenantId: 'acme' });
+
+        const global = await adapter.getUserPermission('user-1', 'posts.delete');
+        assert.equal(global.granted, false);
+        assert.equal(global.tenantId, null);
+
+        const scoped = await adapter.getUserPermission('user-1', 'posts.delete', { tenantId: 'acme' });
+        assert.equal(scoped.granted, true);
+        assert.equal(scoped.tenantId, 'acme');
+
+        assert.equal((await adapter.getUserDirectPermissions('user-1')).length, 1);
+        assert.equal((await adapter.getUserDirectPermissions('user-1', { tenantId: 'acme' })).length, 2);
+        assert.equal(await adapter.getUserPermission('user-1', 'missing'), null);
+    }],
+
+    ['removing a missing user permission returns false', async (adapter) => {
+        assert.equal(await adapter.removePermissionFromUser('missing', 'user-1'), false);
+
+        await adapter.assignPermissionToUser('posts.read', 'user-1', true);
+        assert.equal(await adapter.removePermissionFromUser('posts.read', 'user-1', { tenantId: 'acme' }), false);
+        assert.equal(await adapter.removePermissionFromUser('posts.read', 'user-1'), true);
+        assert.equal(await adapter.getUserPermission('user-1', 'posts.read'), null);
+    }],
+
+    // ==================== Inheritance ====================
+
+    ['getRoleInheritance orders by priority, highest first, and setRoleInheritance upserts', async (adapter) => {
+        const admin = await adapter.createRole({ name: 'admin' });
+        const editor = await adapter.createRole({ name: 'editor' });
+        const moderator = await adapter.createRole({ name: 'moderator' });
+        const user = await adapter.createRole({ name: 'user' });
+
+        await adapter.setRoleInheritance(admin.id, user.id, 1);
+        await adapter.setRoleInheritance(admin.id, editor.id, 5);
+        await adapter.setRoleInheritance(admin.id, moderator.id, 3);
+        assert.deepEqual(
+            (await adapter.getRoleInheritance(admin.id)).map(i => i.inheritsFromId),
+            [editor.id, moderator.id, user.id],
+        );
+
+        await adapter.setRoleInheritance(admin.id, user.id, 9);
+        const inheritance = await adapter.getRoleInheritance(admin.id);
+        assert.equal(inheritance.length, 3);
+        assert.equal(inheritance[0].inheritsFromId, user.id);
+        assert.equal(inheritance[0].priority, 9);
+        assert.equal(inheritance[0].inheritsFrom.name, 'user');
+    }],
+
+    ['setRoleInheritance rejects self, direct and indirect cycles', async (adapter) => {
+        const admin = await adapter.createRole({ name: 'admin' });
+        const editor = await adapter.createRole({ name: 'editor' });
+        const user = await adapter.createRole({ name: 'user' });
+        await adapter.setRoleInheritance(admin.id, editor.id);
+        await adapter.setRoleInheritance(editor.id, user.id);
+
+        await assert.rejects(adapter.setRoleInheritance(admin.id, admin.id), CircularInheritanceError);
+        await assert.rejects(adapter.setRoleInheritance(editor.id, admin.id), CircularInheritanceError);
+        await assert.rejects(adapter.setRoleInheritance(user.id, admin.id), CircularInheritanceError);
+    }],
+
+    ['removeRoleInheritance returns false when no link exists', async (adapter) => {
+        const admin = await adapter.createRole({ name: 'admin' });
+        const user = await adapter.createRole({ name: 'user' });
+        assert.equal(await adapter.removeRoleInheritance(admin.id, user.id), false);
+
+        await adapter.setRoleInheritance(admin.id, user.id);
+        assert.equal(await adapter.removeRoleInheritance(admin.id, user.id), true);
+        assert.deepEqual(await adapter.getRoleInheritance(admin.id), []);
+    }],
+
+    // ==================== Resources, windows and conditions ====================
+
+    ['resource rules are stored apart from global assignments', async (adapter) => {
+        const role = await adapter.createRole({ name: 'reviewer' });
+        await adapter.assignPermissionToRole('doc.edit', role.id, true, { resourceType: 'doc', resourceId: 7 });
+        await adapter.assignPermissionToUser('doc.edit', 'user-1', false, { resourceType: 'doc', resourceId: '7' });
+
+        assert.equal(await adapter.getRolePermission(role.id, 'doc.edit'), null);
+        assert.equal(await adapter.getUserPermission('user-1', 'doc.edit'), null);
+
+        const rules = await adapter.getResourcePermissions('doc', '7');
+        assert.equal(rules.length, 2);
+        const byTarget = Object.fromEntries(rules.map(r => [r.targetType, r]));
+        assert.equal(byTarget.role.targetId, role.id);
+        assert.equal(byTarget.role.granted, true);
+        assert.equal(byTarget.user.targetId, 'user-1');
+        assert.equal(byTarget.user.granted, false);
+        assert.equal(byTarget.user.key, 'doc.edit');
+        assert.equal(byTarget.user.resourceId, '7');
+
+        assert.equal(await adapter.removePermissionFromUser('doc.edit', 'user-1', { resourceType: 'doc', resourceId: 7 }), true);
+        assert.deepEqual(await adapter.getResourcePermissions('doc', '8'), []);
+    }],
+
+    ['validity windows and conditions are returned on reads', async (adapter) => {
+        const validFrom = new Date('2030-01-01T00:00:00Z');
+        const expiresAt = new Date('2030-02-01T00:00:00Z');
+        const role = await adapter.createRole({ name: 'contractor' });
+        await adapter.assignRoleToUser('user-1', role.id, { validFrom, expiresAt });
+        await adapter.assignPermissionToRole('posts.edit', role.id, true, { expiresAt, condition: 'isOwner' });
+        await adapter.assignPermissionToUser('posts.read', 'user-1', true);
+
+        const [userRole] = await adapter.getUserRoles('user-1');
+        assert.equal(new Date(userRole.validFrom).getTime(), validFrom.getTime());
+        assert.equal(new Date(userRole.expiresAt).getTime(), expiresAt.getTime());
+
+        const rolePermission = await adapter.getRolePermission(role.id, 'posts.edit');
+        assert.equal(rolePermission.validFrom, null);
+        assert.equal(new Date(rolePermission.expiresAt).getTime(), expiresAt.getTime());
+        assert.equal(rolePermission.condition, 'isOwner');
+
+        const userPermission = await adapter.getUserPermission('user-1', 'posts.read');
+        assert.equal(userPermission.expiresAt, null);
+        assert.equal(userPermission.condition, null);
+    }],
+
+    ['purgeExpiredAssignments deletes assignments expired by the given time', async (adapter) => {
+        const role = await adapter.createRole({ name: 'contractor' });
+        const past = new Date(Date.now() - 60 * 1000);
+        const future = new Date(Date.now() + 60 * 60 * 1000);
+        await adapter.assignRoleToUser('user-1', role.id, { expiresAt: past });
+        await adapter.assignPermissionToRole('posts.edit', role.id, true, { expiresAt: past });
+        await adapter.assignPermissionToUser('posts.read', 'user-1', true, { expiresAt: future });
+        await adapter.assignPermissionToUser('posts.list', 'user-1', true);
+
+        assert.equal(await adapter.purgeExpiredAssignments(new Date()), 2);
+        assert.deepEqual(await adapter.getUserRoles('user-1'), []);
+        assert.equal(await adapter.getRolePermission(role.id, 'posts.edit'), null);
+        assert.equal((await adapter.getUserDirectPermissions('user-1')).length, 2);
+    }],
+
+    // ==================== Bulk operations ====================
+
+    ['assignRoleToUsers assigns in one batch and skips users who already hold the role', async (adapter) => {
+        const role = await adapter.createRole({ name: 'member' });
+        await adapter.assignRoleToUser('user-1', role.id);
+        await adapter.assignRoleToUser('user-2', role.id, { tenantId: 'acme' });
+
+        const userIds = Array.from({ length: 250 }, (_, i) => `user-${i}`);
+        const assigned = await adapter.assignRoleToUsers(userIds, role.id, { tenantId: 'acme' });
+        assert.equal(assigned.length, 249);
+        assert.ok(!assigned.includes('user-2'), 'existing tenant assignment is skipped');
+        assert.equal(await adapter.userHasRole('user-1', role.id, { tenantId: 'acme' }), true);
+        assert.equal(await adapter.userHasRole('user-249', role.id, { tenantId: 'acme' }), true);
+        assert.equal(await adapter.userHasRole('user-249', role.id), false);
+
+        await assert.rejects(adapter.assignRoleToUsers(['user-1'], 'missing'), RoleNotFoundError);
+    }],
+
+    ['assignPermissionsToRole creates missing permissions and upserts every assignment', async (adapter) => {
+        const role = await adapter.createRole({ name: 'editor' });
+        await adapter.createPermission({ key: 'posts.read', description: 'Read posts' });
+        await adapter.assignPermissionToRole('posts.delete', role.id, true);
+        const expiresAt = new Date(Date.UTC(2030, 0, 1));
+
+        assert.equal(await adapter.assignPermissionsToRole([
+            { key: 'posts.read', granted: true },
+            { key: 'posts.edit', granted: true, expiresAt, condition: 'isOwner' },
+            { key: 'posts.delete', granted: false },
+        ], role.id), 3);
+
+        const permissions = new Map((await adapter.getRolePermissions(role.id)).map(p => [p.key, p]));
+        assert.equal(permissions.size, 3);
+        assert.equal(permissions.get('posts.read').description, 'Read posts');
+        assert.equal(new Date(permissions.get('posts.edit').expiresAt).getTime(), expiresAt.getTime());
+        assert.equal(permissions.get('posts.edit').condition, 'isOwner');
+        assert.equal(permissions.get('posts.delete').granted, false);
+
+        await assert.rejects(adapter.assignPermissionsToRole([{ key: 'posts.read', granted: true }], 'missing'), RoleNotFoundError);
+    }],
+
+    ['removePermissionsFromRole removes only the given keys of that role', async (adapter) => {
+        const editor = await adapter.createRole({ name: 'editor' });
+        const viewer = await adapter.createRole({ name: 'viewer' });
+        for (const key of ['posts.read', 'posts.edit', 'posts.delete']) {
+            await adapter.assignPermissionToRole(key, editor.id, true);
+        }
+        await adapter.assignPermissionToRole('posts.read', viewer.id, true);
+
+        assert.equal(await adapter.removePermissionsFromRole(['posts.read', 'posts.edit', 'missing'], editor.id), 2);
+        assert.deepEqual((await adapter.getRolePermissions(editor.id)).map(p => p.key), ['posts.delete']);
+        assert.equal((await adapter.getRolePermissions(viewer.id)).length, 1);
+        assert.ok(await adapter.getPermission('posts.read'), 'permissions themselves are kept');
+    }],
+
+    // ==================== Audit ====================
+
+    ['recordAudit stores records that getAuditLog filters, newest first', async (adapter) => {
+        const at = (minutes) => new Date(Date.UTC(2030, 0, 1, 0, minutes));
+        const record = (action, fields, minutes) => adapter.recordAudit({
+            actorId: 'admin-1',
+            action,
+            userId: null,
+            roleId: null,
+            permissionKey: null,
+            before: null,
+            after: null,
+            ...fields,
+            createdAt: at(minutes),
+        });
+
+        const created = await record('createRole', { roleId: 'role-1', after: { name: 'admin', priority: 10 } }, 0);
+        assert.ok(created.id, 'stored record has an ID');
+        await record('assignRole', { userId: 'bob', roleId: 'role-1', after: { roleName: 'admin', tenantId: null } }, 1);
+        await record('banPermission', { userId: 'bob', permissionKey: 'posts.delete', before: { granted: true } }, 2);
+
+        const all = await adapter.getAuditLog({});
+        assert.deepEqual(all.map(r => r.action), ['banPermission', 'assignRole', 'createRole']);
+        assert.deepEqual(all[1].after, { roleName: 'admin', tenantId: null });
+        assert.deepEqual(all[0].before, { granted: true });
+        assert.equal(all[0].after, null);
+        assert.equal(all[0].actorId, 'admin-1');
+        assert.equal(new Date(all[0].createdAt).getTime(), at(2).getTime());
+
+        assert.deepEqual((await adapter.getAuditLog({ userId: 'bob' })).map(r => r.action), ['banPermission', 'assignRole']);
+        assert.deepEqual((await adapter.getAuditLog({ roleId: 'role-1', action: 'assignRole' })).map(r => r.userId), ['bob']);
+        assert.deepEqual((await adapter.getAuditLog({ since: at(1), until: at(2) })).map(r => r.action), ['assignRole']);
+        assert.deepEqual((await adapter.getAuditLog({ limit: 1 })).map(r => r.action), ['banPermission']);
+        assert.deepEqual(await adapter.getAuditLog({ actorId: 'someone-else' }), []);
+    }],
+
+    // ==================== Transactions ====================
+
+    ['transaction commits every change and returns the callback result', async (adapter) => {
+        const result = await adapter.transaction(async (tx) => {
+            const role = await tx.createRole({ name: 'editor' });
+            await tx.assignPermissionToRole('posts.edit', role.id, true);
+            assert.equal((await tx.getRolePermission(role.id, 'posts.edit')).granted, true, 'reads see uncommitted writes');
+
+            // A nested transaction joins the running one
+            await tx.transaction(inner => inner.assignRoleToUser('user-1', role.id));
+            return role.id;
+        });
+
+        assert.equal((await adapter.getRoleByName('editor')).id, result);
+        assert.equal((await adapter.getRolePermission(result, 'posts.edit')).granted, true);
+        assert.equal((await adapter.getUserRoles('user-1')).length, 1);
+    }],
+
+    ['transaction rolls back every change when the callback throws', async (adapter) => {
+        const existing = await adapter.createRole({ name: 'viewer' });
+        const failure = new Error('abort');
+
+        await assert.rejects(adapter.transaction(async (tx) => {
+            const role = await tx.createRole({ name: 'editor' });
+            await tx.assignPermissionToRole('posts.edit', role.id, true);
+            await tx.updateRole(existing.id, { priority: 5 });
+            await tx.recordAudit({
+                actorId: null,
+                action: 'createRole',
+                userId: null,
+                roleId: role.id,
+                permissionKey: null,
+                before: null,
+                after: { name: 'editor' },
+                createdAt: new Date(),
+            });
+            throw failure;
+        }), error => error === failure);
+
+        assert.equal(await adapter.getRoleByName('editor'), null);
+        assert.equal(await adapter.getPermission('posts.edit'), null);
+        assert.equal((await adapter.getRole(existing.id)).priority, 0);
+        assert.deepEqual(await adapter.getAuditLog({}), []);
+    }],
+];
+
+/**
+ * Build the adapter conformance suite
+ *
+ * Returns one test case per contract rule. Register them with any runner:
+ *
+ *   import { test } from 'node:test';   // or bun:test, vitest, jest
+ *   for (const { name, run } of adapterConformanceSuite(() => new MyAdapter())) {
+ *       test(name, run);
+ *   }
+ *
+ * @param {Function} createAdapter - () => adapter, may be async. Must return an adapter with no data.
+ * @param {Object} options
+ * @param {Function} options.teardown - (adapter) => void, may be async. Runs after each case, also when it fails
+ * @returns {Array<{name: string, run: Function}>}
+ */
+function adapterConformanceSuite(createAdapter, options = {}) {
+    const { teardown = null } = options;
+
+    return cases.map(([name, body]) => ({
+        name,
+        run: async () => {
+            const adapter = await createAdapter();
+            try {
+                await body(adapter);
+            } finally {
+                if (teardown) {
+                    await teardown(adapter);
+                }
+            }
+        },
+    }));
+}
+
+/**
+ * Run the adapter conformance suite without a test runner
+ * @param {Function} createAdapter - () => adapter, may be async. Must return an adapter with no data.
+ * @param {Object} options - { teardown? }, see adapterConformanceSuite
+ * @returns {Promise<Object>} - { passed, failed: [{ name, error }] }
+ */
+async function runAdapterConformance(createAdapter, options = {}) {
+    const report = { passed: 0, failed: [] };
+    for (const { name, run } of adapterConformanceSuite(createAdapter, options)) {
+        try {
+            await run();
+            report.passed++;
+        } catch (error) {
+            report.failed.push({ name, error });
+        }
+    }
+    return report;
+}
+
+export { adapterConformanceSuite, runAdapterConformance };
@@ -0,0 +1,81 @@
+/**
+ * Convert a before/after state to plain JSON data
+ * Dates become ISO strings, so records read back the same from every adapter.
+ * @param {Object|null} state
+ * @returns {Object|null}
+ */
+function toAuditState(state) {
+    return state == null ? null : JSON.parse(JSON.stringify(state));
+}
+
+/**
+ * Serialize a before/after state for a text column
+ * @param {Object|null} state
+ * @returns {string|null}
+ */
+function serializeAuditState(state) {
+    return state == null ? null : JSON.stringify(state);
+}
+
+/**
+ * Parse a before/after state read from a text column
+ * @param {string|null} text
+ * @returns {Object|null}
+ */
+function parseAuditState(text) {
+    return text == null ? null : JSON.parse(text);
+}
+
+/**
+ * Validate an audit log query
+ * @param {Object} filter - { userId?, roleId?, actorId?, action?, since?, until?, limit? }
+ * @returns {Object} - The filter with since / until as Date or null
+ */
+function getAuditFilter(filter = {}) {
+    const toDate = (value, name) => {
+        if (value == null) return null;
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid ${name}: ${value}`);
+        }
+        return date;
+    };
+
+    if (filter.limit != null && (!Number.isInteger(filter.limit) || filter.limit < 1)) {
+        throw new Error(`Invalid limit: ${filter.limit}. Must be a positive integer.`);
+    }
+
+    return {
+        userId: filter.userId ?? null,
+        roleId: filter.roleId ?? null,
+        actorId: filter.actorId ?? null,
+        action: filter.action ?? null,
+        since: toDate(filter.since, 'since'),
+        until: toDate(filter.until, 'until'),
+        limit: filter.limit ?? null,
+    };
+}
+
+/**
+ * Whether an audit record matches a filter from getAuditFilter
+ * For adapters that filter in memory; `since` is inclusive, `until` exclusive.
+ * @param {Object} record
+ * @param {Object} filter
+ * @returns {boolean}
+ */
+function matchesAuditFilter(record, filter) {
+    return (filter.userId == null || record.userId === filter.userId)
+        && (filter.roleId == null || record.roleId === filter.roleId)
+        && (filter.actorId == null || record.actorId === filter.actorId)
+        && (filter.action == null || record.action === filter.action)
+        && (filter.since == null || record.createdAt >= filter.since)
+        && (filter.until == null || record.createdAt < filter.until);
+}
+
+export {
+    toAuditState,
+    serializeAuditState,
+    parseAuditState,
+    getAuditFilter,
+    matchesAuditFilter,
+};
@@ -1,5 +1,6 @@
 /**
  * Debug logging utility with on/off toggle
+ * alertWarn() and alertError() are not gated: they report problems that need attention in production.
  */
 class Logger {
     constructor(enabled = false) {
@@ -59,6 +60,22 @@ class Logger {
             console.error('[v-perms:error]', ...args);
         }
     }
+
+    /**
+     * Log warning message, even with debug logging disabled
+     * @param {...any} args - Arguments to log
+     */
+    alertWarn(...args) {
+        console.warn('[v-perms:warn]', ...args);
+    }
+
+    /**
+     * Log error message, even with debug logging disabled
+     * @param {...any} args - Arguments to log
+     */
+    alertError(...args) {
+        console.error('[v-perms:error]', ...args);
+    }
 }
 
 export default Logger;
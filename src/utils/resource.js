@@ -0,0 +1,36 @@
+/**
+ * Read the resource instance targeted by an assignment's options
+ * @param {Object} options - { resourceType?, resourceId? }
+ * @returns {Object|null} - { type, id } or null for a global assignment
+ */
+function getAssignmentResource(options = {}) {
+    const { resourceType, resourceId } = options;
+    if (resourceType == null && resourceId == null) {
+        return null;
+    }
+    if (!resourceType || resourceId == null) {
+        throw new Error('Resource assignments need both resourceType and resourceId.');
+    }
+    return { type: resourceType, id: String(resourceId) };
+}
+
+/**
+ * Flatten a check's resource and its parents, most specific first
+ * @param {Object|null} resource - { type, id, parent? } where parent has the same shape
+ * @returns {Array<{type: string, id: string}>}
+ */
+function getResourceChain(resource) {
+    const chain = [];
+    for (let current = resource; current; current = current.parent) {
+        if (!current.type || current.id == null) {
+            throw new Error('A resource needs both type and id.');
+        }
+        chain.push({ type: current.type, id: String(current.id) });
+    }
+    return chain;
+}
+
+export {
+    getAssignmentResource,
+    getResourceChain,
+};
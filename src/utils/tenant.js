@@ -0,0 +1,40 @@
+/**
+ * Tenant ID stored for global (unscoped) assignments
+ * Composite primary keys cannot contain NULL, so global rows use an empty string.
+ */
+const GLOBAL_TENANT = '';
+
+/**
+ * Convert an optional tenant ID to the value stored in assignment rows
+ * @param {string|null|undefined} tenantId
+ * @returns {string}
+ */
+function toTenantKey(tenantId) {
+    return tenantId || GLOBAL_TENANT;
+}
+
+/**
+ * Convert a stored tenant value back to the public representation (null = global)
+ * @param {string} tenantKey
+ * @returns {string|null}
+ */
+function fromTenantKey(tenantKey) {
+    return tenantKey || null;
+}
+
+/**
+ * Tenant values that apply to a scoped lookup: global assignments always
+ * apply, tenant-specific ones only inside their tenant
+ * @param {string|null|undefined} tenantId
+ * @returns {string[]}
+ */
+function tenantScope(tenantId) {
+    return tenantId ? [GLOBAL_TENANT, tenantId] : [GLOBAL_TENANT];
+}
+
+export {
+    GLOBAL_TENANT,
+    toTenantKey,
+    fromTenantKey,
+    tenantScope,
+};
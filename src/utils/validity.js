@@ -0,0 +1,148 @@
+/**
+ * Convert an optional date option to a Date
+ * @private
+ */
+function toDate(value, name) {
+    if (value == null) {
+        return null;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return date;
+}
+
+/**
+ * Read the validity window of an assignment's options
+ * @param {Object} options - { validFrom?, expiresAt? } as Date, ISO string or timestamp
+ * @returns {Object} - { validFrom, expiresAt } as Date or null (unbounded)
+ */
+function getAssignmentWindow(options = {}) {
+    const validFrom = toDate(options.validFrom, 'validFrom');
+    const expiresAt = toDate(options.expiresAt, 'expiresAt');
+    if (validFrom && expiresAt && expiresAt <= validFrom) {
+        throw new Error('expiresAt must be later than validFrom.');
+    }
+    return { validFrom, expiresAt };
+}
+
+/**
+ * Whether an assignment is in effect at a point in time
+ * Assignments apply from validFrom (inclusive) until expiresAt (exclusive).
+ * @param {Object} assignment - Row with optional validFrom / expiresAt
+ * @param {Date} at
+ * @returns {boolean}
+ */
+function isActive(assignment, at = new Date()) {
+    const validFrom = toDate(assignment.validFrom, 'validFrom');
+    const expiresAt = toDate(assignment.expiresAt, 'expiresAt');
+    return (!validFrom || validFrom <= at) && (!expiresAt || expiresAt > at);
+}
+
+/**
+ * Whether an assignment has stopped applying for good
+ * @param {Object} assignment - Row with optional expiresAt
+ * @param {Date} at
+ * @returns {boolean}
+ */
+function isExpired(assignment, at = new Date()) {
+    const expiresAt = toDate(assignment.expiresAt, 'expiresAt');
+    return expiresAt !== null && expiresAt <= at;
+}
+
+/**
+ * Earliest of two optional dates
+ * @param {Date|null} a
+ * @param {Date|null} b
+ * @returns {Date|null}
+ */
+function earliest(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return a <= b ? a : b;
+}
+
+/**
+ * Next point in time after `at` at which an assignment starts or stops applying
+ * @param {Object} assignment - Row with optional validFrom / expiresAt
+ * @param {Date} at
+ * @returns {Date|null}
+ */
+function nextBoundary(assignment, at = new Date()) {
+    const boundaries = [toDate(assignment.validFrom, 'validFrom'), toDate(assignment.expiresAt, 'expiresAt')]
+        .filter(date => date && date > at);
+    return boundaries.reduce(earliest, null);
+}
+
+/**
+ * Track which assignments apply during one permission resolution and how long
+ * the outcome stays valid
+ * @param {Date} at - Time the resolution runs at
+ * @returns {Object} - { at, until, admit(assignment) }; `until` is the earliest boundary seen
+ */
+function createValidityTracker(at = new Date()) {
+    return {
+        at,
+        until: null,
+        admit(assignment) {
+            this.until = earliest(this.until, nextBoundary(assignment, this.at));
+            return isActive(assignment, this.at);
+        },
+    };
+}
+
+/**
+ * Pick the assignment that applies from a user's global and tenant rows for
+ * the same role or permission. A tenant row in effect overrides the global one.
+ * When nothing is in effect, the row starting soonest is returned so callers
+ * still learn when the outcome changes.
+ * @param {Array} assignments - Rows with tenantId and optional validFrom / expiresAt
+ * @param {Date} at
+ * @returns {Object|null}
+ */
+function selectAssignment(assignments, at = new Date()) {
+    const active = assignments.filter(a => isActive(a, at));
+    const chosen = active.find(a => a.tenantId) || active[0];
+
+    if (chosen) {
+        if (chosen.tenantId) return chosen;
+
+        // A tenant row that starts later will override the global one from then on
+        const overrideAt = assignments
+            .filter(a => a.tenantId)
+            .map(a => nextBoundary(a, at))
+            .reduce(earliest, null);
+        return overrideAt ? { ...chosen, expiresAt: earliest(toDate(chosen.expiresAt, 'expiresAt'), overrideAt) } : chosen;
+    }
+
+    const upcoming = assignments
+        .filter(a => a.validFrom && toDate(a.validFrom, 'validFrom') > at)
+        .sort((a, b) => toDate(a.validFrom, 'validFrom') - toDate(b.validFrom, 'validFrom'));
+    return upcoming[0] || null;
+}
+
+/**
+ * Whether two permission assignments have the same effect: grant or ban, condition and window
+ * @param {Object} a - { granted, condition?, validFrom?, expiresAt? }
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameAssignment(a, b) {
+    const time = (value, name) => toDate(value, name)?.getTime() ?? null;
+    return a.granted === b.granted
+        && (a.condition || null) === (b.condition || null)
+        && time(a.validFrom, 'validFrom') === time(b.validFrom, 'validFrom')
+        && time(a.expiresAt, 'expiresAt') === time(b.expiresAt, 'expiresAt');
+}
+
+export {
+    getAssignmentWindow,
+    isActive,
+    isExpired,
+    earliest,
+    nextBoundary,
+    createValidityTracker,
+    selectAssignment,
+    sameAssignment,
+};
@@ -1,60 +1,173 @@
 /**
- * Check if a permission key matches a wildcard pattern
- * @param {string} pattern - Pattern like "endpoint.*" or "*"
- * @param {string} permissionKey - Actual permission like "endpoint.admin.users"
- * @returns {boolean}
+ * Permission key grammar
+ *
+ *   key      = segment *( separator segment )
+ *   separator = "." / ":"       (interchangeable inside patterns)
+ *   segment  = literal / "*" / "**"
+ *
+ * `*` matches exactly one segment and `**` one or more. A `*` in the last
+ * position also matches one or more segments, so `posts.*` covers
+ * `posts.comments.delete`; a lone `*` matches every key. Wildcards only apply to
+ * whole segments: `post*` is a literal. Keys without wildcards match only
+ * themselves, character for character.
+ *
+ * Matching walks the segments without regular expressions, so it takes at most
+ * (key segments x pattern segments) steps, however many wildcards a pattern has.
  */
-const SEPARATORS = ['.', ':'];
+const SEPARATOR = /[.:]/;
 
 /**
- * Check if a permission key matches a wildcard pattern
- * @param {string} pattern - Pattern like "endpoint:*" or "*"
- * @param {string} permissionKey - Actual permission like "endpoint:admin:users"
+ * Pattern tokens besides literal segments: one segment, and zero or more segments
+ * @private
+ */
+const ANY_SEGMENT = Symbol('anySegment');
+const ANY_SEGMENTS = Symbol('anySegments');
+
+/**
+ * Compiled patterns by key; permission keys are a small, stable set
+ * @private
+ */
+const compiled = new Map();
+const MAX_COMPILED = 10000;
+
+/**
+ * Split a permission key into its segments, on either separator
+ * @param {string} permissionKey - Like "api.v1:users"
+ * @returns {string[]} - ["api", "v1", "users"]
+ */
+function splitKey(permissionKey) {
+    return permissionKey.split(SEPARATOR);
+}
+
+/**
+ * Whether a key contains a wildcard segment
+ * @param {string} permissionKey
  * @returns {boolean}
  */
-function matchesWildcard(pattern, permissionKey) {
-    // Universal wildcard matches everything
-    if (pattern === '*') return true;
-
-    // Exact match
-    if (pattern === permissionKey) return true;
-
-    // Wildcard suffix match (e.g., "endpoint.*" or "endpoint:*")
-    const wildcardSuffixes = SEPARATORS.map(sep => sep + '*');
-
-    for (const suffix of wildcardSuffixes) {
-        if (pattern.endsWith(suffix)) {
-            const prefix = pattern.slice(0, -2);
-            // Matches the prefix itself or anything starting with prefix + separator
-            // We check both separators to be flexible (e.g. "foo:*" matches "foo.bar")
-            return permissionKey === prefix ||
-                SEPARATORS.some(sep => permissionKey.startsWith(prefix + sep));
+function isWildcard(permissionKey) {
+    return splitKey(permissionKey).some(segment => segment === '*' || segment === '**');
+}
+
+/**
+ * Match key segments against pattern tokens
+ * matched[j] tells whether the tokens so far match the first j segments; wildcards
+ * never match an empty segment, like `a..b` has between its separators.
+ * @private
+ */
+function matchTokens(tokens, segments) {
+    const count = segments.length;
+    let matched = new Uint8Array(count + 1);
+    let next = new Uint8Array(count + 1);
+    matched[0] = 1;
+    for (const token of tokens) {
+        next[0] = token === ANY_SEGMENTS ? matched[0] : 0;
+        for (let j = 1; j <= count; j++) {
+            const segment = segments[j - 1];
+            if (token === ANY_SEGMENTS) {
+                next[j] = matched[j] || (next[j - 1] && segment !== '') ? 1 : 0;
+            } else {
+                next[j] = matched[j - 1] && (token === ANY_SEGMENT ? segment !== '' : token === segment) ? 1 : 0;
+            }
         }
+        [matched, next] = [next, matched];
     }
-
-    return false;
+    return matched[count] === 1;
 }
 
 /**
- * Generate all possible wildcard patterns for a permission key
- * @param {string} permissionKey - Like "endpoint:admin:users:delete"
- * @returns {string[]} - ["endpoint:admin:users:*", "endpoint:admin:*", "endpoint:*", "*"]
+ * Compile a permission key into a matcher
+ * @param {string} pattern - Key, with or without wildcards
+ * @returns {Object} - { pattern, wildcard, universal, specificity, test(permissionKey) }
  */
-function generateWildcardPatterns(permissionKey) {
-    // Detect separator used in the key
-    const separator = permissionKey.includes(':') ? ':' : '.';
-    const parts = permissionKey.split(separator);
-    const patterns = ['*'];
+function compilePattern(pattern) {
+    let matcher = compiled.get(pattern);
+    if (matcher) return matcher;
 
-    // Generate patterns from most specific to least specific
-    for (let i = parts.length - 1; i > 0; i--) {
-        patterns.push([...parts.slice(0, i), '*'].join(separator));
+    const segments = splitKey(pattern);
+    const last = segments.length - 1;
+    const kinds = segments.map((segment, index) => {
+        if (segment === '**' || (segment === '*' && index === last)) return 'multi';
+        return segment === '*' ? 'single' : 'literal';
+    });
+
+    const wildcard = kinds.some(kind => kind !== 'literal');
+    let test;
+    if (wildcard) {
+        // `**` is one segment followed by any number of segments
+        const tokens = segments.flatMap((segment, index) => {
+            if (kinds[index] === 'multi') return [ANY_SEGMENT, ANY_SEGMENTS];
+            if (kinds[index] === 'single') return [ANY_SEGMENT];
+            return [segment];
+        });
+        test = permissionKey => matchTokens(tokens, splitKey(permissionKey));
+    } else {
+        test = permissionKey => permissionKey === pattern;
     }
 
-    return patterns;
+    const firstWildcard = kinds.findIndex(kind => kind !== 'literal');
+    matcher = {
+        pattern,
+        wildcard,
+        universal: wildcard && !kinds.includes('literal'),
+        specificity: [
+            wildcard ? 0 : 1,
+            kinds.filter(kind => kind === 'literal').length,
+            -kinds.filter(kind => kind === 'multi').length,
+            -kinds.filter(kind => kind === 'single').length,
+            firstWildcard === -1 ? segments.length : firstWildcard,
+        ],
+        test,
+    };
+
+    if (compiled.size >= MAX_COMPILED) compiled.clear();
+    compiled.set(pattern, matcher);
+    return matcher;
+}
+
+/**
+ * Order two patterns by specificity, most specific first
+ * In order: exact keys, more literal segments, fewer `**` (or trailing `*`),
+ * fewer `*`, longer literal prefix, then the pattern text.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareSpecificity(a, b) {
+    const left = compilePattern(a).specificity;
+    const right = compilePattern(b).specificity;
+    for (let i = 0; i < left.length; i++) {
+        if (left[i] !== right[i]) return right[i] - left[i];
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Check if a permission key matches a pattern
+ * @param {string} pattern - Pattern like "endpoint:*", "post:*:read" or "org:**:view"
+ * @param {string} permissionKey - Actual permission like "endpoint:admin:users"
+ * @returns {boolean}
+ */
+function matchesWildcard(pattern, permissionKey) {
+    return compilePattern(pattern).test(permissionKey);
+}
+
+/**
+ * Entries whose key matches a permission key, most specific first
+ * @param {Array<Object>} entries - Objects with a `key`
+ * @param {string} permissionKey
+ * @returns {Array<Object>}
+ */
+function findMatches(entries, permissionKey) {
+    return entries
+        .filter(entry => matchesWildcard(entry.key, permissionKey))
+        .sort((a, b) => compareSpecificity(a.key, b.key));
 }
 
 export {
+    splitKey,
+    isWildcard,
+    compilePattern,
+    compareSpecificity,
     matchesWildcard,
-    generateWildcardPatterns,
+    findMatches,
 };
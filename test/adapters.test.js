@@ -0,0 +1,48 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPermissionSystem, MemoryAdapter } from '../src/index.js';
+import { adapterConformanceSuite, runAdapterConformance } from '../src/testing/adapterConformance.js';
+
+describe('MemoryAdapter conformance', () => {
+    for (const { name, run } of adapterConformanceSuite(() => new MemoryAdapter())) {
+        test(name, run);
+    }
+});
+
+describe('runAdapterConformance', () => {
+    test('reports the cases a broken adapter fails', async () => {
+        class BrokenAdapter extends MemoryAdapter {
+            async getRoleByName() {
+                return null;
+            }
+        }
+
+        const report = await runAdapterConformance(() => new BrokenAdapter());
+        assert.ok(report.passed > 0);
+        assert.ok(report.failed.some(({ name }) => name.startsWith('createRole stores defaults')));
+        for (const { error } of report.failed) {
+            assert.ok(error instanceof Error);
+        }
+    });
+});
+
+describe('createPermissionSystem', () => {
+    test('uses a custom adapter, passed either way', async () => {
+        for (const perms of [
+            createPermissionSystem({ adapter: new MemoryAdapter() }),
+            createPermissionSystem(null, { adapter: new MemoryAdapter() }),
+        ]) {
+            assert.ok(perms.adapter instanceof MemoryAdapter);
+            await perms.createRole('admin');
+            await perms.assignPermission('posts.read', 'admin');
+            await perms.assignRole('admin', 'alice');
+            assert.equal(await perms.can('alice', 'posts.read'), true);
+            assert.equal(await perms.can('bob', 'posts.read'), false);
+        }
+    });
+
+    test('rejects a missing client and adapters that do not extend BaseAdapter', () => {
+        assert.throws(() => createPermissionSystem(null, {}), /needs a Prisma client/);
+        assert.throws(() => createPermissionSystem(null, { adapter: {} }), /BaseAdapter/);
+    });
+});
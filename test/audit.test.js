@@ -0,0 +1,166 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPermissionSystem, BaseAdapter } from '../src/index.js';
+import { createMemorySystem } from './helpers.js';
+
+const startOfDay = new Date('2026-03-01T00:00:00.000Z');
+
+// One mutation per minute, starting at startOfDay
+async function createSystem(t) {
+    t.mock.timers.enable({ apis: ['Date'], now: startOfDay });
+    const perms = createMemorySystem({ audit: true });
+    const minute = () => t.mock.timers.tick(60 * 1000);
+
+    await perms.createRole('editor', 'Edits posts', 5);
+    minute();
+    await perms.createRole('viewer');
+    minute();
+    await perms.withActor('admin-1').assignPermission('posts.edit', 'editor');
+    minute();
+    await perms.assignRole('editor', 'alice');
+    minute();
+    await perms.withActor('admin-2').assignRole('viewer', 'bob');
+    minute();
+    await perms.assignPermission('posts.read', 'alice', 'user');
+    return perms;
+}
+
+const actions = records => records.map(({ action }) => action);
+
+describe('getAuditLog', () => {
+    test('returns every mutation, newest first', async (t) => {
+        const perms = await createSystem(t);
+        const records = await perms.getAuditLog();
+
+        assert.deepEqual(actions(records), ['assignPermission', 'assignRole', 'assignRole', 'assignPermission', 'createRole', 'createRole']);
+        assert.deepEqual(records.at(-1).createdAt, startOfDay);
+        assert.equal(typeof records[0].id, 'string');
+    });
+
+    test('filters by user, role ID or name, action and actor', async (t) => {
+        const perms = await createSystem(t);
+        const editor = await perms.manager.getRole('editor');
+
+        const alice = await perms.getAuditLog({ userId: 'alice' });
+        assert.deepEqual(alice.map(({ action, permissionKey }) => [action, permissionKey]), [
+            ['assignPermission', 'posts.read'],
+            ['assignRole', null],
+        ]);
+
+        const byName = await perms.getAuditLog({ roleId: 'editor' });
+        assert.deepEqual(actions(byName), ['assignRole', 'assignPermission', 'createRole']);
+        assert.deepEqual(await perms.getAuditLog({ roleId: editor.id }), byName);
+
+        assert.deepEqual((await perms.getAuditLog({ action: 'assignRole' })).map(({ userId }) => userId), ['bob', 'alice']);
+        assert.deepEqual(actions(await perms.getAuditLog({ actorId: 'admin-1' })), ['assignPermission']);
+        assert.deepEqual(await perms.getAuditLog({ userId: 'alice', action: 'createRole' }), []);
+    });
+
+    test('finds a deleted role by its ID only', async (t) => {
+        const perms = await createSystem(t);
+        const editor = await perms.manager.getRole('editor');
+        await perms.deleteRole('editor');
+
+        assert.deepEqual(actions(await perms.getAuditLog({ roleId: editor.id })).slice(0, 2), ['deleteRole', 'assignRole']);
+        assert.deepEqual(await perms.getAuditLog({ roleId: 'editor' }), []);
+    });
+
+    test('filters by time, since inclusive and until exclusive, and limits', async (t) => {
+        const perms = await createSystem(t);
+        const at = minutes => new Date(startOfDay.getTime() + minutes * 60 * 1000);
+
+        assert.deepEqual(actions(await perms.getAuditLog({ since: at(3) })), ['assignPermission', 'assignRole', 'assignRole']);
+        assert.deepEqual(actions(await perms.getAuditLog({ until: at(1) })), ['createRole']);
+        assert.deepEqual(actions(await perms.getAuditLog({ since: at(1), until: at(3) })), ['assignPermission', 'createRole']);
+        assert.deepEqual(actions(await perms.getAuditLog({ since: at(2).toISOString(), until: at(3).toISOString() })), ['assignPermission']);
+
+        assert.deepEqual(actions(await perms.getAuditLog({ limit: 2 })), ['assignPermission', 'assignRole']);
+        assert.deepEqual((await perms.getAuditLog({ action: 'assignRole', limit: 1 })).map(({ userId }) => userId), ['bob']);
+    });
+
+    test('rejects invalid filters', async (t) => {
+        const perms = await createSystem(t);
+
+        await assert.rejects(perms.getAuditLog({ since: 'yesterday' }), /Invalid since: yesterday/);
+        await assert.rejects(perms.getAuditLog({ until: 'never' }), /Invalid until: never/);
+        await assert.rejects(perms.getAuditLog({ limit: 0 }), /Invalid limit: 0/);
+        await assert.rejects(perms.getAuditLog({ limit: 1.5 }), /Invalid limit: 1.5/);
+    });
+});
+
+describe('audit records', () => {
+    test('keep the state before and after an update', async (t) => {
+        const perms = await createSystem(t);
+        await perms.manager.updateRole('editor', { priority: 7 });
+        await perms.assignPermission('posts.edit', 'editor', 'role', { expiresAt: new Date('2026-04-01T00:00:00.000Z') });
+
+        const [reassigned, updated] = await perms.getAuditLog({ roleId: 'editor', limit: 2 });
+        assert.equal(updated.action, 'updateRole');
+        assert.equal(updated.before.priority, 5);
+        assert.equal(updated.after.priority, 7);
+        assert.equal(updated.after.description, 'Edits posts');
+
+        assert.equal(reassigned.action, 'assignPermission');
+        assert.equal(reassigned.before.expiresAt, null);
+        assert.equal(reassigned.after.expiresAt, '2026-04-01T00:00:00.000Z');
+        assert.equal(reassigned.after.granted, true);
+    });
+
+    test('keep the state before a delete, as plain JSON', async (t) => {
+        const perms = await createSystem(t);
+        await perms.removePermission('posts.edit', 'editor');
+        await perms.deleteRole('editor');
+
+        const [deleted, removed] = await perms.getAuditLog({ limit: 2 });
+        assert.equal(deleted.action, 'deleteRole');
+        assert.equal(deleted.after, null);
+        assert.equal(deleted.before.name, 'editor');
+        assert.equal(deleted.before.priority, 5);
+        assert.equal(deleted.before.createdAt, startOfDay.toISOString());
+
+        assert.equal(removed.action, 'removePermission');
+        assert.equal(removed.permissionKey, 'posts.edit');
+        assert.equal(removed.after, null);
+        assert.equal(removed.before.granted, true);
+    });
+
+    test('attribute changes to the actor of the view that made them', async (t) => {
+        const perms = await createSystem(t);
+        const admin = perms.withActor('admin-1');
+        await admin.transaction(async (tx) => {
+            await tx.createRole('moderator');
+            await tx.assignRole('moderator', 'carol');
+        });
+
+        const records = await perms.getAuditLog();
+        assert.deepEqual(records.slice(0, 2).map(({ action, actorId }) => [action, actorId]), [
+            ['assignRole', 'admin-1'],
+            ['createRole', 'admin-1'],
+        ]);
+        assert.deepEqual(records.filter(({ actorId }) => actorId === 'admin-2').map(({ userId }) => userId), ['bob']);
+        assert.equal(records.at(-1).actorId, null);
+
+        // The system itself keeps no actor
+        assert.equal(perms.manager.actorId, null);
+    });
+});
+
+describe('audit option', () => {
+    test('is off by default', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('editor');
+        await perms.assignRole('editor', 'alice');
+
+        assert.deepEqual(await perms.getAuditLog(), []);
+    });
+
+    test('requires an adapter that can store audit records', () => {
+        class NoAuditAdapter extends BaseAdapter {}
+
+        assert.throws(
+            () => createPermissionSystem({ adapter: new NoAuditAdapter(), audit: true }),
+            /Audit is enabled, but NoAuditAdapter cannot store audit records/,
+        );
+        assert.doesNotThrow(() => createPermissionSystem({ adapter: new NoAuditAdapter() }));
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryAdapter } from '../src/index.js';
+import { createMemorySystem } from './helpers.js';
+
+/**
+ * MemoryAdapter counting role permission reads
+ */
+class CountingAdapter extends MemoryAdapter {
+    constructor() {
+        super();
+        this.rolePermissionReads = 0;
+    }
+
+    async getRolePermissions(roleId) {
+        this.rolePermissionReads++;
+        return await super.getRolePermissions(roleId);
+    }
+}
+
+async function createSystem(adapter = new MemoryAdapter()) {
+    const perms = createMemorySystem({ adapter });
+    await perms.createRole('viewer');
+    await perms.createRole('editor');
+    await perms.manager.setRoleInheritance('editor', 'viewer');
+    await perms.assignPermission('posts.*', 'viewer');
+    await perms.banPermission('posts.delete', 'editor');
+    await perms.assignPermission('users.list', 'alice', 'user');
+    await perms.assignRole('editor', 'alice');
+    return perms;
+}
+
+const keys = ['posts.read', 'posts.delete', 'users.list', 'billing.view'];
+
+describe('checkMany', () => {
+    test('returns the same result as can() for every key', async () => {
+        const perms = await createSystem();
+        const results = await perms.checkMany('alice', keys);
+
+        assert.deepEqual(results, {
+            'posts.read': true,
+            'posts.delete': false,
+            'users.list': true,
+            'billing.view': false,
+        });
+        for (const key of keys) {
+            assert.equal(await perms.can('alice', key), results[key], key);
+        }
+    });
+
+    test('loads each role once for the whole batch and caches every key', async (t) => {
+        const adapter = new CountingAdapter();
+        const perms = await createSystem(adapter);
+        const roleReads = t.mock.method(adapter, 'getUserRoles');
+
+        await perms.checkMany('alice', [...keys, 'posts.edit', 'posts.publish']);
+        assert.equal(adapter.rolePermissionReads, 2);
+        assert.equal(roleReads.mock.callCount(), 1);
+
+        // Answered from the cache without touching the adapter
+        await perms.checkMany('alice', keys);
+        assert.equal(adapter.rolePermissionReads, 2);
+        assert.equal(roleReads.mock.callCount(), 1);
+    });
+
+    test('checks duplicate keys once', async () => {
+        const perms = await createSystem();
+        assert.deepEqual(await perms.checkMany('alice', ['posts.read', 'posts.read']), { 'posts.read': true });
+    });
+});
+
+describe('canAll / canAny', () => {
+    test('require every key or at least one', async () => {
+        const perms = await createSystem();
+
+        assert.equal(await perms.canAll('alice', ['posts.read', 'users.list']), true);
+        assert.equal(await perms.canAll('alice', ['posts.read', 'posts.delete']), false);
+        assert.equal(await perms.canAny('alice', ['posts.delete', 'posts.read']), true);
+        assert.equal(await perms.canAny('alice', ['posts.delete', 'billing.view']), false);
+        assert.equal(await perms.canAny('bob', keys), false);
+    });
+
+    test('reject an empty key list instead of granting it', async () => {
+        const perms = await createSystem();
+
+        await assert.rejects(perms.canAll('alice', []), /canAll needs at least one permission key/);
+        await assert.rejects(perms.canAny('alice', []), /canAny needs at least one permission key/);
+
+        const effective = await perms.getEffectivePermissions('alice');
+        assert.throws(() => effective.canAll([]), /canAll needs at least one permission key/);
+        assert.throws(() => effective.canAny([]), /canAny needs at least one permission key/);
+    });
+});
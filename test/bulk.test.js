@@ -0,0 +1,100 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryCacheStore } from '../src/index.js';
+import { createMemorySystem } from './helpers.js';
+
+describe('assignRoleToUsers', () => {
+    test('assigns the role to every user and skips those who already hold it', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('member');
+        await perms.assignPermission('posts.read', 'member');
+        await perms.assignRole('member', 'alice');
+
+        const result = await perms.assignRoleToUsers('member', ['alice', 'bob', 'carol', 'bob']);
+        assert.deepEqual(result, { assigned: ['bob', 'carol'], skipped: ['alice'] });
+        for (const userId of ['alice', 'bob', 'carol']) {
+            assert.equal(await perms.can(userId, 'posts.read'), true, userId);
+        }
+    });
+
+    test('applies the tenant to every assignment and rejects a missing role', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('member');
+        await perms.assignPermission('posts.read', 'member');
+
+        await perms.assignRoleToUsers('member', ['alice', 'bob'], { tenantId: 'acme' });
+        assert.equal(await perms.can('bob', 'posts.read', { tenantId: 'acme' }), true);
+        assert.equal(await perms.can('bob', 'posts.read'), false);
+
+        await assert.rejects(perms.assignRoleToUsers('missing', ['alice']), { name: 'RoleNotFoundError' });
+    });
+});
+
+describe('assignPermissions', () => {
+    test('grants every key, creating missing permissions', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('author');
+        await perms.assignPermission('posts.read', 'author');
+        await perms.assignRole('author', 'alice');
+        assert.equal(await perms.can('alice', 'posts.create'), false);
+
+        const result = await perms.assignPermissions(['posts.read', 'posts.create', 'posts.edit'], 'author');
+        assert.deepEqual(result, { added: ['posts.create', 'posts.edit'], updated: [] });
+        assert.equal(await perms.can('alice', 'posts.create'), true);
+        assert.ok(await perms.manager.getPermission('posts.edit'));
+    });
+});
+
+describe('syncRolePermissions', () => {
+    test('makes the role match the given set and reports the changes', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('editor');
+        await perms.assignPermission('posts.read', 'editor');
+        await perms.assignPermission('posts.delete', 'editor');
+        await perms.assignPermission('comments.read', 'editor');
+        await perms.assignRole('editor', 'alice');
+        assert.equal(await perms.can('alice', 'comments.read'), true);
+
+        const result = await perms.syncRolePermissions('editor', {
+            grant: ['posts.read', 'posts.*'],
+            ban: ['posts.delete'],
+        });
+        assert.deepEqual(result, { added: ['posts.*'], updated: ['posts.delete'], removed: ['comments.read'] });
+
+        const keys = (await perms.manager.getRolePermissions('editor')).map(({ key, granted }) => [key, granted]).sort();
+        assert.deepEqual(keys, [['posts.*', true], ['posts.delete', false], ['posts.read', true]]);
+        assert.equal(await perms.can('alice', 'comments.read'), false);
+        assert.equal(await perms.can('alice', 'posts.delete'), false);
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+
+        assert.deepEqual(await perms.syncRolePermissions('editor', { grant: ['posts.read', 'posts.*'], ban: ['posts.delete'] }), {
+            added: [],
+            updated: [],
+            removed: [],
+        });
+    });
+
+    test('rejects a key listed in both grant and ban without changing anything', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('editor');
+        await perms.assignPermission('posts.read', 'editor');
+
+        await assert.rejects(perms.syncRolePermissions('editor', { grant: ['posts.edit'], ban: ['posts.edit'] }));
+        assert.deepEqual((await perms.manager.getRolePermissions('editor')).map(({ key }) => key), ['posts.read']);
+    });
+
+    test('invalidates the cache once for the whole sync', async () => {
+        const store = new MemoryCacheStore();
+        const perms = createMemorySystem({ cacheStore: store });
+        await perms.createRole('editor');
+        const increment = store.increment.bind(store);
+        const bumped = [];
+        store.increment = (key, ttl) => {
+            bumped.push(key);
+            return increment(key, ttl);
+        };
+
+        await perms.syncRolePermissions('editor', { grant: ['a.b', 'c.d', 'e.f'], ban: ['g.h'] });
+        assert.equal(bumped.length, 1);
+    });
+});
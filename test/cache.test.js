@@ -0,0 +1,282 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPermissionSystem, MemoryAdapter, MemoryCacheStore, RedisCacheStore } from '../src/index.js';
+import { createMemorySystem } from './helpers.js';
+
+/**
+ * Minimal node-redis v4 client that, like Redis Cluster, rejects MGET
+ * and records the expiry set on each key
+ */
+class FakeRedisClient {
+    constructor() {
+        this.values = new Map();
+        this.expiries = new Map();
+    }
+
+    async get(key) {
+        return this.values.get(key) ?? null;
+    }
+
+    async mGet() {
+        throw new Error("CROSSSLOT Keys in request don't hash to the same slot");
+    }
+
+    async setEx(key, ttl, value) {
+        this.values.set(key, value);
+        this.expiries.set(key, ttl);
+    }
+
+    async del(keys) {
+        for (const key of keys) this.values.delete(key);
+    }
+
+    multi() {
+        const commands = [];
+        const transaction = {
+            incr: (key) => {
+                commands.push(() => {
+                    const value = Number(this.values.get(key) ?? 0) + 1;
+                    this.values.set(key, String(value));
+                    return value;
+                });
+                return transaction;
+            },
+            expire: (key, ttl) => {
+                commands.push(() => this.expiries.set(key, ttl) && 1);
+                return transaction;
+            },
+            exec: async () => commands.map(command => command()),
+        };
+        return transaction;
+    }
+}
+
+/**
+ * MemoryAdapter whose next role permission read waits until released,
+ * to interleave a mutation with a check that is resolving
+ */
+class GatedAdapter extends MemoryAdapter {
+    async getRolePermissions(roleId) {
+        const permissions = await super.getRolePermissions(roleId);
+        const gate = this.gate;
+        this.gate = null;
+        if (gate) await gate;
+        return permissions;
+    }
+
+    hold() {
+        let release;
+        this.gate = new Promise(resolve => { release = resolve; });
+        return release;
+    }
+}
+
+describe('MemoryCacheStore', () => {
+    test('evicts the least recently used entries beyond maxEntries', async () => {
+        const store = new MemoryCacheStore({ maxEntries: 2 });
+        await store.set('a', '1', 60);
+        await store.set('b', '2', 60);
+        await store.get('a');
+        await store.set('c', '3', 60);
+
+        assert.equal(await store.get('a'), '1');
+        assert.equal(await store.get('b'), null);
+        assert.equal(await store.get('c'), '3');
+        assert.equal(store.size, 2);
+    });
+
+    test('expires entries after their TTL', async () => {
+        const store = new MemoryCacheStore();
+        await store.set('a', '1', 0);
+        assert.equal(await store.get('a'), null);
+    });
+
+    test('bounds generation counters and drops entries when evicting them', async () => {
+        const store = new MemoryCacheStore({ maxEntries: 8 });
+        await store.set('entry', 'value', 60);
+        for (let i = 0; i < 20; i++) {
+            await store.increment(`counter-${i}`);
+        }
+
+        assert.ok(store.counters.size <= 8);
+        assert.equal(await store.get('counter-19'), '1');
+        assert.equal(await store.get('entry'), null);
+    });
+});
+
+describe('RedisCacheStore', () => {
+    test('expires generation counters and caches without MGET', async (t) => {
+        const client = new FakeRedisClient();
+        const perms = createPermissionSystem({ adapter: new MemoryAdapter(), redis: client, cacheTTL: 60 });
+        await perms.createRole('editor');
+        await perms.assignPermission('posts.edit', 'editor');
+        await perms.assignRole('editor', 'alice');
+        const roleReads = t.mock.method(perms.adapter, 'getUserRoles');
+
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+        assert.equal(roleReads.mock.callCount(), 1);
+
+        const counters = [...client.expiries].filter(([key]) => key.startsWith('v-perms:gen'));
+        assert.ok(counters.length > 0);
+        for (const [, ttl] of counters) {
+            assert.equal(ttl, 120);
+        }
+    });
+
+    test('wraps a raw client passed as redis', () => {
+        const perms = createPermissionSystem({ adapter: new MemoryAdapter(), redis: new FakeRedisClient() });
+        assert.ok(perms.cache.store instanceof RedisCacheStore);
+    });
+});
+
+describe('CacheManager invalidation', () => {
+    test('answers repeated checks from the cache', async (t) => {
+        const perms = createMemorySystem();
+        await perms.createRole('editor');
+        await perms.assignPermission('posts.edit', 'editor');
+        await perms.assignRole('editor', 'alice');
+        const roleReads = t.mock.method(perms.adapter, 'getUserRoles');
+
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+        assert.equal(roleReads.mock.callCount(), 1);
+    });
+
+    test('manager mutations invalidate the users and roles they affect', async () => {
+        const perms = createMemorySystem();
+        const editor = await perms.createRole('editor');
+        await perms.assignRole('editor', 'alice');
+        await perms.assignPermission('posts.edit', 'editor');
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+        assert.equal(await perms.canRole(editor.id, 'posts.edit'), true);
+
+        await perms.banPermission('posts.edit', 'editor');
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+        assert.equal(await perms.canRole(editor.id, 'posts.edit'), false);
+
+        await perms.assignPermission('posts.edit', 'alice', 'user');
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+
+        await perms.removePermission('posts.edit', 'alice', 'user');
+        await perms.removeRole('editor', 'alice');
+        await perms.assignPermission('posts.edit', 'editor');
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+    });
+
+    test('invalidating an inherited role invalidates the users and roles derived from it', async () => {
+        const perms = createMemorySystem();
+        const admin = await perms.createRole('admin');
+        const viewer = await perms.createRole('viewer');
+        await perms.manager.setRoleInheritance('admin', 'viewer');
+        await perms.assignRole('admin', 'alice');
+        assert.equal(await perms.can('alice', 'posts.read'), false);
+        assert.equal(await perms.canRole(admin.id, 'posts.read'), false);
+
+        // Written behind the manager's back: the cached results are stale until invalidated
+        await perms.adapter.assignPermissionToRole('posts.read', viewer.id, true);
+        assert.equal(await perms.can('alice', 'posts.read'), false);
+
+        await perms.invalidateRoleCache(viewer.id);
+        assert.equal(await perms.can('alice', 'posts.read'), true);
+        assert.equal(await perms.canRole(admin.id, 'posts.read'), true);
+    });
+
+    test('changing inheritance invalidates the inheriting role', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('admin');
+        await perms.createRole('viewer');
+        await perms.assignPermission('posts.read', 'viewer');
+        await perms.assignRole('admin', 'alice');
+        assert.equal(await perms.can('alice', 'posts.read'), false);
+
+        await perms.manager.setRoleInheritance('admin', 'viewer');
+        assert.equal(await perms.can('alice', 'posts.read'), true);
+
+        await perms.manager.removeRoleInheritance('admin', 'viewer');
+        assert.equal(await perms.can('alice', 'posts.read'), false);
+    });
+
+    test('manager changes to an inherited role reach every user and role derived from it', async () => {
+        const perms = createMemorySystem();
+        const admin = await perms.createRole('admin');
+        await perms.createRole('moderator');
+        await perms.createRole('viewer');
+        await perms.manager.setRoleInheritance('admin', 'moderator');
+        await perms.manager.setRoleInheritance('moderator', 'viewer');
+        await perms.assignRole('admin', 'alice');
+        assert.equal(await perms.can('alice', 'posts.read'), false);
+        assert.equal(await perms.canRole(admin.id, 'posts.read'), false);
+
+        await perms.assignPermission('posts.read', 'viewer');
+        assert.equal(await perms.can('alice', 'posts.read'), true);
+        assert.equal(await perms.canRole(admin.id, 'posts.read'), true);
+
+        await perms.deleteRole('viewer');
+        assert.equal(await perms.can('alice', 'posts.read'), false);
+        assert.equal(await perms.canRole(admin.id, 'posts.read'), false);
+    });
+
+    test('changing role priority or deleting a permission invalidates cached results', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('reader', null, 1);
+        await perms.createRole('restricted', null, 5);
+        await perms.assignPermission('posts.read', 'reader');
+        await perms.banPermission('posts.read', 'restricted');
+        await perms.assignRole('reader', 'alice');
+        await perms.assignRole('restricted', 'alice');
+        assert.equal(await perms.can('alice', 'posts.read'), false);
+
+        await perms.manager.updateRole('reader', { priority: 10 });
+        assert.equal(await perms.can('alice', 'posts.read'), true);
+
+        await perms.deletePermission('posts.read');
+        assert.equal(await perms.can('alice', 'posts.read'), false);
+    });
+
+    test('clearCache drops every cached result', async () => {
+        const perms = createMemorySystem();
+        const editor = await perms.createRole('editor');
+        await perms.assignRole('editor', 'alice');
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+
+        await perms.adapter.assignPermissionToRole('posts.edit', editor.id, true);
+        await perms.clearCache();
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+    });
+});
+
+describe('CacheManager races', () => {
+    test('a user check resolving across a ban does not cache the old result', async () => {
+        const adapter = new GatedAdapter();
+        const perms = createMemorySystem({ adapter });
+        await perms.createRole('editor');
+        await perms.assignRole('editor', 'alice');
+        await perms.assignPermission('posts.edit', 'editor');
+
+        const release = adapter.hold();
+        const racing = perms.can('alice', 'posts.edit');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await perms.banPermission('posts.edit', 'editor');
+        release();
+
+        assert.equal(await racing, true);
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+    });
+
+    test('a role check resolving across a ban does not cache the old result', async () => {
+        const adapter = new GatedAdapter();
+        const perms = createMemorySystem({ adapter });
+        const editor = await perms.createRole('editor');
+        await perms.assignPermission('posts.edit', 'editor');
+
+        const release = adapter.hold();
+        const racing = perms.canRole(editor.id, 'posts.edit');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await perms.banPermission('posts.edit', 'editor');
+        release();
+
+        assert.equal(await racing, true);
+        assert.equal(await perms.canRole(editor.id, 'posts.edit'), false);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryAdapter, errors } from '../src/index.js';
+import { createMemorySystem } from './helpers.js';
+
+const { ConditionNotFoundError } = errors;
+
+async function createSystem(adapter = new MemoryAdapter()) {
+    const perms = createMemorySystem({ adapter });
+    perms.registerCondition('ownsResource', ctx => ctx.resource?.ownerId === ctx.userId);
+    await perms.createRole('author');
+    await perms.assignRole('author', 'alice');
+    return perms;
+}
+
+const ownPost = { resource: { type: 'post', id: 'p1', ownerId: 'alice' } };
+const otherPost = { resource: { type: 'post', id: 'p2', ownerId: 'bob' } };
+
+describe('conditions', () => {
+    test('a conditional grant applies only when its condition holds', async () => {
+        const perms = await createSystem();
+        await perms.assignPermission('posts.edit', 'author', 'role', { condition: 'ownsResource' });
+
+        assert.equal(await perms.can('alice', 'posts.edit', ownPost), true);
+        assert.equal(await perms.can('alice', 'posts.edit', otherPost), false);
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+
+        const explanation = await perms.explain('alice', 'posts.edit', ownPost);
+        assert.equal(explanation.condition, 'ownsResource');
+    });
+
+    test('a conditional ban that does not hold falls through to broader grants', async () => {
+        const perms = await createSystem();
+        await perms.assignPermission('posts.*', 'author');
+        await perms.banPermission('posts.delete', 'author', 'role', { condition: 'ownsResource' });
+
+        assert.equal(await perms.can('alice', 'posts.delete', ownPost), false);
+        assert.equal(await perms.can('alice', 'posts.delete', otherPost), true);
+    });
+
+    test('rejects assignments with an unregistered condition', async () => {
+        const perms = await createSystem();
+        await assert.rejects(perms.assignPermission('posts.edit', 'author', 'role', { condition: 'typo' }), ConditionNotFoundError);
+    });
+
+    test('a throwing predicate fails closed for its assignment only, and is logged once', async (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const perms = await createSystem();
+        perms.registerCondition('isOwner', ctx => ctx.resource.ownerId === ctx.userId);
+        await perms.assignPermission('posts.edit', 'author', 'role', { condition: 'isOwner' });
+        await perms.assignPermission('posts.*', 'author');
+        await perms.banPermission('posts.delete', 'author', 'role', { condition: 'isOwner' });
+
+        assert.equal(await perms.can('alice', 'posts.edit', ownPost), true);
+        assert.equal(await perms.can('alice', 'posts.edit'), true, 'falls through to posts.*');
+        assert.equal(await perms.can('alice', 'posts.delete'), false, 'the ban still applies');
+        assert.deepEqual(await perms.checkMany('alice', ['posts.edit', 'posts.delete']), { 'posts.edit': true, 'posts.delete': false });
+
+        await perms.removePermission('posts.*', 'author');
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[1], /Condition "isOwner" threw/);
+        assert.ok(warn.mock.calls[0].arguments[2] instanceof TypeError);
+    });
+
+    test('an unregistered condition fails closed for its assignment only, and is logged once', async (t) => {
+        const adapter = new MemoryAdapter();
+        const writer = await createSystem(adapter);
+        writer.registerCondition('businessHours', () => true);
+        await writer.assignPermission('posts.edit', 'author', 'role', { condition: 'businessHours' });
+        await writer.assignPermission('posts.*', 'author');
+        await writer.banPermission('posts.delete', 'author', 'role', { condition: 'businessHours' });
+        await writer.assignPermission('reports.view', 'alice', 'user', { condition: 'businessHours' });
+
+        // Another process that never registered businessHours
+        const warn = t.mock.method(console, 'warn', () => {});
+        const reader = createMemorySystem({ adapter });
+
+        assert.equal(await reader.can('alice', 'posts.edit'), true, 'falls through to posts.*');
+        assert.equal(await reader.can('alice', 'posts.delete'), false, 'the ban still applies');
+        assert.equal(await reader.can('alice', 'reports.view'), false);
+        assert.equal(await reader.canRole('author', 'posts.delete'), false);
+        assert.equal((await reader.getEffectivePermissions('alice')).can('reports.view'), false);
+
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[1], /Condition "businessHours" is not registered/);
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemorySystem } from './helpers.js';
+
+async function createSystem(options = {}) {
+    const perms = createMemorySystem(options);
+    await perms.createRole('member', null, 1, true);
+    await perms.createRole('newsletter', null, 0, true);
+    await perms.createRole('admin', null, 10);
+    await perms.assignPermission('posts.read', 'member');
+    await perms.assignPermission('users.*', 'admin');
+    return perms;
+}
+
+describe('ensureDefaultRoles / onboardUser', () => {
+    test('assigns every default role once', async () => {
+        const perms = await createSystem();
+
+        assert.deepEqual(await perms.onboardUser('alice'), { assigned: ['member', 'newsletter'], skipped: [] });
+        assert.deepEqual(await perms.ensureDefaultRoles('alice'), { assigned: [], skipped: ['member', 'newsletter'] });
+        assert.equal(await perms.can('alice', 'posts.read'), true);
+        assert.deepEqual((await perms.manager.getUserRoles('alice')).map(({ name }) => name), ['member', 'newsletter']);
+    });
+
+    test('applies the options to every assignment', async () => {
+        const perms = await createSystem();
+        await perms.ensureDefaultRoles('alice', { tenantId: 'acme' });
+
+        assert.equal(await perms.can('alice', 'posts.read', { tenantId: 'acme' }), true);
+        assert.equal(await perms.can('alice', 'posts.read'), false);
+    });
+});
+
+describe('implicitDefaultRoles', () => {
+    test('every user holds the default roles without assignments', async () => {
+        const perms = await createSystem({ implicitDefaultRoles: true });
+
+        assert.equal(await perms.can('anyone', 'posts.read'), true);
+        assert.equal(await perms.can('anyone', 'users.list'), false);
+        assert.equal((await perms.getEffectivePermissions('anyone')).can('posts.read'), true);
+        assert.deepEqual(await perms.checkMany('anyone', ['posts.read']), { 'posts.read': true });
+
+        const roles = await perms.manager.getUserRoles('anyone');
+        assert.deepEqual(roles.map(({ name, implicit }) => [name, implicit]), [['member', true], ['newsletter', true]]);
+        assert.deepEqual(await perms.adapter.getUserRoles('anyone'), []);
+    });
+
+    test('changing which roles are default applies to every user at once', async () => {
+        const perms = await createSystem({ implicitDefaultRoles: true });
+        assert.equal(await perms.can('anyone', 'users.list'), false);
+
+        await perms.manager.updateRole('admin', { isDefault: true });
+        assert.equal(await perms.can('anyone', 'users.list'), true);
+
+        await perms.manager.updateRole('admin', { isDefault: false });
+        await perms.manager.updateRole('member', { isDefault: false });
+        assert.equal(await perms.can('anyone', 'users.list'), false);
+        assert.equal(await perms.can('anyone', 'posts.read'), false);
+    });
+
+    test('is off by default', async () => {
+        const perms = await createSystem();
+        assert.equal(await perms.can('anyone', 'posts.read'), false);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryAdapter } from '../src/index.js';
+import { createMemorySystem } from './helpers.js';
+
+async function createSystem(adapter = new MemoryAdapter()) {
+    const perms = createMemorySystem({ adapter });
+    await perms.createRole('viewer', null, 1);
+    await perms.createRole('editor', null, 5);
+    await perms.manager.setRoleInheritance('editor', 'viewer');
+    await perms.assignPermission('posts.*', 'viewer');
+    await perms.assignPermission('comments.read', 'viewer');
+    await perms.banPermission('posts.delete', 'editor');
+    await perms.banPermission('comments.read', 'alice', 'user');
+    await perms.assignRole('editor', 'alice');
+    return perms;
+}
+
+const keys = ['posts.read', 'posts.delete', 'posts.comments.edit', 'comments.read', 'users.list'];
+
+describe('getEffectivePermissions', () => {
+    test('applies the same precedence as can()', async () => {
+        const perms = await createSystem();
+        const effective = await perms.getEffectivePermissions('alice');
+
+        for (const key of keys) {
+            assert.equal(effective.can(key), await perms.can('alice', key), key);
+        }
+        assert.equal(effective.can('posts.read'), true);
+        assert.equal(effective.can('posts.delete'), false);
+        assert.equal(effective.can('comments.read'), false);
+        assert.equal(effective.canAll(['posts.read', 'posts.comments.edit']), true);
+        assert.equal(effective.canAny(['posts.delete', 'users.list']), false);
+    });
+
+    test('resolves inherited roles and explains decisions', async () => {
+        const perms = await createSystem();
+        const effective = await perms.getEffectivePermissions('alice');
+
+        assert.deepEqual(effective.roles.map(({ name }) => name), ['editor', 'viewer']);
+        assert.ok(effective.compiledAt instanceof Date);
+
+        const decision = effective.explain('posts.read');
+        assert.equal(decision.source, 'role');
+        assert.equal(decision.matchedKey, 'posts.*');
+        assert.deepEqual(decision.inheritanceChain.map(({ name }) => name), ['editor', 'viewer']);
+        assert.equal(effective.explain('users.list').defaultDeny, true);
+    });
+
+    test('checks against the set make no adapter calls and do not see later changes', async () => {
+        const adapter = new MemoryAdapter();
+        const perms = await createSystem(adapter);
+        const effective = await perms.getEffectivePermissions('alice');
+        await perms.assignPermission('users.list', 'alice', 'user');
+
+        let reads = 0;
+        for (const method of ['getUserRoles', 'getRolePermissions', 'getUserDirectPermissions', 'getRoleInheritance']) {
+            const read = adapter[method].bind(adapter);
+            adapter[method] = (...args) => {
+                reads++;
+                return read(...args);
+            };
+        }
+        assert.equal(effective.can('users.list'), false);
+        assert.equal(effective.can('posts.read'), true);
+        assert.equal(reads, 0);
+        assert.equal((await perms.getEffectivePermissions('alice')).can('users.list'), true);
+    });
+});
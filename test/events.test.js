@@ -0,0 +1,102 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemorySystem } from './helpers.js';
+
+describe('events', () => {
+    test('check and denied carry the decision', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('editor');
+        await perms.assignPermission('posts.edit', 'editor');
+        await perms.assignRole('editor', 'alice');
+
+        const checks = [];
+        const denials = [];
+        perms.on('check', payload => checks.push(payload));
+        perms.on('denied', payload => denials.push(payload));
+
+        await perms.can('alice', 'posts.edit');
+        await perms.can('alice', 'posts.edit');
+        await perms.can('bob', 'posts.edit', { ip: '10.0.0.1' });
+
+        assert.deepEqual(checks.map(({ userId, key, result, cached }) => [userId, key, result, cached]), [
+            ['alice', 'posts.edit', true, false],
+            ['alice', 'posts.edit', true, true],
+            ['bob', 'posts.edit', false, false],
+        ]);
+        assert.equal(denials.length, 1);
+        assert.equal(denials[0], checks[2]);
+        assert.deepEqual(denials[0].context, { ip: '10.0.0.1' });
+        assert.equal(typeof denials[0].durationMs, 'number');
+    });
+
+    test('mutations emit mutation and their specific event', async () => {
+        const perms = createMemorySystem();
+        const events = [];
+        for (const name of ['mutation', 'roleAssigned', 'roleRemoved', 'permissionChanged', 'roleChanged']) {
+            perms.on(name, payload => events.push([name, payload]));
+        }
+
+        const role = await perms.withActor('admin-1').createRole('editor');
+        await perms.assignPermission('posts.edit', 'editor');
+        await perms.assignRole('editor', 'alice', { tenantId: 'acme' });
+        await perms.removeRole('editor', 'alice', { tenantId: 'acme' });
+
+        assert.deepEqual(events.map(([name, { action }]) => `${name}:${action ?? ''}`), [
+            'mutation:createRole',
+            'roleChanged:createRole',
+            'mutation:assignPermission',
+            'permissionChanged:assignPermission',
+            'mutation:assignRole',
+            'roleAssigned:',
+            'mutation:removeRole',
+            'roleRemoved:',
+        ]);
+
+        const [, created] = events[1];
+        assert.equal(created.roleId, role.id);
+        assert.equal(created.actorId, 'admin-1');
+        assert.equal(created.before, null);
+        assert.ok(created.at instanceof Date);
+
+        const [, changed] = events[3];
+        assert.equal(changed.targetType, 'role');
+        assert.equal(changed.targetId, role.id);
+        assert.equal(changed.permissionKey, 'posts.edit');
+
+        const [, assigned] = events[5];
+        assert.equal(assigned.userId, 'alice');
+        assert.equal(assigned.roleName, 'editor');
+        assert.equal(assigned.tenantId, 'acme');
+    });
+
+    test('a throwing or rejecting listener does not break the operation or other listeners', async (t) => {
+        const logged = t.mock.method(console, 'error', () => {});
+        const perms = createMemorySystem();
+        const seen = [];
+        perms.on('mutation', () => { throw new Error('siem down'); });
+        perms.on('mutation', async () => { throw new Error('mailer down'); });
+        perms.on('mutation', ({ action }) => seen.push(action));
+
+        const role = await perms.createRole('editor');
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(role.name, 'editor');
+        assert.deepEqual(seen, ['createRole']);
+        assert.deepEqual(logged.mock.calls.map(({ arguments: [prefix, message, error] }) => [prefix, message, error.message]), [
+            ['[v-perms:error]', '"mutation" listener failed:', 'siem down'],
+            ['[v-perms:error]', '"mutation" listener failed:', 'mailer down'],
+        ]);
+    });
+
+    test('listener failures go to the error listener when there is one', async (t) => {
+        const logged = t.mock.method(console, 'error', () => {});
+        const perms = createMemorySystem();
+        const failures = [];
+        perms.on('error', (error, event) => failures.push([error.message, event]));
+        perms.on('check', () => { throw new Error('boom'); });
+
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+        assert.deepEqual(failures, [['boom', 'check']]);
+        assert.equal(logged.mock.callCount(), 0);
+    });
+});
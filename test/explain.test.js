@@ -0,0 +1,80 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemorySystem } from './helpers.js';
+
+async function createSystem() {
+    const perms = createMemorySystem();
+    await perms.createRole('viewer', null, 1);
+    await perms.createRole('moderator', null, 5);
+    await perms.createRole('admin', null, 10);
+    await perms.manager.setRoleInheritance('admin', 'moderator');
+    await perms.manager.setRoleInheritance('moderator', 'viewer');
+    await perms.assignPermission('posts.*', 'viewer');
+    await perms.banPermission('posts.delete', 'moderator');
+    await perms.assignRole('admin', 'alice');
+    return perms;
+}
+
+describe('explain', () => {
+    test('names the deciding role, key and inheritance chain', async () => {
+        const perms = await createSystem();
+        const decision = await perms.explain('alice', 'posts.delete');
+
+        assert.equal(decision.granted, false);
+        assert.equal(decision.source, 'role');
+        assert.equal(decision.matchedKey, 'posts.delete');
+        assert.equal(decision.wildcard, false);
+        assert.equal(decision.role.name, 'moderator');
+        assert.deepEqual(decision.inheritanceChain.map(({ name }) => name), ['admin', 'moderator']);
+        assert.deepEqual(decision.roles.map(({ name }) => name), ['admin', 'moderator', 'viewer']);
+        assert.equal(decision.defaultDeny, false);
+    });
+
+    test('reports wildcard matches', async () => {
+        const perms = await createSystem();
+        const decision = await perms.explain('alice', 'posts.edit');
+
+        assert.equal(decision.granted, true);
+        assert.equal(decision.matchedKey, 'posts.*');
+        assert.equal(decision.wildcard, true);
+        assert.equal(decision.role.name, 'viewer');
+        assert.deepEqual(decision.inheritanceChain.map(({ name }) => name), ['admin', 'moderator', 'viewer']);
+    });
+
+    test('lets a direct user assignment decide before roles', async () => {
+        const perms = await createSystem();
+        await perms.assignPermission('posts.delete', 'alice', 'user');
+        const decision = await perms.explain('alice', 'posts.delete');
+
+        assert.equal(decision.granted, true);
+        assert.equal(decision.source, 'user');
+        assert.equal(decision.role, null);
+        assert.equal(decision.roles, null);
+    });
+
+    test('falls back to the default deny and traces every lookup', async () => {
+        const perms = await createSystem();
+        const decision = await perms.explain('alice', 'users.list');
+
+        assert.equal(decision.granted, false);
+        assert.equal(decision.source, 'default');
+        assert.equal(decision.defaultDeny, true);
+        assert.ok(decision.trace.length > 0);
+        assert.ok(decision.trace.every(({ granted }) => granted === null));
+    });
+
+    test('agrees with can() and bypasses the cache', async (t) => {
+        const perms = await createSystem();
+        const roleReads = t.mock.method(perms.adapter, 'getUserRoles');
+
+        // explain() leaves the cache empty, so every can() below still loads the user's roles
+        for (const key of ['posts.read', 'posts.delete', 'users.list']) {
+            assert.equal((await perms.explain('alice', key)).granted, await perms.can('alice', key), key);
+        }
+        assert.equal(roleReads.mock.callCount(), 6);
+
+        // and it does not answer from a cached result either
+        await perms.explain('alice', 'posts.read');
+        assert.equal(roleReads.mock.callCount(), 7);
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createExpressMiddleware } from '../src/index.js';
+import { createEditorSystem, UnavailableAdapter } from './helpers.js';
+
+/**
+ * Run an Express middleware against a fake request and response
+ * @returns {Promise<Object>} - { status, body, next: arguments passed to next(), or null when not called }
+ */
+async function run(middleware, req = {}) {
+    const outcome = { status: null, body: null, next: null };
+    const res = {
+        status(code) {
+            outcome.status = code;
+            return this;
+        },
+        json(body) {
+            outcome.body = body;
+            return this;
+        },
+    };
+    await middleware({ params: {}, ...req }, res, (...args) => { outcome.next = args; });
+    return outcome;
+}
+
+describe('createExpressMiddleware', () => {
+    test('calls next() when the user has the permission', async () => {
+        const { requirePermission } = createExpressMiddleware(await createEditorSystem());
+        const outcome = await run(requirePermission('posts.edit'), { user: { id: 'alice' } });
+        assert.deepEqual(outcome.next, []);
+        assert.equal(outcome.status, null);
+    });
+
+    test('answers 401 without a user', async () => {
+        const { requirePermission } = createExpressMiddleware(await createEditorSystem());
+        const outcome = await run(requirePermission('posts.edit'));
+        assert.equal(outcome.status, 401);
+        assert.equal(outcome.body.code, 'UNAUTHENTICATED');
+        assert.equal(outcome.next, null);
+    });
+
+    test('answers 403 with the required keys and mode', async () => {
+        const { requirePermission } = createExpressMiddleware(await createEditorSystem());
+        const outcome = await run(requirePermission(['posts.edit', 'posts.delete']), { user: { id: 'alice' } });
+        assert.equal(outcome.status, 403);
+        assert.deepEqual(outcome.body, {
+            error: 'Forbidden',
+            code: 'PERMISSION_DENIED',
+            message: 'Permission denied: posts.edit, posts.delete',
+            required: ['posts.edit', 'posts.delete'],
+            mode: 'all',
+        });
+        assert.equal(outcome.next, null);
+    });
+
+    test('passes with mode any when one key is granted', async () => {
+        const { requirePermission } = createExpressMiddleware(await createEditorSystem());
+        const outcome = await run(requirePermission(['posts.edit', 'posts.delete'], { mode: 'any' }), { user: { id: 'alice' } });
+        assert.deepEqual(outcome.next, []);
+    });
+
+    test('builds keys from the request', async () => {
+        const { requirePermission } = createExpressMiddleware(await createEditorSystem());
+        const guard = requirePermission(req => `projects.${req.params.id}.edit`);
+        assert.deepEqual((await run(guard, { user: { id: 'alice' }, params: { id: '7' } })).next, []);
+        assert.equal((await run(guard, { user: { id: 'alice' }, params: { id: '8' } })).status, 403);
+    });
+
+    test('passes errors other than denials to next(error)', async () => {
+        const { requirePermission } = createExpressMiddleware(await createEditorSystem(new UnavailableAdapter()));
+        const outcome = await run(requirePermission('posts.edit'), { user: { id: 'alice' } });
+        assert.equal(outcome.status, null);
+        assert.equal(outcome.next.length, 1);
+        assert.match(outcome.next[0].message, /database down/);
+    });
+
+    test('passes invalid keys to next(error)', async () => {
+        const { requirePermission } = createExpressMiddleware(await createEditorSystem());
+        const outcome = await run(requirePermission(() => ''), { user: { id: 'alice' } });
+        assert.match(outcome.next[0].message, /non-empty key/);
+    });
+
+    test('lets onDenied replace the response', async () => {
+        const denials = [];
+        const { requirePermission } = createExpressMiddleware(await createEditorSystem(), {
+            onDenied: (error, req, res, next) => { denials.push(error.code); next('route'); },
+        });
+        const outcome = await run(requirePermission('posts.delete'), { user: { id: 'alice' } });
+        assert.deepEqual(denials, ['PERMISSION_DENIED']);
+        assert.deepEqual(outcome.next, ['route']);
+    });
+
+    test('reads the user and context through the options', async () => {
+        const perms = await createEditorSystem();
+        await perms.assignPermission('billing.view', 'bob', 'user', { tenantId: 'acme' });
+        const { requirePermission } = createExpressMiddleware(perms, {
+            getUserId: req => req.session.userId,
+            getContext: req => ({ tenantId: req.headers['x-tenant'] }),
+        });
+        const guard = requirePermission('billing.view');
+        const request = tenant => ({ session: { userId: 'bob' }, headers: { 'x-tenant': tenant } });
+        assert.deepEqual((await run(guard, request('acme'))).next, []);
+        assert.equal((await run(guard, request('globex'))).status, 403);
+    });
+
+    test('requireRole checks held roles by name or ID', async () => {
+        const perms = await createEditorSystem();
+        const editor = await perms.manager.getRole('editor');
+        const { requireRole } = createExpressMiddleware(perms);
+
+        assert.deepEqual((await run(requireRole('editor'), { user: { id: 'alice' } })).next, []);
+        assert.deepEqual((await run(requireRole(editor.id), { user: { id: 'alice' } })).next, []);
+        assert.deepEqual((await run(requireRole(['admin', 'editor']), { user: { id: 'alice' } })).next, []);
+
+        const denied = await run(requireRole(['admin', 'editor'], { mode: 'all' }), { user: { id: 'alice' } });
+        assert.equal(denied.status, 403);
+        assert.equal(denied.body.code, 'ROLE_REQUIRED');
+        assert.deepEqual(denied.body.required, ['admin', 'editor']);
+    });
+
+    test('rejects an invalid mode when the guard is created', async () => {
+        const { requirePermission } = createExpressMiddleware(await createEditorSystem());
+        assert.throws(() => requirePermission('posts.edit', { mode: 'some' }), /Invalid mode/);
+    });
+});
@@ -0,0 +1,175 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fastifyPermissions } from '../src/index.js';
+import { createEditorSystem, UnavailableAdapter } from './helpers.js';
+
+/**
+ * Register the plugin on a minimal stand-in for a Fastify instance
+ * @returns {Promise<Object>} - { instance, inject(request) => { status, body, request } }
+ */
+async function register(options) {
+    const hooks = {};
+    const requestDecorators = {};
+    const instance = {
+        decorate(name, value) {
+            this[name] = value;
+        },
+        decorateRequest(name, value) {
+            requestDecorators[name] = value;
+        },
+        addHook(name, hook) {
+            hooks[name] = hook;
+        },
+    };
+    await fastifyPermissions(instance, options);
+
+    const inject = async ({ config = {}, ...fields } = {}) => {
+        const request = { ...requestDecorators, params: {}, routeOptions: { config }, ...fields };
+        const outcome = { status: null, body: null, request };
+        const reply = {
+            code(status) {
+                outcome.status = status;
+                return this;
+            },
+            send(body) {
+                outcome.body = body;
+                return this;
+            },
+        };
+        await hooks.onRequest(request, reply);
+        await hooks.preHandler(request, reply);
+        return outcome;
+    };
+    return { instance, inject };
+}
+
+describe('fastifyPermissions', () => {
+    test('shares its decorators with the whole application', async () => {
+        const perms = await createEditorSystem();
+        const { instance } = await register({ perms });
+        assert.equal(fastifyPermissions[Symbol.for('skip-override')], true);
+        assert.equal(instance.permissions, perms);
+    });
+
+    test('requires the permission system', async () => {
+        await assert.rejects(register({}), /options\.perms/);
+    });
+
+    test('lets routes without config through', async () => {
+        const { inject } = await register({ perms: await createEditorSystem() });
+        const outcome = await inject();
+        assert.equal(outcome.status, null);
+        assert.equal(outcome.request.permission, null);
+    });
+
+    test('records the decision when the user has the permission', async () => {
+        const { inject } = await register({ perms: await createEditorSystem() });
+        const outcome = await inject({ user: { id: 'alice' }, config: { permission: 'posts.edit' } });
+        assert.equal(outcome.status, null);
+        assert.equal(outcome.request.permission.granted, true);
+        assert.deepEqual(outcome.request.permission.permissionKeys, ['posts.edit']);
+    });
+
+    test('answers 401 without a user', async () => {
+        const { inject } = await register({ perms: await createEditorSystem() });
+        const outcome = await inject({ config: { permission: 'posts.edit' } });
+        assert.equal(outcome.status, 401);
+        assert.equal(outcome.body.code, 'UNAUTHENTICATED');
+    });
+
+    test('answers 403 with the required keys and mode', async () => {
+        const { inject } = await register({ perms: await createEditorSystem() });
+        const outcome = await inject({
+            user: { id: 'alice' },
+            config: { permission: ['posts.edit', 'posts.delete'] },
+        });
+        assert.equal(outcome.status, 403);
+        assert.deepEqual(outcome.body, {
+            error: 'Forbidden',
+            code: 'PERMISSION_DENIED',
+            message: 'Permission denied: posts.edit, posts.delete',
+            required: ['posts.edit', 'posts.delete'],
+            mode: 'all',
+        });
+    });
+
+    test('passes with permissionMode any when one key is granted', async () => {
+        const { inject } = await register({ perms: await createEditorSystem() });
+        const outcome = await inject({
+            user: { id: 'alice' },
+            config: { permission: ['posts.edit', 'posts.delete'], permissionMode: 'any' },
+        });
+        assert.equal(outcome.status, null);
+    });
+
+    test('builds keys from the request', async () => {
+        const { inject } = await register({ perms: await createEditorSystem() });
+        const config = { permission: request => `projects.${request.params.id}.edit` };
+        assert.equal((await inject({ user: { id: 'alice' }, params: { id: '7' }, config })).status, null);
+        assert.equal((await inject({ user: { id: 'alice' }, params: { id: '8' }, config })).status, 403);
+    });
+
+    test('throws errors other than denials to the error handler', async () => {
+        const { inject } = await register({ perms: await createEditorSystem(new UnavailableAdapter()) });
+        await assert.rejects(inject({ user: { id: 'alice' }, config: { permission: 'posts.edit' } }), /database down/);
+        await assert.rejects(inject({ user: { id: 'alice' }, config: { permission: () => '' } }), /non-empty key/);
+    });
+
+    test('lets onDenied replace the response', async () => {
+        const denials = [];
+        const { inject } = await register({
+            perms: await createEditorSystem(),
+            onDenied: (error, request, reply) => {
+                denials.push(error.code);
+                return reply.code(404).send({ error: 'Not Found' });
+            },
+        });
+        const outcome = await inject({ user: { id: 'alice' }, config: { permission: 'posts.delete' } });
+        assert.deepEqual(denials, ['PERMISSION_DENIED']);
+        assert.equal(outcome.status, 404);
+    });
+
+    test('checks roles and keeps the role decision apart', async () => {
+        const { inject } = await register({ perms: await createEditorSystem() });
+        const outcome = await inject({ user: { id: 'alice' }, config: { permission: 'posts.edit', role: 'editor' } });
+        assert.equal(outcome.request.permission.granted, true);
+        assert.deepEqual(outcome.request.roleDecision.roles, ['editor']);
+
+        const denied = await inject({ user: { id: 'alice' }, config: { role: ['admin', 'editor'], roleMode: 'all' } });
+        assert.equal(denied.status, 403);
+        assert.equal(denied.body.code, 'ROLE_REQUIRED');
+    });
+
+    test('memoizes request.can() by user, key, tenant and resource for the request', async () => {
+        const perms = await createEditorSystem();
+        await perms.assignPermission('billing.view', 'alice', 'user', { tenantId: 'acme' });
+        const calls = [];
+        const can = perms.can;
+        perms.can = (...args) => {
+            calls.push(args.slice(1));
+            return can(...args);
+        };
+        const { inject } = await register({ perms, getContext: request => ({ tenantId: request.headers['x-tenant'] }) });
+
+        const { request } = await inject({ user: { id: 'alice' }, headers: { 'x-tenant': 'acme' }, config: { permission: 'billing.view' } });
+        assert.equal(await request.can('billing.view'), true);
+        assert.equal(await request.can('billing.view', { tenantId: 'acme' }), true);
+        assert.equal(await request.can('billing.view', { tenantId: 'acme' }), true);
+        assert.equal(await request.can('billing.view', { tenantId: 'globex' }), false);
+        assert.deepEqual(calls.map(([key, { tenantId }]) => [key, tenantId]), [
+            ['billing.view', 'acme'],
+            ['billing.view', 'acme'],
+            ['billing.view', 'globex'],
+        ]);
+
+        // Contexts with fields a condition may read are not memoized
+        await request.can('billing.view', { tenantId: 'acme', ip: '10.0.0.1' });
+        await request.can('billing.view', { tenantId: 'acme', ip: '10.0.0.1' });
+        assert.equal(calls.length, 5);
+
+        // Each request starts with an empty memo
+        const next = await inject({ user: { id: 'alice' }, headers: { 'x-tenant': 'acme' } });
+        await next.request.can('billing.view');
+        assert.equal(calls.length, 6);
+    });
+});
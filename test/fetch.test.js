@@ -0,0 +1,92 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFetchMiddleware, getPermissionDecision } from '../src/index.js';
+import { createEditorSystem, UnavailableAdapter } from './helpers.js';
+
+const getUserId = request => request.headers.get('x-user');
+
+function request(path = '/', user = null) {
+    return new Request(`http://localhost${path}`, { headers: user ? { 'x-user': user } : {} });
+}
+
+/**
+ * Handler that answers with the decision made for its request
+ */
+const handler = async req => Response.json({ decision: getPermissionDecision(req) });
+
+describe('createFetchMiddleware', () => {
+    test('calls the handler and records the decision for the request', async () => {
+        const { withPermission } = createFetchMiddleware(await createEditorSystem(), { getUserId });
+        const response = await withPermission(handler, 'posts.edit')(request('/', 'alice'));
+        assert.equal(response.status, 200);
+        const { decision } = await response.json();
+        assert.equal(decision.granted, true);
+        assert.deepEqual(decision.permissionKeys, ['posts.edit']);
+    });
+
+    test('has no decision for requests it did not guard', () => {
+        assert.equal(getPermissionDecision(request()), null);
+    });
+
+    test('answers 401 without a user', async () => {
+        const { withPermission } = createFetchMiddleware(await createEditorSystem(), { getUserId });
+        const response = await withPermission(handler, 'posts.edit')(request());
+        assert.equal(response.status, 401);
+        assert.equal((await response.json()).code, 'UNAUTHENTICATED');
+    });
+
+    test('answers 403 with the required keys and mode', async () => {
+        const { withPermission } = createFetchMiddleware(await createEditorSystem(), { getUserId });
+        const req = request('/', 'alice');
+        const response = await withPermission(handler, ['posts.edit', 'posts.delete'])(req);
+        assert.equal(response.status, 403);
+        assert.deepEqual(await response.json(), {
+            error: 'Forbidden',
+            code: 'PERMISSION_DENIED',
+            message: 'Permission denied: posts.edit, posts.delete',
+            required: ['posts.edit', 'posts.delete'],
+            mode: 'all',
+        });
+        assert.equal(getPermissionDecision(req), null);
+    });
+
+    test('builds keys from the request and passes extra arguments through', async () => {
+        const { withPermission } = createFetchMiddleware(await createEditorSystem(), { getUserId });
+        const guarded = withPermission(
+            (req, server) => new Response(server.name),
+            req => `projects.${new URL(req.url).searchParams.get('id')}.edit`,
+        );
+        const allowed = await guarded(request('/?id=7', 'alice'), { name: 'bun' });
+        assert.equal(await allowed.text(), 'bun');
+        assert.equal((await guarded(request('/?id=8', 'alice'), { name: 'bun' })).status, 403);
+    });
+
+    test('withRole checks held roles', async () => {
+        const { withRole } = createFetchMiddleware(await createEditorSystem(), { getUserId });
+        assert.equal((await withRole(handler, ['admin', 'editor'])(request('/', 'alice'))).status, 200);
+
+        const denied = await withRole(handler, ['admin', 'editor'], { mode: 'all' })(request('/', 'alice'));
+        assert.equal(denied.status, 403);
+        assert.equal((await denied.json()).code, 'ROLE_REQUIRED');
+    });
+
+    test('rethrows errors other than denials', async () => {
+        const { withPermission } = createFetchMiddleware(await createEditorSystem(new UnavailableAdapter()), { getUserId });
+        await assert.rejects(withPermission(handler, 'posts.edit')(request('/', 'alice')), /database down/);
+    });
+
+    test('lets onDenied replace the response', async () => {
+        const { withPermission } = createFetchMiddleware(await createEditorSystem(), {
+            getUserId,
+            onDenied: error => new Response(error.code, { status: 404 }),
+        });
+        const response = await withPermission(handler, 'posts.delete')(request('/', 'alice'));
+        assert.equal(response.status, 404);
+        assert.equal(await response.text(), 'PERMISSION_DENIED');
+    });
+
+    test('requires getUserId', async () => {
+        const { withPermission } = createFetchMiddleware(await createEditorSystem());
+        assert.throws(() => withPermission(handler, 'posts.edit'), /getUserId is required/);
+    });
+});
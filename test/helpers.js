@@ -0,0 +1,39 @@
+import { createPermissionSystem, MemoryAdapter } from '../src/index.js';
+
+/**
+ * Permission system backed by a fresh MemoryAdapter and the in-process cache
+ * @param {Object} options - createPermissionSystem options; `adapter` replaces the MemoryAdapter
+ * @returns {Object}
+ */
+function createMemorySystem(options = {}) {
+    return createPermissionSystem({ adapter: new MemoryAdapter(), cacheStore: 'memory', ...options });
+}
+
+/**
+ * Shared fixture of the middleware tests: alice is an editor holding posts.edit and projects.7.edit
+ * @param {BaseAdapter} adapter
+ * @returns {Promise<Object>}
+ */
+async function createEditorSystem(adapter = new MemoryAdapter()) {
+    const perms = createMemorySystem({ adapter });
+    await perms.createRole('editor');
+    await perms.assignPermission('posts.edit', 'editor');
+    await perms.assignPermission('projects.7.edit', 'editor');
+    await perms.assignRole('editor', 'alice');
+    return perms;
+}
+
+/**
+ * MemoryAdapter whose role lookups fail, as when the database is down
+ */
+class UnavailableAdapter extends MemoryAdapter {
+    async getUserRoles() {
+        throw new Error('database down');
+    }
+}
+
+export {
+    createMemorySystem,
+    createEditorSystem,
+    UnavailableAdapter,
+};
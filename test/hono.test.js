@@ -0,0 +1,82 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHonoMiddleware } from '../src/index.js';
+import { createEditorSystem, UnavailableAdapter } from './helpers.js';
+
+/**
+ * Run a Hono middleware against a minimal context
+ * @returns {Promise<Object>} - { response, variables, nextCalled }
+ */
+async function run(middleware, { user = null, params = {} } = {}) {
+    const variables = new Map(user ? [['user', user]] : []);
+    const outcome = { response: null, variables, nextCalled: false };
+    const c = {
+        req: { param: name => params[name] },
+        get: name => variables.get(name),
+        set: (name, value) => variables.set(name, value),
+        json: (body, status) => Response.json(body, { status }),
+    };
+    outcome.response = await middleware(c, async () => { outcome.nextCalled = true; }) ?? null;
+    return outcome;
+}
+
+describe('createHonoMiddleware', () => {
+    test('calls next() and stores the decision on the context', async () => {
+        const { requirePermission } = createHonoMiddleware(await createEditorSystem());
+        const outcome = await run(requirePermission('posts.edit'), { user: { id: 'alice' } });
+        assert.equal(outcome.nextCalled, true);
+        assert.equal(outcome.response, null);
+        assert.equal(outcome.variables.get('permission').granted, true);
+    });
+
+    test('stores the decision under contextKey', async () => {
+        const { requireRole } = createHonoMiddleware(await createEditorSystem(), { contextKey: 'access' });
+        const outcome = await run(requireRole('editor'), { user: { id: 'alice' } });
+        assert.deepEqual(outcome.variables.get('access').heldRoles.map(({ name }) => name), ['editor']);
+        assert.equal(outcome.variables.has('permission'), false);
+    });
+
+    test('answers 401 without a user', async () => {
+        const { requirePermission } = createHonoMiddleware(await createEditorSystem());
+        const outcome = await run(requirePermission('posts.edit'));
+        assert.equal(outcome.response.status, 401);
+        assert.equal((await outcome.response.json()).code, 'UNAUTHENTICATED');
+        assert.equal(outcome.nextCalled, false);
+    });
+
+    test('answers 403 with the required keys and mode', async () => {
+        const { requirePermission } = createHonoMiddleware(await createEditorSystem());
+        const outcome = await run(requirePermission(['posts.edit', 'posts.delete']), { user: { id: 'alice' } });
+        assert.equal(outcome.response.status, 403);
+        assert.deepEqual(await outcome.response.json(), {
+            error: 'Forbidden',
+            code: 'PERMISSION_DENIED',
+            message: 'Permission denied: posts.edit, posts.delete',
+            required: ['posts.edit', 'posts.delete'],
+            mode: 'all',
+        });
+        assert.equal(outcome.nextCalled, false);
+        assert.equal(outcome.variables.has('permission'), false);
+    });
+
+    test('builds keys from route params', async () => {
+        const { requirePermission } = createHonoMiddleware(await createEditorSystem());
+        const guard = requirePermission(c => `projects.${c.req.param('id')}.edit`);
+        assert.equal((await run(guard, { user: { id: 'alice' }, params: { id: '7' } })).nextCalled, true);
+        assert.equal((await run(guard, { user: { id: 'alice' }, params: { id: '8' } })).response.status, 403);
+    });
+
+    test('rethrows errors other than denials', async () => {
+        const { requirePermission } = createHonoMiddleware(await createEditorSystem(new UnavailableAdapter()));
+        await assert.rejects(run(requirePermission('posts.edit'), { user: { id: 'alice' } }), /database down/);
+    });
+
+    test('lets onDenied replace the response', async () => {
+        const { requireRole } = createHonoMiddleware(await createEditorSystem(), {
+            onDenied: (error, c) => c.json({ denied: error.code }, 404),
+        });
+        const outcome = await run(requireRole('admin'), { user: { id: 'alice' } });
+        assert.equal(outcome.response.status, 404);
+        assert.deepEqual(await outcome.response.json(), { denied: 'ROLE_REQUIRED' });
+    });
+});
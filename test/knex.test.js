@@ -0,0 +1,72 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPermissionSystem, KnexAdapter, knexMigrationSource } from '../src/index.js';
+import { adapterConformanceSuite } from '../src/testing/adapterConformance.js';
+
+/**
+ * knex and better-sqlite3 are optional; the suite is skipped without them
+ */
+async function loadKnex() {
+    try {
+        const { default: knex } = await import('knex');
+        await import('better-sqlite3');
+        return knex;
+    } catch {
+        return null;
+    }
+}
+
+const knex = await loadKnex();
+const skip = knex ? false : 'knex and better-sqlite3 are not installed';
+
+/**
+ * Open an in-memory SQLite database with the v-perms tables
+ */
+async function createDatabase() {
+    const db = knex({ client: 'better-sqlite3', connection: { filename: ':memory:' }, useNullAsDefault: true });
+    await db.migrate.latest({ migrationSource: knexMigrationSource, tableName: 'v_perms_migrations' });
+    return db;
+}
+
+describe('KnexAdapter conformance', { skip }, () => {
+    for (const { name, run } of adapterConformanceSuite(async () => new KnexAdapter(await createDatabase()), {
+        teardown: adapter => adapter.db.destroy(),
+    })) {
+        test(name, run);
+    }
+});
+
+describe('KnexAdapter migrations', { skip }, () => {
+    test('roll back to an empty database', async () => {
+        const db = await createDatabase();
+        try {
+            await db.migrate.rollback({ migrationSource: knexMigrationSource, tableName: 'v_perms_migrations' }, true);
+            const tables = await db('sqlite_master').where({ type: 'table' }).pluck('name');
+            assert.deepEqual(tables.filter(name => !name.startsWith('v_perms_migrations') && name !== 'sqlite_sequence'), []);
+        } finally {
+            await db.destroy();
+        }
+    });
+
+    test('back a permission system, with audit and transactions', async () => {
+        const db = await createDatabase();
+        try {
+            const perms = createPermissionSystem({ adapter: new KnexAdapter(db), audit: true });
+            await perms.transaction(async (tx) => {
+                await tx.createRole('editor');
+                await tx.assignPermission('posts.*', 'editor');
+                await tx.assignRole('editor', 'alice');
+            });
+            await assert.rejects(perms.transaction(async (tx) => {
+                await tx.createRole('viewer');
+                throw new Error('boom');
+            }), /boom/);
+
+            assert.equal(await perms.can('alice', 'posts.edit'), true);
+            assert.equal(await perms.manager.getRole('viewer'), null);
+            assert.deepEqual((await perms.getAuditLog()).map(({ action }) => action), ['assignRole', 'assignPermission', 'createRole']);
+        } finally {
+            await db.destroy();
+        }
+    });
+});
@@ -0,0 +1,188 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryAdapter } from '../src/index.js';
+import { createMemorySystem } from './helpers.js';
+
+const policy = {
+    permissions: { 'posts.read': { description: 'Read posts', category: 'posts' } },
+    roles: {
+        viewer: { priority: 1, grants: ['posts.read'] },
+        editor: { priority: 5, inherits: ['viewer'], grants: ['posts.*'], bans: ['posts.delete'] },
+    },
+};
+
+// Actions and targets of a plan, in order
+const summarize = ({ changes }) => changes.map(change =>
+    [change.action, change.role, change.permissionKey ?? change.inheritsFrom].filter(Boolean).join(' '));
+
+class FailingAdapter extends MemoryAdapter {
+    async setRoleInheritance(...args) {
+        if (this.failInheritance) {
+            throw new Error('Write failed');
+        }
+        return await super.setRoleInheritance(...args);
+    }
+}
+
+describe('plan', () => {
+    test('lists changes in the order apply runs them, without writing', async () => {
+        const perms = createMemorySystem();
+        const plan = await perms.plan(policy);
+
+        assert.equal(plan.hasChanges, true);
+        assert.deepEqual(summarize(plan), [
+            'createPermission posts.read',
+            'createPermission posts.*',
+            'createPermission posts.delete',
+            'createRole viewer',
+            'createRole editor',
+            'assignPermission viewer posts.read',
+            'assignPermission editor posts.*',
+            'banPermission editor posts.delete',
+            'setRoleInheritance editor viewer',
+        ]);
+        assert.deepEqual(plan.changes[0].after, { description: 'Read posts', category: 'posts' });
+        assert.deepEqual(plan.changes[4].after, { description: null, priority: 5, isDefault: false });
+        assert.deepEqual(await perms.adapter.listAllRoles(), []);
+        assert.deepEqual(await perms.adapter.listAllPermissions(), []);
+    });
+
+    test('reports role field changes with their previous values', async () => {
+        const perms = createMemorySystem();
+        await perms.apply(policy);
+
+        const plan = await perms.plan({ ...policy, roles: { ...policy.roles, editor: { ...policy.roles.editor, priority: 7 } } });
+        assert.deepEqual(plan.changes, [{
+            action: 'updateRole',
+            role: 'editor',
+            roleId: (await perms.manager.getRole('editor')).id,
+            before: { priority: 5 },
+            after: { priority: 7 },
+        }]);
+    });
+});
+
+describe('apply', () => {
+    test('makes the database match the policy, and a second run has nothing to do', async () => {
+        const perms = createMemorySystem();
+        const applied = await perms.apply(policy);
+        assert.equal(applied.changes.length, 9);
+
+        await perms.assignRole('editor', 'alice');
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+        assert.equal(await perms.can('alice', 'posts.delete'), false);
+        assert.equal((await perms.manager.getRole('viewer')).priority, 1);
+        assert.equal((await perms.adapter.getPermission('posts.read')).description, 'Read posts');
+
+        assert.deepEqual(await perms.plan(policy), { changes: [], hasChanges: false });
+        assert.deepEqual(await perms.apply(policy), { changes: [], hasChanges: false });
+    });
+
+    test('leaves unlisted entries alone unless pruning', async () => {
+        const perms = createMemorySystem();
+        await perms.apply(policy);
+        await perms.createRole('legacy');
+        await perms.assignPermission('comments.read', 'editor');
+        await perms.manager.setRoleInheritance('editor', 'legacy');
+
+        assert.equal((await perms.plan(policy)).hasChanges, false);
+
+        const plan = await perms.plan(policy, { prune: true });
+        assert.deepEqual(summarize(plan), [
+            'removePermission editor comments.read',
+            'removeRoleInheritance editor legacy',
+            'deleteRole legacy',
+            'deletePermission comments.read',
+        ]);
+
+        // Without a permissions section, permissions are never pruned
+        const { permissions, ...rolesOnly } = policy;
+        assert.deepEqual(summarize(await perms.plan(rolesOnly, { prune: true })), summarize(plan).slice(0, 3));
+
+        await perms.apply(policy, { prune: true });
+        assert.equal(await perms.manager.getRole('legacy'), null);
+        assert.equal(await perms.adapter.getPermission('comments.read'), null);
+        assert.deepEqual((await perms.manager.getRolePermissions('editor')).map(({ key }) => key).sort(), ['posts.*', 'posts.delete']);
+        assert.equal((await perms.plan(policy, { prune: true })).hasChanges, false);
+    });
+
+    test('re-points inheritance without tripping the cycle check', async () => {
+        const perms = createMemorySystem();
+        await perms.apply({
+            roles: {
+                viewer: {},
+                editor: { inherits: ['viewer'] },
+                admin: { inherits: ['editor'] },
+            },
+        });
+
+        // admin -> editor becomes editor -> admin
+        const plan = await perms.apply({
+            roles: {
+                viewer: {},
+                editor: { inherits: [{ role: 'admin', priority: 2 }] },
+                admin: {},
+            },
+        }, { prune: true });
+
+        assert.deepEqual(summarize(plan), [
+            'removeRoleInheritance editor viewer',
+            'removeRoleInheritance admin editor',
+            'setRoleInheritance editor admin',
+        ]);
+        assert.deepEqual((await perms.manager.getRoleInheritance('admin')), []);
+        const links = await perms.manager.getRoleInheritance('editor');
+        assert.deepEqual(links.map(({ inheritsFrom, priority }) => [inheritsFrom.name, priority]), [['admin', 2]]);
+    });
+
+    test('rolls every change back when one fails', async () => {
+        const adapter = new FailingAdapter();
+        const perms = createMemorySystem({ adapter });
+        await perms.apply({ roles: { viewer: { priority: 1 } } });
+
+        adapter.failInheritance = true;
+        await assert.rejects(perms.apply({ ...policy, roles: { ...policy.roles, viewer: { priority: 2 } } }), /Write failed/);
+
+        assert.deepEqual((await adapter.listAllRoles()).map(({ name, priority }) => [name, priority]), [['viewer', 1]]);
+        assert.deepEqual(await adapter.listAllPermissions(), []);
+        assert.deepEqual(await perms.manager.getRolePermissions('viewer'), []);
+
+        adapter.failInheritance = false;
+        assert.equal((await perms.apply(policy)).changes.length, 8);
+    });
+});
+
+describe('policy validation', () => {
+    const invalid = [
+        [null, /expected an object/],
+        [{ permissions: ['posts.read'] }, /permissions must be an object/],
+        [{ permissions: { 'posts.read': 'Read posts' } }, /permissions\.posts\.read must be an object or null/],
+        [{ roles: [] }, /roles must be an object/],
+        [{ roles: { editor: 'posts.*' } }, /roles\.editor must be an object or null/],
+        [{ roles: { editor: { priority: 'high' } } }, /roles\.editor\.priority must be an integer/],
+        [{ roles: { editor: { grants: 'posts.*' } } }, /roles\.editor\.grants must be an array/],
+        [{ roles: { editor: { bans: [{ condition: 'isOwner' }] } } }, /roles\.editor\.bans\[0\] must be a permission key/],
+        [{ roles: { editor: { grants: ['posts.*'], bans: ['posts.*'] } } }, /roles\.editor lists posts\.\* more than once/],
+        [{ roles: { editor: { inherits: [{ role: 'viewer', priority: 1.5 }] } } }, /roles\.editor\.inherits\[0\] must be a role name/],
+        [{ roles: { editor: { inherits: ['viewer'] } } }, /inherits from viewer, which is not in the policy/],
+    ];
+
+    test('rejects malformed policies before touching the database', async () => {
+        const perms = createMemorySystem();
+        for (const [shape, message] of invalid) {
+            await assert.rejects(perms.plan(shape), message, JSON.stringify(shape));
+            await assert.rejects(perms.apply(shape), message, JSON.stringify(shape));
+        }
+        assert.deepEqual(await perms.adapter.listAllRoles(), []);
+    });
+
+    test('accepts null role and permission definitions as defaults', async () => {
+        const perms = createMemorySystem();
+        const plan = await perms.plan({ permissions: { 'posts.read': null }, roles: { viewer: null } });
+
+        assert.deepEqual(plan.changes.map(({ after }) => after), [
+            { description: null, category: null },
+            { description: null, priority: 0, isDefault: false },
+        ]);
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPermissionSystem, MemoryAdapter, errors } from '../src/index.js';
+import { createMemorySystem } from './helpers.js';
+
+const { UnknownPermissionError } = errors;
+
+async function createSystem(strictPermissions) {
+    const perms = createMemorySystem({ strictPermissions });
+    await perms.registerPermissions([{ key: 'posts.read' }, { key: 'posts.edit' }]);
+    await perms.createRole('editor');
+    await perms.assignRole('editor', 'alice');
+    return perms;
+}
+
+describe('strictPermissions', () => {
+    test('true rejects unknown keys on assignment and check', async () => {
+        const perms = await createSystem(true);
+        await perms.assignPermission('posts.edit', 'editor');
+        await perms.assignPermission('posts.*', 'editor');
+
+        await assert.rejects(perms.assignPermission('post.edit', 'editor'), UnknownPermissionError);
+        await assert.rejects(perms.can('alice', 'post.edit'), (error) => {
+            assert.ok(error instanceof UnknownPermissionError);
+            assert.equal(error.code, 'UNKNOWN_PERMISSION');
+            return true;
+        });
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+    });
+
+    test("'warn' warns once per unknown key without debug and lets the operation through", async (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const perms = await createSystem('warn');
+        const reported = [];
+        perms.on('unknownPermission', payload => reported.push(payload));
+
+        await perms.assignPermission('post.edit', 'editor');
+        assert.equal(await perms.can('alice', 'post.edit'), true);
+        assert.equal(await perms.can('alice', 'posts.read'), false);
+
+        assert.equal(warn.mock.callCount(), 1);
+        assert.equal(warn.mock.calls[0].arguments[0], '[v-perms:warn]');
+        assert.match(warn.mock.calls[0].arguments[1], /Unknown permission "post\.edit" \(assignPermission\)/);
+        assert.deepEqual(reported, [{ key: 'post.edit', operation: 'assignPermission' }]);
+    });
+
+    test('keys created later are no longer reported', async (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const perms = await createSystem('warn');
+
+        await perms.createPermission('comments.read');
+        await perms.assignPermission('comments.read', 'editor');
+        assert.equal(warn.mock.callCount(), 0);
+    });
+
+    test('rejects an invalid mode', () => {
+        assert.throws(() => createPermissionSystem({ adapter: new MemoryAdapter(), strictPermissions: 'strict' }), /Invalid strictPermissions mode/);
+    });
+});
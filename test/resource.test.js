@@ -0,0 +1,72 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemorySystem } from './helpers.js';
+
+const doc42 = { type: 'document', id: 42, parent: { type: 'folder', id: 'f-7' } };
+const doc43 = { type: 'document', id: 43, parent: { type: 'folder', id: 'f-7' } };
+const doc44 = { type: 'document', id: 44, parent: { type: 'folder', id: 'f-8' } };
+
+async function createSystem() {
+    const perms = createMemorySystem();
+    await perms.createRole('editor');
+    await perms.assignRole('editor', 'alice');
+    return perms;
+}
+
+describe('resource rules', () => {
+    test('a grant on one resource applies to that resource only', async () => {
+        const perms = await createSystem();
+        await perms.assignPermission('document.edit', 'bob', 'user', { resourceType: 'document', resourceId: '42' });
+
+        assert.equal(await perms.can('bob', 'document.edit', { resource: doc42 }), true);
+        assert.equal(await perms.can('bob', 'document.edit', { resource: doc43 }), false);
+        assert.equal(await perms.can('bob', 'document.edit'), false);
+    });
+
+    test('rules on a parent cover its children, and the most specific resource wins', async () => {
+        const perms = await createSystem();
+        await perms.assignPermission('document.edit', 'editor', 'role', { resourceType: 'folder', resourceId: 'f-7' });
+        await perms.banPermission('document.edit', 'editor', 'role', { resourceType: 'document', resourceId: '43' });
+
+        assert.equal(await perms.can('alice', 'document.edit', { resource: doc42 }), true);
+        assert.equal(await perms.can('alice', 'document.edit', { resource: doc43 }), false);
+        assert.equal(await perms.can('alice', 'document.edit', { resource: doc44 }), false);
+
+        const decision = await perms.explain('alice', 'document.edit', { resource: doc42 });
+        assert.deepEqual(decision.resource, { type: 'folder', id: 'f-7' });
+        assert.equal(decision.role.name, 'editor');
+    });
+
+    test('resource rules are consulted before global assignments', async () => {
+        const perms = await createSystem();
+        await perms.assignPermission('document.*', 'editor');
+        await perms.banPermission('document.edit', 'editor', 'role', { resourceType: 'document', resourceId: 'locked-1' });
+
+        assert.equal(await perms.can('alice', 'document.edit', { resource: { type: 'document', id: 'locked-1' } }), false);
+        assert.equal(await perms.can('alice', 'document.edit', { resource: doc42 }), true);
+        assert.equal(await perms.can('alice', 'document.edit'), true);
+    });
+
+    test('lists and removes the rules of a resource', async () => {
+        const perms = await createSystem();
+        const options = { resourceType: 'document', resourceId: '42' };
+        await perms.assignPermission('document.edit', 'bob', 'user', options);
+        await perms.banPermission('document.delete', 'editor', 'role', options);
+
+        const rules = await perms.manager.getResourcePermissions('document', '42');
+        assert.deepEqual(rules.map(({ key, granted, targetType }) => [key, granted, targetType]).sort(), [
+            ['document.delete', false, 'role'],
+            ['document.edit', true, 'user'],
+        ]);
+
+        await perms.manager.removePermission('document.edit', 'bob', 'user', options);
+        assert.equal(await perms.can('bob', 'document.edit', { resource: doc42 }), false);
+    });
+
+    test('rejects incomplete resources and resources combined with a tenant', async () => {
+        const perms = await createSystem();
+        await assert.rejects(perms.assignPermission('document.edit', 'bob', 'user', { resourceType: 'document' }), /both resourceType and resourceId/);
+        await assert.rejects(perms.assignPermission('document.edit', 'bob', 'user', { resourceType: 'document', resourceId: '42', tenantId: 'acme' }));
+        await assert.rejects(perms.can('bob', 'document.edit', { resource: { type: 'document' } }), /both type and id/);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemorySystem } from './helpers.js';
+
+const inMs = ms => new Date(Date.now() + ms);
+
+async function createSystem() {
+    const perms = createMemorySystem();
+    await perms.createRole('member', null, 1);
+    await perms.createRole('editor', 'Edits posts', 5);
+    await perms.manager.setRoleInheritance('editor', 'member', 3);
+    await perms.assignPermission('comments.read', 'member');
+    await perms.assignPermission('posts.*', 'editor');
+    await perms.banPermission('posts.delete', 'editor');
+    await perms.assignPermission('posts.feature', 'editor', 'role', { expiresAt: inMs(-1000) });
+    await perms.assignPermission('drafts.read', 'editor', 'role', { resourceType: 'folder', resourceId: 'f-1' });
+    await perms.assignRole('editor', 'alice', { tenantId: 'acme' });
+    await perms.assignRole('editor', 'bob', { expiresAt: inMs(-1000) });
+    return perms;
+}
+
+describe('cloneRole', () => {
+    test('copies grants and bans, without expired assignments or resource rules', async () => {
+        const perms = await createSystem();
+        const copy = await perms.cloneRole('editor', 'editor-v2');
+
+        assert.equal(copy.description, 'Edits posts');
+        assert.equal(copy.priority, 5);
+        assert.equal(copy.isDefault, false);
+        const keys = (await perms.manager.getRolePermissions('editor-v2')).map(({ key, granted }) => [key, granted]).sort();
+        assert.deepEqual(keys, [['posts.*', true], ['posts.delete', false]]);
+        const rules = await perms.manager.getResourcePermissions('folder', 'f-1');
+        assert.deepEqual(rules.map(({ targetId }) => targetId), [(await perms.manager.getRole('editor')).id]);
+
+        // Inheritance and users are opt-in
+        assert.deepEqual(await perms.manager.getRoleInheritance('editor-v2'), []);
+        assert.equal(await perms.canRole(copy.id, 'comments.read'), false);
+    });
+
+    test('copies inheritance and current holders on request', async () => {
+        const perms = await createSystem();
+        const copy = await perms.cloneRole('editor', 'editor-v2', { includeInheritance: true, includeUsers: true, priority: 7 });
+
+        assert.equal(copy.priority, 7);
+        assert.equal(await perms.canRole(copy.id, 'comments.read'), true);
+        assert.deepEqual((await perms.manager.getUserRoles('alice', { tenantId: 'acme' })).map(({ name }) => name).sort(), ['editor', 'editor-v2']);
+        assert.deepEqual((await perms.adapter.getRoleUsers(copy.id)).map(({ userId, tenantId }) => [userId, tenantId]), [['alice', 'acme']]);
+    });
+
+    test('rejects a missing source or a taken name without writing anything', async () => {
+        const perms = await createSystem();
+        await assert.rejects(perms.cloneRole('missing', 'copy'), { name: 'RoleNotFoundError' });
+        await assert.rejects(perms.cloneRole('editor', 'member'), { name: 'RoleAlreadyExistsError' });
+        assert.deepEqual((await perms.manager.listRoles()).map(({ name }) => name).sort(), ['editor', 'member']);
+    });
+});
+
+describe('role templates', () => {
+    const template = {
+        name: 'project-{projectId}-admin',
+        description: 'Administers project {projectId}',
+        priority: 50,
+        grants: ['project:{projectId}:*'],
+        bans: ['project:{projectId}:delete'],
+        inherits: ['member'],
+    };
+
+    test('render a role per parameter set', async () => {
+        const perms = await createSystem();
+        perms.registerRoleTemplate('project-admin', template);
+
+        const role = await perms.createRoleFromTemplate('project-admin', { projectId: 42 });
+        assert.equal(role.name, 'project-42-admin');
+        assert.equal(role.description, 'Administers project 42');
+        assert.equal(role.priority, 50);
+
+        await perms.assignRole(role.name, 'carol');
+        assert.equal(await perms.can('carol', 'project:42:settings'), true);
+        assert.equal(await perms.can('carol', 'project:42:delete'), false);
+        assert.equal(await perms.can('carol', 'project:43:settings'), false);
+        assert.equal(await perms.can('carol', 'comments.read'), true);
+        assert.deepEqual(perms.manager.templates.parameters('project-admin'), ['projectId']);
+    });
+
+    test('reject missing templates and parameters, and parameters that would widen a key', async () => {
+        const perms = await createSystem();
+        perms.registerRoleTemplate('project-admin', template);
+
+        await assert.rejects(perms.createRoleFromTemplate('missing', {}), { name: 'RoleTemplateNotFoundError' });
+        await assert.rejects(perms.createRoleFromTemplate('project-admin', {}));
+        for (const projectId of ['*', '1:2', '', '{x}']) {
+            await assert.rejects(perms.createRoleFromTemplate('project-admin', { projectId }), projectId);
+        }
+        assert.equal((await perms.manager.listRoles()).length, 2);
+    });
+
+    test('roll back the whole role when a step fails', async () => {
+        const perms = await createSystem();
+        perms.registerRoleTemplate('broken', { ...template, inherits: ['missing'] });
+
+        await assert.rejects(perms.createRoleFromTemplate('broken', { projectId: 1 }));
+        assert.equal(await perms.manager.getRole('project-1-admin'), null);
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemorySystem } from './helpers.js';
+
+async function createSystem() {
+    const perms = createMemorySystem();
+    await perms.createRole('editor');
+    await perms.createRole('viewer');
+    await perms.assignPermission('posts.read', 'viewer');
+    await perms.assignPermission('posts.*', 'editor');
+    return perms;
+}
+
+describe('tenant scoping', () => {
+    test('a role held in one tenant does not apply in another', async () => {
+        const perms = await createSystem();
+        await perms.assignRole('editor', 'alice', { tenantId: 'acme' });
+        await perms.assignRole('viewer', 'alice', { tenantId: 'globex' });
+
+        assert.equal(await perms.can('alice', 'posts.edit', { tenantId: 'acme' }), true);
+        assert.equal(await perms.can('alice', 'posts.edit', { tenantId: 'globex' }), false);
+        assert.equal(await perms.can('alice', 'posts.read', { tenantId: 'globex' }), true);
+        assert.equal(await perms.can('alice', 'posts.read'), false);
+    });
+
+    test('global assignments apply in every tenant', async () => {
+        const perms = await createSystem();
+        await perms.assignRole('viewer', 'alice');
+
+        assert.equal(await perms.can('alice', 'posts.read'), true);
+        assert.equal(await perms.can('alice', 'posts.read', { tenantId: 'acme' }), true);
+    });
+
+    test('a tenant assignment overrides a global one for the same key', async () => {
+        const perms = await createSystem();
+        await perms.assignPermission('billing.view', 'alice', 'user');
+        await perms.banPermission('billing.view', 'alice', 'user', { tenantId: 'acme' });
+
+        assert.equal(await perms.can('alice', 'billing.view'), true);
+        assert.equal(await perms.can('alice', 'billing.view', { tenantId: 'globex' }), true);
+        assert.equal(await perms.can('alice', 'billing.view', { tenantId: 'acme' }), false);
+        assert.equal((await perms.explain('alice', 'billing.view', { tenantId: 'acme' })).trace[0].tenantId, 'acme');
+    });
+
+    test('removing a tenant assignment leaves the others in place', async () => {
+        const perms = await createSystem();
+        await perms.assignRole('editor', 'alice', { tenantId: 'acme' });
+        await perms.assignRole('editor', 'alice', { tenantId: 'globex' });
+        assert.equal(await perms.can('alice', 'posts.edit', { tenantId: 'acme' }), true);
+
+        await perms.removeRole('editor', 'alice', { tenantId: 'acme' });
+        assert.equal(await perms.can('alice', 'posts.edit', { tenantId: 'acme' }), false);
+        assert.equal(await perms.can('alice', 'posts.edit', { tenantId: 'globex' }), true);
+        assert.deepEqual((await perms.manager.getUserRoles('alice', { tenantId: 'globex' })).map(({ name }) => name), ['editor']);
+    });
+
+    test('role permissions cannot be scoped to a tenant', async () => {
+        const perms = await createSystem();
+        await assert.rejects(perms.assignPermission('posts.read', 'editor', 'role', { tenantId: 'acme' }));
+    });
+});
@@ -0,0 +1,136 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemorySystem } from './helpers.js';
+
+describe('transaction', () => {
+    test('commits every change and returns the callback result', async () => {
+        const perms = createMemorySystem();
+        const name = await perms.transaction(async (tx) => {
+            const role = await tx.createRole('editor');
+            await tx.assignPermission('posts.edit', role.id);
+            await tx.assignRole('editor', 'alice');
+            return role.name;
+        });
+
+        assert.equal(name, 'editor');
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+    });
+
+    test('rolls back every change when the callback throws', async () => {
+        const perms = createMemorySystem({ audit: true });
+        await perms.createRole('viewer');
+        await perms.assignRole('viewer', 'alice');
+        const auditCount = (await perms.getAuditLog()).length;
+
+        await assert.rejects(perms.transaction(async (tx) => {
+            await tx.createRole('editor');
+            await tx.assignPermission('posts.edit', 'viewer');
+            throw new Error('boom');
+        }), /boom/);
+
+        assert.equal(await perms.manager.getRole('editor'), null);
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+        assert.equal((await perms.getAuditLog()).length, auditCount);
+    });
+
+    test('holds events back until commit and drops them on rollback', async () => {
+        const perms = createMemorySystem();
+        const actions = [];
+        perms.on('mutation', ({ action }) => actions.push(action));
+
+        await assert.rejects(perms.transaction(async (tx) => {
+            await tx.createRole('editor');
+            throw new Error('boom');
+        }));
+        assert.deepEqual(actions, []);
+
+        await perms.transaction(async (tx) => {
+            await tx.createRole('editor');
+            await tx.assignRole('editor', 'alice');
+            assert.deepEqual(actions, []);
+        });
+        assert.deepEqual(actions, ['createRole', 'assignRole']);
+    });
+
+    test('checks through the transaction see its uncommitted changes', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('viewer');
+        await perms.assignRole('viewer', 'alice');
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+
+        await assert.rejects(perms.transaction(async (tx) => {
+            await tx.assignPermission('posts.edit', 'viewer');
+            assert.equal(await tx.checkPermission('alice', 'posts.edit'), true);
+            assert.equal(await perms.can('alice', 'posts.edit'), false);
+            throw new Error('boom');
+        }));
+
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+    });
+
+    test('invalidates cached results once it commits', async () => {
+        const perms = createMemorySystem();
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+
+        await perms.transaction(tx => tx.assignPermission('posts.edit', 'alice', 'user'));
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+    });
+
+    test('nested calls join the running transaction', async () => {
+        const perms = createMemorySystem();
+        await assert.rejects(perms.transaction(async (tx) => {
+            await tx.transaction(inner => inner.createRole('editor'));
+            await tx.assignRoleToUsers('editor', ['alice', 'bob']);
+            throw new Error('boom');
+        }));
+
+        assert.equal(await perms.manager.getRole('editor'), null);
+        assert.deepEqual(await perms.manager.getUserRoles('alice'), []);
+    });
+
+    test('a concurrent mutation waits for a running transaction instead of joining it', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('a');
+        await perms.createRole('b');
+
+        let entered;
+        const started = new Promise((resolve) => { entered = resolve; });
+        const failing = perms.transaction(async (tx) => {
+            await tx.assignRole('a', 'alice');
+            entered();
+            await new Promise(resolve => setTimeout(resolve, 10));
+            throw new Error('boom');
+        });
+        await started;
+
+        const synced = perms.syncRolePermissions('b', { grant: ['x.y'] });
+        await assert.rejects(failing, /boom/);
+        assert.deepEqual((await synced).added, ['x.y']);
+
+        assert.deepEqual((await perms.manager.getRolePermissions('b')).map(({ key }) => key), ['x.y']);
+        assert.deepEqual(await perms.manager.getUserRoles('alice'), []);
+    });
+
+    test('calls made through the system instead of the handle join the transaction', async () => {
+        for (const audit of [false, true]) {
+            const perms = createMemorySystem({ audit });
+            await assert.rejects(perms.transaction(async () => {
+                await perms.createRole('editor');
+                await perms.transaction(() => perms.assignRole('editor', 'alice'));
+                assert.equal((await perms.manager.getRole('editor')).name, 'editor');
+                throw new Error('boom');
+            }), /boom/);
+
+            assert.equal(await perms.manager.getRole('editor'), null, `audit: ${audit}`);
+            assert.deepEqual(await perms.manager.getUserRoles('alice'), []);
+        }
+    });
+
+    test('keeps the actor of withActor', async () => {
+        const perms = createMemorySystem({ audit: true });
+        await perms.withActor('admin-1').transaction(tx => tx.createRole('editor'));
+
+        const [record] = await perms.getAuditLog({ action: 'createRole' });
+        assert.equal(record.actorId, 'admin-1');
+    });
+});
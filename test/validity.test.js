@@ -0,0 +1,61 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemorySystem } from './helpers.js';
+
+const inMs = ms => new Date(Date.now() + ms);
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function createSystem() {
+    const perms = createMemorySystem();
+    await perms.createRole('contractor');
+    await perms.assignPermission('posts.edit', 'contractor');
+    return perms;
+}
+
+describe('time-bounded assignments', () => {
+    test('apply only inside their window', async () => {
+        const perms = await createSystem();
+        await perms.assignRole('contractor', 'alice', { expiresAt: inMs(-1000) });
+        await perms.assignRole('contractor', 'bob', { validFrom: inMs(60000) });
+        await perms.assignRole('contractor', 'carol', { validFrom: inMs(-1000), expiresAt: inMs(60000) });
+
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+        assert.equal(await perms.can('bob', 'posts.edit'), false);
+        assert.equal(await perms.can('carol', 'posts.edit'), true);
+
+        const decision = await perms.explain('alice', 'posts.edit');
+        assert.equal(decision.defaultDeny, true);
+    });
+
+    test('a cached result does not outlive the assignment it came from', async () => {
+        const perms = await createSystem();
+        await perms.assignRole('contractor', 'alice', { expiresAt: inMs(1000) });
+        await perms.banPermission('comments.create', 'alice', 'user', { expiresAt: inMs(1000) });
+        await perms.assignPermission('comments.create', 'alice', 'user', { validFrom: inMs(-1000) });
+
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+        assert.equal(await perms.can('alice', 'posts.edit'), true);
+        assert.equal((await perms.explain('alice', 'posts.edit')).validUntil.getTime() > Date.now(), true);
+
+        await sleep(1100);
+        assert.equal(await perms.can('alice', 'posts.edit'), false);
+        assert.equal(await perms.can('alice', 'comments.create'), true);
+    });
+
+    test('rejects invalid windows', async () => {
+        const perms = await createSystem();
+        await assert.rejects(perms.assignRole('contractor', 'alice', { expiresAt: 'not a date' }), /Invalid expiresAt/);
+        await assert.rejects(perms.assignRole('contractor', 'alice', { validFrom: inMs(2000), expiresAt: inMs(1000) }), /later than validFrom/);
+    });
+
+    test('purgeExpiredAssignments deletes only expired rows', async () => {
+        const perms = await createSystem();
+        await perms.assignRole('contractor', 'alice', { expiresAt: inMs(-1000) });
+        await perms.assignRole('contractor', 'bob', { expiresAt: inMs(60000) });
+        await perms.assignPermission('posts.read', 'alice', 'user', { expiresAt: inMs(-1000) });
+
+        assert.equal(await perms.purgeExpiredAssignments(), 2);
+        const contractor = await perms.manager.getRole('contractor');
+        assert.deepEqual((await perms.adapter.getRoleUsers(contractor.id)).map(({ userId }) => userId), ['bob']);
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compilePattern, compareSpecificity, findMatches, isWildcard, matchesWildcard } from '../src/utils/wildcard.js';
+import { createMemorySystem } from './helpers.js';
+
+describe('matchesWildcard', () => {
+    test('* matches exactly one segment in the middle', () => {
+        assert.equal(matchesWildcard('post:*:read', 'post:7:read'), true);
+        assert.equal(matchesWildcard('post:*:read', 'post:read'), false);
+        assert.equal(matchesWildcard('post:*:read', 'post:7:8:read'), false);
+    });
+
+    test('** and a trailing * match one or more segments', () => {
+        for (const pattern of ['org:**:view', 'org:**']) {
+            assert.equal(matchesWildcard(pattern, 'org:1:billing:view'), true, pattern);
+        }
+        assert.equal(matchesWildcard('org:**:view', 'org:1:view'), true);
+        assert.equal(matchesWildcard('org:**:view', 'org:view'), false);
+        assert.equal(matchesWildcard('posts.*', 'posts.comments.delete'), true);
+        assert.equal(matchesWildcard('posts.*', 'posts'), false);
+        assert.equal(matchesWildcard('*', 'anything.at.all'), true);
+    });
+
+    test('treats . and : as the same separator in patterns and keys', () => {
+        assert.equal(matchesWildcard('api.*:users', 'api:v1.users'), true);
+        assert.equal(matchesWildcard('api.v1:*', 'api.v1.users'), true);
+        assert.equal(matchesWildcard('api.v1:*', 'api:v2:users'), false);
+    });
+
+    test('wildcards never match an empty segment', () => {
+        assert.equal(matchesWildcard('a.*.b', 'a..b'), false);
+        assert.equal(matchesWildcard('a.**', 'a.'), false);
+        assert.equal(matchesWildcard('a.**.b', 'a.x..b'), false);
+    });
+
+    test('wildcards inside a segment are literals', () => {
+        assert.equal(isWildcard('post*.read'), false);
+        assert.equal(matchesWildcard('post*.read', 'posts.read'), false);
+        assert.equal(matchesWildcard('post*.read', 'post*.read'), true);
+    });
+
+    test('keys without wildcards match only themselves', () => {
+        const matcher = compilePattern('posts.read');
+        assert.equal(matcher.wildcard, false);
+        assert.equal(matcher.test('posts.read'), true);
+        assert.equal(matcher.test('posts:read'), false);
+    });
+
+    test('flags universal patterns', () => {
+        assert.equal(compilePattern('*').universal, true);
+        assert.equal(compilePattern('**.*').universal, true);
+        assert.equal(compilePattern('posts.*').universal, false);
+    });
+});
+
+describe('compareSpecificity', () => {
+    const sorted = patterns => [...patterns].sort(compareSpecificity);
+
+    test('puts exact keys first', () => {
+        assert.deepEqual(sorted(['posts.*', 'posts.read']), ['posts.read', 'posts.*']);
+    });
+
+    test('prefers more literal segments, then fewer ** and *, then a longer literal prefix', () => {
+        assert.deepEqual(sorted(['*', 'org.**', 'org.*.billing.*', 'org.*.billing.view']), [
+            'org.*.billing.view',
+            'org.*.billing.*',
+            'org.**',
+            '*',
+        ]);
+        assert.deepEqual(sorted(['org.**.view', 'org.*.view']), ['org.*.view', 'org.**.view']);
+        assert.deepEqual(sorted(['*.posts.read', 'posts.*.read']), ['posts.*.read', '*.posts.read']);
+    });
+
+    test('falls back to the pattern text', () => {
+        assert.deepEqual(sorted(['b.*', 'a.*']), ['a.*', 'b.*']);
+    });
+
+    test('findMatches returns matching entries, most specific first', () => {
+        const entries = ['*', 'org.**.view', 'org.1.billing.view', 'org.*.billing.*', 'posts.*'].map(key => ({ key }));
+        assert.deepEqual(findMatches(entries, 'org.1.billing.view').map(({ key }) => key), [
+            'org.1.billing.view',
+            'org.**.view',
+            'org.*.billing.*',
+            '*',
+        ]);
+    });
+});
+
+describe('wildcard grants', () => {
+    test('the most specific matching grant decides', async () => {
+        const perms = createMemorySystem();
+        await perms.createRole('member');
+        await perms.assignPermission('org:**:view', 'member');
+        await perms.banPermission('org:*:billing:view', 'member');
+        await perms.assignRole('member', 'alice');
+
+        assert.equal(await perms.can('alice', 'org:1:reports:view'), true);
+        assert.equal(await perms.can('alice', 'org:1:billing:view'), false);
+        assert.equal(await perms.can('alice', 'org:view'), false);
+    });
+});